@@ -1,11 +1,15 @@
 /**
  * Horizon 60 — Hierarchical Portfolio State & Logic
- * Data: accounts[] → each has holdings[] (balance for Cash/Debt; ticker, quantity, purchasePrice for Retirement/Crypto)
+ * Data: accounts[] → each has holdings[] (balance for Cash/Debt; ticker + transactions[] for Retirement/Crypto).
+ * Security quantity and cost basis are derived from the holding's transaction ledger.
+ * Cash/Debt accounts imported from OFX statements also keep bankTransactions[] from those statements.
  */
 
 const ACCOUNT_TYPES = ['Cash', 'Retirement', 'Crypto', 'Debt'];
 const FINNHUB_QUOTE_URL = 'https://finnhub.io/api/v1/quote';
+const FINNHUB_CANDLE_URL = 'https://finnhub.io/api/v1/stock/candle';
 const COINGECKO_PRICE_URL = 'https://api.coingecko.com/api/v3/simple/price';
+const COINGECKO_COINS_URL = 'https://api.coingecko.com/api/v3/coins/';
 const CORS_PROXY = 'https://api.allorigins.win/raw?url=';
 
 /** Ticker symbol -> CoinGecko coin id (for crypto price fetch) */
@@ -21,27 +25,275 @@ const COINGECKO_IDS = {
 let state = {
   accounts: [],
   expandedAccountId: null,
-  priceCache: {}, // ticker -> { price, at }
+  expandedHoldingId: null,
+  priceCache: {}, // ticker -> { price, currency, at, provider }
+  lastSync: null, // { at, updated: number, failed: Array<{ symbol, error }> }
   apiKey: localStorage.getItem('horizon60_apiKey') || '',
 };
 
 /** Holdings parsed from CSV in Add Account modal; applied when user submits the form */
 let pendingAddAccountHoldings = [];
 
-/** Per-unit purchase price (backward compat: derive from legacy costBasis if needed) */
+// ——— Transaction ledger (security holdings) ———
+
+/** Ledger transaction types. sign: +1 adds units, -1 removes units, 0 leaves units unchanged. */
+const TRANSACTION_TYPES = {
+  buy: { label: 'Buy', sign: 1 },
+  sell: { label: 'Sell', sign: -1 },
+  reinvest: { label: 'Dividend reinvest', sign: 1 },
+  fee: { label: 'Fee', sign: -1 },
+  transfer_in: { label: 'Transfer in', sign: 1 },
+  transfer_out: { label: 'Transfer out', sign: -1 },
+};
+
+/** Transactions oldest first; undated (opening balance) entries sort before dated ones. */
+function getSortedTransactions(holding) {
+  const list = Array.isArray(holding.transactions) ? holding.transactions.slice() : [];
+  return list.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+}
+
+/** Lot relief methods an account can use when units are sold. */
+const LOT_METHODS = {
+  FIFO: 'First in, first out',
+  LIFO: 'Last in, first out',
+  HIFO: 'Highest cost first',
+  SPECIFIC: 'Specific lot',
+};
+
+/** Whether a lot acquired on acquiredDate and sold on soldDate was held more than one year (null if a date is unknown). */
+function isLongTerm(acquiredDate, soldDate) {
+  if (!acquiredDate || !soldDate) return null;
+  const oneYearLater = new Date(acquiredDate + 'T12:00:00');
+  oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
+  return new Date(soldDate + 'T12:00:00') > oneYearLater;
+}
+
+/** The sell method of the account that owns a holding (FIFO when unset). */
+function getLotMethodForHolding(holding) {
+  const account = state.accounts.find(a => (a.holdings || []).includes(holding));
+  return account && LOT_METHODS[account.lotMethod] ? account.lotMethod : 'FIFO';
+}
+
+/** Open lots in the order the given method relieves them. */
+function orderLotsForRelief(lots, method) {
+  const open = lots.filter(l => l.quantity > 1e-12);
+  if (method === 'LIFO') return open.slice().sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  if (method === 'HIFO') return open.slice().sort((a, b) => (b.costPerUnit ?? -Infinity) - (a.costPerUnit ?? -Infinity));
+  return open.slice().sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+}
+
+/**
+ * Pick lots for disposing of quantity units. Explicit picks (specific-lot sales) are honoured first;
+ * anything left over is relieved by method (specific lot falls back to FIFO).
+ * @returns {Array<{ lotId: string, quantity: number }>}
+ */
+function pickLots(lots, quantity, method, explicit) {
+  const picks = [];
+  let remaining = quantity;
+  const available = {};
+  for (const l of lots) available[l.id] = l.quantity;
+  for (const p of explicit || []) {
+    const q = Math.min(Number(p.quantity) || 0, available[p.lotId] || 0, remaining);
+    if (q <= 0) continue;
+    picks.push({ lotId: p.lotId, quantity: q });
+    available[p.lotId] -= q;
+    remaining -= q;
+  }
+  const ordered = orderLotsForRelief(lots.map(l => Object.assign({}, l, { quantity: available[l.id] })), method === 'SPECIFIC' ? 'FIFO' : method);
+  for (const l of ordered) {
+    if (remaining <= 1e-12) break;
+    const q = Math.min(l.quantity, remaining);
+    picks.push({ lotId: l.id, quantity: q });
+    remaining -= q;
+  }
+  return picks;
+}
+
+/**
+ * Replay a holding's ledger into tax lots.
+ * Each acquisition opens a lot (cost per unit includes its fee). Disposals relieve lots — using the lots
+ * recorded on the transaction when present, else the account's sell method. Sells realize gains.
+ * costBasis is null if any open lot has no known price; uncovered lists disposals that had too few units to relieve.
+ * @returns {{ quantity: number, costBasis: number|null, lots: Array, realized: Array, uncovered: string[] }}
+ */
+function replayLedger(holding, method) {
+  method = method || getLotMethodForHolding(holding);
+  const lots = [];
+  const realized = [];
+  const uncovered = [];
+  for (const t of getSortedTransactions(holding)) {
+    const type = TRANSACTION_TYPES[t.type];
+    const q = Number(t.quantity) || 0;
+    if (!type || q <= 0) continue;
+    if (type.sign > 0) {
+      const known = t.price != null && !Number.isNaN(Number(t.price));
+      lots.push({
+        id: t.id,
+        date: t.date || null,
+        type: t.type,
+        originalQuantity: q,
+        quantity: q,
+        costPerUnit: known ? Number(t.price) + (Number(t.fee) || 0) / q : null,
+      });
+      continue;
+    }
+    const picks = pickLots(lots, q, method, t.lots);
+    const picked = picks.reduce((sum, p) => sum + p.quantity, 0);
+    if (picked < q - 1e-9) uncovered.push(t.id);
+    for (const p of picks) {
+      const lot = lots.find(l => l.id === p.lotId);
+      lot.quantity -= p.quantity;
+      if (t.type !== 'sell') continue;
+      // A sale saved without a price has unknown proceeds, not proceeds of zero
+      const priced = t.price != null && t.price !== '' && !Number.isNaN(Number(t.price));
+      const proceeds = priced ? p.quantity * Number(t.price) - (Number(t.fee) || 0) * (picked > 0 ? p.quantity / picked : 0) : null;
+      const cost = lot.costPerUnit != null ? p.quantity * lot.costPerUnit : null;
+      const longTerm = isLongTerm(lot.date, t.date);
+      realized.push({
+        transactionId: t.id,
+        date: t.date || null,
+        lotId: lot.id,
+        acquiredDate: lot.date,
+        quantity: p.quantity,
+        proceeds,
+        costBasis: cost,
+        gain: cost != null && proceeds != null ? proceeds - cost : null,
+        term: longTerm == null ? 'unknown' : longTerm ? 'long' : 'short',
+      });
+    }
+  }
+  const open = lots.filter(l => l.quantity > 1e-12);
+  const quantity = open.reduce((sum, l) => sum + l.quantity, 0);
+  const costKnown = open.every(l => l.costPerUnit != null);
+  const costBasis = costKnown ? open.reduce((sum, l) => sum + l.quantity * l.costPerUnit, 0) : null;
+  return { quantity, costBasis, lots: open, realized, uncovered };
+}
+
+const LEDGER_UNCOVERED_ERROR = 'Every sale or transfer out must be covered by units held on its date; this change would leave one short.';
+
+/** LEDGER_UNCOVERED_ERROR if replaying these transactions leaves any disposal without enough lots, else null. */
+function checkLedgerCoverage(transactions, method) {
+  return replayLedger({ transactions }, method).uncovered.length ? LEDGER_UNCOVERED_ERROR : null;
+}
+
+/** Units held: from the ledger for security holdings (legacy flat quantity if no ledger). */
+function getHoldingQuantity(holding) {
+  if (Array.isArray(holding.transactions)) return replayLedger(holding).quantity;
+  return Number(holding.quantity) || 0;
+}
+
+/** Units held at the end of a YYYY-MM-DD date (undated transactions count as always applied). */
+function getHoldingQuantityOn(holding, date) {
+  if (!Array.isArray(holding.transactions)) return getHoldingQuantity(holding);
+  const transactions = holding.transactions.filter(t => !t.date || t.date <= date);
+  return replayLedger({ transactions }, getLotMethodForHolding(holding)).quantity;
+}
+
+/** Average per-unit purchase price, derived from the ledger. */
 function getPurchasePrice(holding) {
-  const qty = Number(holding.quantity) || 0;
-  if (holding.purchasePrice != null && !Number.isNaN(holding.purchasePrice)) return holding.purchasePrice;
-  if (holding.costBasis != null && holding.costBasis > 0 && qty > 0) return holding.costBasis / qty;
-  return null;
+  if (!Array.isArray(holding.transactions)) {
+    return holding.purchasePrice != null && !Number.isNaN(holding.purchasePrice) ? holding.purchasePrice : null;
+  }
+  const { quantity, costBasis } = replayLedger(holding);
+  return costBasis != null && quantity > 0 ? costBasis / quantity : null;
 }
 
-/** Cost basis = Quantity * Purchase Price (for security holdings) */
+/** Cost basis of the units still held (for security holdings) */
 function getHoldingCostBasis(holding, accountType) {
   if (!isSecurityType(accountType)) return null;
-  const qty = Number(holding.quantity) || 0;
-  const pp = getPurchasePrice(holding);
-  return pp != null ? qty * pp : null;
+  if (!Array.isArray(holding.transactions)) {
+    const pp = getPurchasePrice(holding);
+    return pp != null ? getHoldingQuantity(holding) * pp : null;
+  }
+  return replayLedger(holding).costBasis;
+}
+
+/** New security holding whose ledger opens with one acquisition (date may be null when unknown). */
+function createSecurityHolding(ticker, quantity, purchasePrice, date, type) {
+  return {
+    id: id(),
+    ticker,
+    transactions: [{
+      id: id(),
+      type: type || 'buy',
+      date: date || null,
+      quantity,
+      price: purchasePrice != null && !Number.isNaN(purchasePrice) ? purchasePrice : null,
+    }],
+  };
+}
+
+/** Whether a transaction of this type and quantity needs a price per unit: everything except transfers and cash-only fees. */
+function needsTransactionPrice(type, quantity) {
+  return !!TRANSACTION_TYPES[type] && type !== 'transfer_in' && type !== 'transfer_out' && quantity > 0;
+}
+
+/**
+ * Validate and append a transaction. Disposals record the lots they relieve (chosen now by the
+ * account's sell method, or txn.lots for specific-lot sales) so later method changes don't rewrite history.
+ * Returns an error message, or null on success.
+ */
+function addHoldingTransaction(holding, txn) {
+  const type = TRANSACTION_TYPES[txn.type];
+  if (!type) return 'Unknown transaction type.';
+  const q = Number(txn.quantity) || 0;
+  if (q <= 0 && !(txn.type === 'fee' && Number(txn.fee) > 0)) return 'Enter a quantity greater than zero.';
+  const priced = txn.price != null && txn.price !== '' && !Number.isNaN(Number(txn.price));
+  // Acquisitions may have an unknown cost (imports), but a disposal without a price would book made-up proceeds
+  if (type.sign < 0 && needsTransactionPrice(txn.type, q) && !priced) return 'Enter the price per unit for this transaction.';
+  const entry = Object.assign({ id: id() }, txn, { quantity: q });
+  const method = getLotMethodForHolding(holding);
+  if (type.sign < 0 && q > 0) {
+    // Lots as of the transaction date, so back-dated sales only see lots acquired by then
+    const before = { transactions: getSortedTransactions(holding).filter(t => !entry.date || !t.date || t.date <= entry.date) };
+    const { lots, quantity } = replayLedger(before, method);
+    if (q > quantity + 1e-9) return LEDGER_UNCOVERED_ERROR;
+    if (Array.isArray(txn.lots)) {
+      const chosen = txn.lots.reduce((sum, p) => sum + (Number(p.quantity) || 0), 0);
+      if (Math.abs(chosen - q) > 1e-9) return 'Selected lot quantities must add up to the quantity sold.';
+    }
+    entry.lots = pickLots(lots, q, method, txn.lots);
+  }
+  // A back-dated disposal can take lots that a later one relied on
+  const transactions = (holding.transactions || []).concat(entry);
+  const error = checkLedgerCoverage(transactions, method);
+  if (error) return error;
+  holding.transactions = transactions;
+  return null;
+}
+
+/** Open lots with per-lot market value and unrealized P/L at the current price. */
+function getHoldingLotBreakdown(holding) {
+  const price = getCurrentPrice(holding);
+  const today = new Date().toISOString().slice(0, 10);
+  return replayLedger(holding).lots.map((l) => {
+    const cost = l.costPerUnit != null ? l.quantity * l.costPerUnit : null;
+    const value = price != null ? l.quantity * price : null;
+    const longTerm = isLongTerm(l.date, today);
+    return {
+      lot: l,
+      costBasis: cost,
+      marketValue: value,
+      unrealized: cost != null && value != null ? value - cost : null,
+      term: longTerm == null ? 'unknown' : longTerm ? 'long' : 'short',
+    };
+  });
+}
+
+/** Realized gains from every sale in every security account, optionally for one tax year. */
+function getRealizedGains(taxYear) {
+  const rows = [];
+  for (const a of state.accounts) {
+    if (!isSecurityType(a.type)) continue;
+    for (const h of a.holdings) {
+      if (!Array.isArray(h.transactions)) continue;
+      for (const r of replayLedger(h).realized) {
+        if (taxYear && (!r.date || r.date.slice(0, 4) !== String(taxYear))) continue;
+        rows.push(Object.assign({ accountId: a.id, accountName: a.name, ticker: h.ticker, currency: getHoldingCurrency(h, a) }, r));
+      }
+    }
+  }
+  return rows.sort((x, y) => (x.date || '').localeCompare(y.date || ''));
 }
 
 /** Market value = Quantity * Current price (for security holdings) */
@@ -53,27 +305,152 @@ function id() {
   return Math.random().toString(36).slice(2);
 }
 
-function formatMoney(n) {
+// ——— Currencies & FX ———
+
+const PREFERENCES_KEY = 'horizon60_preferences';
+const FX_RATES_KEY = 'horizon60_fxRates';
+const FX_RATES_URL = 'https://api.frankfurter.app/latest?from=USD';
+
+/** Currencies offered in account/holding pickers. Stablecoins are not ISO codes but are common crypto quote currencies. */
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF', 'JPY', 'SEK', 'NOK', 'DKK', 'NZD', 'SGD', 'HKD', 'INR', 'MXN', 'BRL', 'ZAR', 'CNY', 'USDT', 'USDC'];
+
+/** USD value of one unit, used until a rate is fetched or entered (stablecoins track the dollar). */
+const DEFAULT_USD_RATES = { USD: 1, USDT: 1, USDC: 1 };
+
+/** @returns {{ baseCurrency: string }} */
+function getPreferences() {
+  const stored = readStoredJSON(PREFERENCES_KEY, {});
+  const prefs = stored && typeof stored === 'object' ? stored : {};
+  return Object.assign({}, prefs, { baseCurrency: prefs.baseCurrency || 'USD' });
+}
+
+function savePreferences(prefs) {
+  invalidateForecast();
+  try {
+    localStorage.setItem(PREFERENCES_KEY, JSON.stringify(prefs));
+    queueRemoteSave('preferences');
+  } catch (e) {
+    console.warn('Could not save preferences', e);
+  }
+}
+
+function getBaseCurrency() {
+  return getPreferences().baseCurrency;
+}
+
+/** Stored FX rates: { [code]: { usd: number (USD per unit), at: ms, source: 'fetched'|'manual' } } */
+function getFxRates() {
+  const stored = readStoredJSON(FX_RATES_KEY, {});
+  return stored && typeof stored === 'object' ? stored : {};
+}
+
+function saveFxRates(rates) {
+  invalidateForecast();
+  try {
+    localStorage.setItem(FX_RATES_KEY, JSON.stringify(rates));
+    queueRemoteSave('fxRates');
+  } catch (e) {
+    console.warn('Could not save FX rates', e);
+  }
+}
+
+/** USD per one unit of code, or null when no rate is known. */
+function getUsdRate(code) {
+  const c = (code || 'USD').toUpperCase();
+  const r = getFxRates()[c];
+  if (r && Number(r.usd) > 0) return Number(r.usd);
+  return DEFAULT_USD_RATES[c] ?? null;
+}
+
+/** Convert amount between currencies via USD. Returns null when either rate is missing. */
+function convertCurrency(amount, from, to) {
+  if (amount == null || Number.isNaN(amount)) return null;
+  const f = (from || 'USD').toUpperCase();
+  const t = (to || 'USD').toUpperCase();
+  if (f === t) return amount;
+  const fromUsd = getUsdRate(f);
+  const toUsd = getUsdRate(t);
+  if (fromUsd == null || toUsd == null) return null;
+  return amount * fromUsd / toUsd;
+}
+
+/** Currencies used by accounts or holdings that have no rate to the base currency. */
+function getMissingFxCurrencies() {
+  const missing = new Set();
+  const base = getBaseCurrency();
+  for (const a of state.accounts) {
+    const codes = [getAccountCurrency(a)].concat((a.holdings || []).map(h => getHoldingCurrency(h, a)));
+    for (const c of codes) if (convertCurrency(1, c, base) == null) missing.add(c);
+  }
+  return Array.from(missing);
+}
+
+/** Fetch latest reference rates (ECB via Frankfurter) and store them, keeping manual overrides. */
+async function fetchFxRates() {
+  const res = await fetch(FX_RATES_URL);
+  if (!res.ok) throw new Error('FX rates request failed (HTTP ' + res.status + ')');
+  const data = await res.json();
+  const rates = getFxRates();
+  const at = Date.now();
+  for (const [code, perUsd] of Object.entries(data.rates || {})) {
+    if (!(perUsd > 0) || rates[code]?.source === 'manual') continue;
+    rates[code] = { usd: 1 / perUsd, at, source: 'fetched' };
+  }
+  saveFxRates(rates);
+  return rates;
+}
+
+function getAccountCurrency(account) {
+  return (account && account.currency) || 'USD';
+}
+
+/** Currency a holding's prices and cost are in (defaults to its account's currency). */
+function getHoldingCurrency(holding, account) {
+  return holding.currency || getAccountCurrency(account);
+}
+
+/** Symbol for a currency code ("$", "€", "USDT "). */
+function currencySymbol(code) {
+  try {
+    const part = new Intl.NumberFormat(undefined, { style: 'currency', currency: code }).formatToParts(0).find(p => p.type === 'currency');
+    return part ? part.value : code + ' ';
+  } catch {
+    return code + ' '; // not an ISO 4217 code (e.g. USDT)
+  }
+}
+
+/** Compact money (e.g. $1.2M) in the given currency, default the base currency. */
+function formatMoney(n, currency) {
   if (n == null || Number.isNaN(n)) return '—';
   const abs = Math.abs(n);
   const s = abs >= 1e6 ? (abs / 1e6).toFixed(2) + 'M' : abs >= 1e3 ? (abs / 1e3).toFixed(1) + 'k' : abs.toFixed(2);
-  return (n < 0 ? '-' : '') + '$' + s;
+  return (n < 0 ? '-' : '') + currencySymbol(currency || getBaseCurrency()) + s;
 }
 
-function formatMoneyFull(n) {
-  if (n == null || Number.isNaN(n)) return '$0.00';
-  return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(n);
+/** Full money (e.g. $1,234.56) in the given currency, default the base currency. */
+function formatMoneyFull(n, currency) {
+  const code = currency || getBaseCurrency();
+  const value = n == null || Number.isNaN(n) ? 0 : n;
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: code, minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(value);
+  } catch {
+    return new Intl.NumberFormat(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(value) + ' ' + code;
+  }
 }
 
 function isSecurityType(type) {
   return type === 'Retirement' || type === 'Crypto';
 }
 
-/** Current price for a security: override (if set) else API cache else purchase price */
+/** Current price for a security in the holding's currency: override (if set) else cached quote else purchase price */
 function getCurrentPrice(holding) {
   if (holding.priceOverride != null && !Number.isNaN(holding.priceOverride)) return holding.priceOverride;
-  const cached = state.priceCache[holding.ticker?.toUpperCase()]?.price;
-  if (cached != null) return cached;
+  const cached = state.priceCache[holding.ticker?.toUpperCase()];
+  if (cached?.price != null) {
+    const account = state.accounts.find(a => a.holdings.includes(holding));
+    const price = account ? convertCurrency(cached.price, cached.currency || 'USD', getHoldingCurrency(holding, account)) : cached.price;
+    if (price != null) return price;
+  }
   return getPurchasePrice(holding);
 }
 
@@ -81,22 +458,36 @@ function getCurrentPrice(holding) {
 function getHoldingValue(holding, accountType) {
   if (isSecurityType(accountType)) {
     const price = getCurrentPrice(holding);
-    const qty = Number(holding.quantity) || 0;
+    const qty = getHoldingQuantity(holding);
     return price != null ? qty * price : null;
   }
   return Number(holding.balance) || 0;
 }
 
-/** Account balance = sum of holding values. Debt is stored as positive balance but subtracted for net worth. */
-function getAccountBalance(account) {
+/** Holding value converted into its account's currency (null if unpriced or no FX rate). */
+function getHoldingValueInAccountCurrency(holding, account) {
+  return convertCurrency(getHoldingValue(holding, account.type), getHoldingCurrency(holding, account), getAccountCurrency(account));
+}
+
+/** Account balance in the account's own currency = sum of holding values. */
+function getAccountBalanceNative(account) {
   let total = 0;
   for (const h of account.holdings) {
-    const v = getHoldingValue(h, account.type);
+    const v = getHoldingValueInAccountCurrency(h, account);
     if (v != null && !Number.isNaN(v)) total += v;
   }
   return total;
 }
 
+/**
+ * Account balance in the base currency. Debt is stored as positive balance but subtracted for net worth.
+ * Accounts whose currency has no FX rate count as 0 (see getMissingFxCurrencies) rather than being mixed in unconverted.
+ */
+function getAccountBalance(account) {
+  const converted = convertCurrency(getAccountBalanceNative(account), getAccountCurrency(account), getBaseCurrency());
+  return converted != null ? converted : 0;
+}
+
 /** Total net worth = sum of account balances, with Debt subtracted */
 function getTotalNetWorth() {
   let nw = 0;
@@ -117,21 +508,21 @@ function getSummaryByType() {
   return summary;
 }
 
-/** Total invested (cost basis) for a security account */
+/** Total invested (cost basis) for a security account, in the account's currency */
 function getAccountTotalInvested(account) {
   if (!isSecurityType(account.type)) return null;
   let total = 0;
   for (const h of account.holdings) {
-    const cb = getHoldingCostBasis(h, account.type);
+    const cb = convertCurrency(getHoldingCostBasis(h, account.type), getHoldingCurrency(h, account), getAccountCurrency(account));
     if (cb != null && !Number.isNaN(cb)) total += cb;
   }
   return total;
 }
 
-/** Total current market value for a security account (same as balance) */
+/** Total current market value for a security account, in the account's currency */
 function getAccountTotalMarketValue(account) {
   if (!isSecurityType(account.type)) return null;
-  return getAccountBalance(account);
+  return getAccountBalanceNative(account);
 }
 
 /** P/L in dollars: market value - cost basis. Returns null if either missing. */
@@ -151,110 +542,183 @@ function getHoldingProfitLossPct(holding, accountType) {
   return (pl / cb) * 100;
 }
 
-/** Fetch quote from Finnhub (stocks), cache result. Uses CORS proxy to avoid 403 from browser. */
-async function fetchQuote(symbol) {
-  if (!symbol || !state.apiKey) return null;
-  const sym = String(symbol).trim().toUpperCase();
-  const url = FINNHUB_QUOTE_URL + '?symbol=' + encodeURIComponent(sym) + '&token=' + encodeURIComponent(state.apiKey);
-  try {
-    const res = await fetch(CORS_PROXY + encodeURIComponent(url));
-    const text = await res.text();
-    let data;
-    try {
-      data = JSON.parse(text);
-    } catch {
-      return null;
-    }
-    const price = data && typeof data.c === 'number' && !Number.isNaN(data.c) ? data.c : null;
-    if (price != null && price > 0) {
-      state.priceCache[sym] = { price, at: Date.now() };
-      return price;
-    }
-    return null;
-  } catch (e) {
-    console.warn('Quote fetch failed', sym, e);
-    return null;
-  }
+// ——— CSV parsing ———
+
+/** Delimiters tried by detectCSVDelimiter, in order of preference on a tie. */
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/** Error carrying the 1-based { line, column } where the CSV stopped making sense. */
+function CSVError(message, line, column) {
+  const err = new Error(message + ' (line ' + line + ', column ' + column + ')');
+  err.name = 'CSVError';
+  err.line = line;
+  err.column = column;
+  return err;
 }
 
-/** Fetch crypto price from CoinGecko (no API key), cache result. Tries direct fetch first, then CORS proxy. */
-async function fetchQuoteCoinGecko(symbol) {
-  if (!symbol) return null;
-  const sym = String(symbol).trim().toUpperCase();
-  const id = COINGECKO_IDS[sym] || sym.toLowerCase();
-  const url = COINGECKO_PRICE_URL + '?ids=' + encodeURIComponent(id) + '&vs_currencies=usd';
+/**
+ * Streaming RFC 4180 parser. Feed text with push(chunk) as it arrives and call end() once; onRecord(cells, line)
+ * receives each record with the line it starts on. Quoted fields may contain delimiters, line breaks and "" for a quote;
+ * CRLF, LF and CR all end a record. Throws CSVError on a stray quote or an unterminated quoted field.
+ */
+function createCSVParser(delimiter, onRecord) {
+  let state = 'start'; // start | unquoted | quoted | closed (just read a quote inside a quoted field)
+  let field = '';
+  let record = [];
+  let line = 1;
+  let column = 0;
+  let recordLine = 1;
+  let quoteAt = null;
+  let afterCR = false;
+  let started = false;
 
-  function parseResponse(text) {
-    let data;
-    try {
-      data = JSON.parse(text);
-    } catch {
-      return null;
-    }
-    if (data && typeof data.contents === 'string') {
-      try {
-        data = JSON.parse(data.contents);
-      } catch {
-        return null;
+  function endField() {
+    record.push(field);
+    field = '';
+    state = 'start';
+  }
+
+  function endRecord() {
+    endField();
+    onRecord(record, recordLine);
+    record = [];
+  }
+
+  function push(chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+      let c = chunk[i];
+      if (!started) {
+        started = true;
+        if (c === '\uFEFF') continue;
+      }
+      if (afterCR) {
+        afterCR = false;
+        if (c === '\n') continue;
+      }
+      const newline = c === '\n' || c === '\r';
+      if (c === '\r') {
+        afterCR = true;
+        c = '\n';
+      }
+      column++;
+      if (state === 'quoted') {
+        if (c === '"') state = 'closed';
+        else field += c;
+      } else if (state === 'closed') {
+        if (c === '"') {
+          field += '"';
+          state = 'quoted';
+        } else if (c === delimiter) endField();
+        else if (newline) endRecord();
+        else if (c !== ' ' && c !== '\t') throw CSVError('Unexpected character after closing quote', line, column);
+      } else if (c === delimiter) {
+        endField();
+      } else if (newline) {
+        endRecord();
+      } else if (c === '"') {
+        // Allow whitespace before an opening quote, but not a quote inside an unquoted value
+        if (field.trim()) throw CSVError('Unexpected quote in unquoted field', line, column);
+        field = '';
+        state = 'quoted';
+        quoteAt = { line, column };
+      } else {
+        field += c;
+        state = 'unquoted';
+      }
+      if (newline) {
+        line++;
+        column = 0;
+        if (state === 'start' && !record.length) recordLine = line;
       }
     }
-    const coin = data && data[id];
-    return coin && typeof coin.usd === 'number' && !Number.isNaN(coin.usd) ? coin.usd : null;
   }
 
-  try {
-    let res = await fetch(url);
-    let text = await res.text();
-    if (!res.ok) {
-      res = await fetch(CORS_PROXY + encodeURIComponent(url));
-      text = await res.text();
+  function end() {
+    if (state === 'quoted') throw CSVError('Unterminated quoted field', quoteAt.line, quoteAt.column);
+    if (state !== 'start' || record.length) endRecord();
+  }
+
+  return { push, end };
+}
+
+/** Count delimiter characters outside quotes in one line (quotes spanning lines are rare enough in a sample). */
+function countDelimiter(line, delimiter) {
+  let count = 0;
+  let inQuotes = false;
+  for (const c of line) {
+    if (c === '"') inQuotes = !inQuotes;
+    else if (c === delimiter && !inQuotes) count++;
+  }
+  return count;
+}
+
+/** Pick the delimiter that splits the most of the first lines into the same number of columns. */
+function detectCSVDelimiter(text) {
+  const lines = String(text || '').slice(0, 65536).split(/\r\n|\n|\r/).filter((l) => l.trim()).slice(0, 20);
+  let best = ',';
+  let bestScore = 0;
+  for (const delimiter of CSV_DELIMITERS) {
+    const tally = {};
+    for (const line of lines) {
+      const n = countDelimiter(line, delimiter);
+      if (n) tally[n] = (tally[n] || 0) + 1;
     }
-    const price = parseResponse(text);
-    if (price != null && price > 0) {
-      state.priceCache[sym] = { price, at: Date.now() };
-      return price;
+    // Lines agreeing on a column count, weighted slightly by that count to prefer the wider split
+    const score = Object.keys(tally).reduce((max, n) => Math.max(max, tally[n] + n / 1000), 0);
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
     }
-    return null;
-  } catch (e) {
+  }
+  return best;
+}
+
+/**
+ * Decode file bytes to text: a byte-order mark picks UTF-8 or UTF-16; otherwise UTF-8 if the bytes are valid,
+ * else Windows-1252 (what Excel writes on Windows).
+ */
+function decodeCSVBytes(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let encoding = 'utf-8';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) encoding = 'utf-16le';
+  else if (bytes[0] === 0xFE && bytes[1] === 0xFF) encoding = 'utf-16be';
+  else if (!(bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF)) {
     try {
-      const res = await fetch(CORS_PROXY + encodeURIComponent(url));
-      const text = await res.text();
-      const price = parseResponse(text);
-      if (price != null && price > 0) {
-        state.priceCache[sym] = { price, at: Date.now() };
-        return price;
-      }
-    } catch (e2) {
-      console.warn('CoinGecko fetch failed', sym, e2);
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+      encoding = 'windows-1252';
     }
-    return null;
   }
+  return new TextDecoder(encoding).decode(bytes);
+}
+
+/**
+ * Split CSV text into records (arrays of trimmed cells), detecting the delimiter unless one is given. Blank lines are
+ * kept as empty records so callers can find section breaks; each record's `line` is the line it starts on.
+ */
+function parseCSVRecords(text, delimiter) {
+  const records = [];
+  const parser = createCSVParser(delimiter || detectCSVDelimiter(text), (cells, line) => {
+    const record = cells.map((c) => c.trim());
+    const out = record.some((c) => c !== '') ? record : [];
+    out.line = line;
+    records.push(out);
+  });
+  parser.push(String(text || ''));
+  parser.end();
+  return records;
 }
 
 /** Parse CSV text into array of row objects (first row = headers) */
 function parseCSV(text) {
-  const lines = text.split(/\r?\n/).filter((l) => l.trim());
-  if (lines.length < 2) return [];
-  const headers = lines[0].split(',').map((h) => h.replace(/^"|"$/g, '').trim());
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    for (let j = 0; j < lines[i].length; j++) {
-      const c = lines[i][j];
-      if (c === '"') inQuotes = !inQuotes;
-      else if (c === ',' && !inQuotes) {
-        values.push(current.replace(/^"|"$/g, '').trim());
-        current = '';
-      } else current += c;
-    }
-    values.push(current.replace(/^"|"$/g, '').trim());
+  const records = parseCSVRecords(text).filter((r) => r.length);
+  if (records.length < 2) return [];
+  const headers = records[0];
+  return records.slice(1).map((values) => {
     const obj = {};
     headers.forEach((h, idx) => { obj[h] = values[idx] != null ? values[idx] : ''; });
-    rows.push(obj);
-  }
-  return rows;
+    return obj;
+  });
 }
 
 /** Map CSV Type column to our account type */
@@ -266,18 +730,25 @@ function mapCSVTypeToAccountType(typeStr) {
   return 'Retirement';
 }
 
-/** Parse one CSV row into ticker, quantity, average cost basis (template: Ticker, Quantity, Average Cost Basis) */
-function parseCSVRowToHolding(row) {
+/**
+ * Parse one CSV row into ticker, quantity, average cost basis (template: Ticker, Quantity, Average Cost Basis).
+ * decimalComma is the file's decimal style (see detectDecimalComma).
+ */
+function parseCSVRowToHolding(row, decimalComma) {
   const ticker = (row['Ticker'] || row['Symbol'] || '').trim();
-  const qty = parseFloat(row['Quantity']) || 0;
-  const avgCost = parseFloat(String(row['Average Cost Basis'] || '').replace(/[$,]/g, '')) || 0;
+  const qty = parseImportNumber(row['Quantity'], decimalComma) || 0;
+  const avgCost = parseImportNumber(row['Average Cost Basis'], decimalComma) || 0;
   const purchasePrice = avgCost > 0 ? avgCost : undefined;
   return { ticker: ticker ? ticker.toUpperCase() : '', quantity: qty, purchasePrice };
 }
 
-/** Import parsed CSV rows into state.accounts (group by Account Name). Legacy: only used if CSV has Account Name column. */
-function importFromCSV(rows) {
-  if (!rows.length) return;
+/**
+ * New accounts from parsed CSV rows, grouped by Account Name (only security accounts with holdings). Nothing is saved.
+ * Legacy: only used if CSV has Account Name column.
+ * @returns {Array<{ id, name, type, institution, holdings }>}
+ */
+function parseAccountsFromCSV(rows, decimalComma) {
+  const accounts = [];
   const byAccount = {};
   for (const row of rows) {
     const name = (row['Account Name'] || '').trim();
@@ -290,13 +761,13 @@ function importFromCSV(rows) {
     const isSecurity = type === 'Retirement' || type === 'Crypto';
     const holdings = [];
     for (const row of data.rows) {
-      const parsed = parseCSVRowToHolding(row);
+      const parsed = parseCSVRowToHolding(row, decimalComma);
       if (isSecurity && parsed.ticker) {
-        holdings.push({ id: id(), ticker: parsed.ticker, quantity: parsed.quantity, purchasePrice: parsed.purchasePrice });
+        holdings.push(createSecurityHolding(parsed.ticker, parsed.quantity, parsed.purchasePrice));
       }
     }
     if (holdings.length) {
-      state.accounts.push({
+      accounts.push({
         id: id(),
         name: accountName,
         type,
@@ -305,95 +776,1433 @@ function importFromCSV(rows) {
       });
     }
   }
-  saveState();
-  render();
+  return accounts;
 }
 
-/** Import parsed CSV rows into a single account (used from Add Holding modal). Template: Ticker, Quantity, Average Cost Basis. */
-function importFromCSVIntoAccount(rows, accountId) {
-  const account = state.accounts.find(a => a.id === accountId);
-  if (!account || !rows.length) return 0;
-  const isSecurity = isSecurityType(account.type);
-  let added = 0;
-  for (const row of rows) {
-    const parsed = parseCSVRowToHolding(row);
-    if (isSecurity && parsed.ticker) {
-      account.holdings.push({ id: id(), ticker: parsed.ticker, quantity: parsed.quantity, purchasePrice: parsed.purchasePrice });
-      added++;
-    }
-  }
-  if (added) {
-    saveState();
-    render();
+// ——— CSV import profiles ———
+
+/**
+ * An import profile: { id, label, detect: header names that identify the file, columns: { field: header | header[] },
+ * classify?(get) → 'cash' | 'pending' | 'total' | null, transactions? }. Position profiles need ticker and quantity
+ * columns (avgCost / totalCost optional); transaction profiles (Coinbase) rebuild holdings from each row instead.
+ * Saved wizard mappings have the same shape and live in preferences.importProfiles.
+ */
+const IMPORT_PROFILES = [
+  {
+    id: 'fidelity',
+    label: 'Fidelity positions',
+    detect: ['Account Name', 'Symbol', 'Description', 'Quantity', 'Last Price', 'Current Value'],
+    columns: { ticker: 'Symbol', quantity: 'Quantity', avgCost: 'Average Cost Basis', totalCost: 'Cost Basis Total', value: 'Current Value' },
+    classify(get) {
+      if (/^pending activity$/i.test(get('ticker'))) return 'pending';
+      if (/\*\*$/.test(get('ticker')) || /money market|held in fcash/i.test(get('Description'))) return 'cash';
+      return null;
+    },
+  },
+  {
+    id: 'schwab',
+    label: 'Schwab positions',
+    detect: ['Symbol', 'Description', 'Security Type'],
+    columns: {
+      ticker: 'Symbol',
+      quantity: ['Quantity', 'Qty (Quantity)'],
+      totalCost: ['Cost Basis', 'Cost Basis (Cost Basis)'],
+      value: ['Market Value', 'Mkt Val (Market Value)'],
+    },
+    classify(get) {
+      if (/^account total$/i.test(get('ticker'))) return 'total';
+      if (/^cash & cash investments$/i.test(get('ticker')) || /cash and money market/i.test(get('Security Type'))) return 'cash';
+      return null;
+    },
+  },
+  {
+    id: 'vanguard',
+    label: 'Vanguard holdings',
+    detect: ['Account Number', 'Investment Name', 'Symbol', 'Shares', 'Total Value'],
+    columns: { ticker: 'Symbol', quantity: 'Shares', value: 'Total Value' },
+    classify(get) {
+      return /money market|settlement fund/i.test(get('Investment Name')) ? 'cash' : null;
+    },
+  },
+  {
+    id: 'coinbase',
+    label: 'Coinbase transactions',
+    detect: ['Timestamp', 'Transaction Type', 'Asset', 'Quantity Transacted'],
+    columns: {
+      date: 'Timestamp',
+      type: 'Transaction Type',
+      ticker: 'Asset',
+      quantity: 'Quantity Transacted',
+      price: ['Price at Transaction', 'Spot Price at Transaction'],
+      fee: ['Fees and/or Spread', 'Fees'],
+      notes: 'Notes',
+    },
+    transactions: true,
+  },
+  {
+    id: 'template',
+    label: 'Horizon 60 template',
+    detect: ['Quantity', 'Average Cost Basis'],
+    columns: { ticker: ['Ticker', 'Symbol'], quantity: 'Quantity', avgCost: 'Average Cost Basis' },
+  },
+];
+
+/** Fields the mapping wizard can point at a column. */
+const IMPORT_FIELDS = [
+  { key: 'ticker', label: 'Ticker / symbol', required: true },
+  { key: 'quantity', label: 'Quantity', required: true },
+  { key: 'avgCost', label: 'Average cost per unit' },
+  { key: 'totalCost', label: 'Total cost basis' },
+];
+
+/** Coinbase transaction types → ledger types. Convert is split into a sell and a buy. */
+const COINBASE_TYPES = {
+  'buy': 'buy',
+  'advanced trade buy': 'buy',
+  'sell': 'sell',
+  'advanced trade sell': 'sell',
+  'receive': 'transfer_in',
+  'send': 'transfer_out',
+  'rewards income': 'reinvest',
+  'staking income': 'reinvest',
+  'learning reward': 'reinvest',
+  'inflation reward': 'reinvest',
+};
+
+const FIAT_ASSETS = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'USDC'];
+
+/**
+ * Built-in broker profiles first: a saved mapping only needs its mapped columns to be present, so it must not
+ * shadow a broker export that happens to share them. Files that no broker matches still reach the saved ones.
+ */
+function getImportProfiles() {
+  const saved = getPreferences().importProfiles;
+  return IMPORT_PROFILES.concat(Array.isArray(saved) ? saved : []);
+}
+
+/**
+ * Broker number cell → number: strips currency symbols, % and +, reads (1.5) as negative and 1.2E-05 as scientific;
+ * null for blanks and "--".
+ * decimalComma (from detectDecimalComma over the whole file) says whether "," is the decimal separator; without it
+ * each cell decides by its own look (see numberStyle), and a lone comma before three digits is read as thousands.
+ */
+function parseImportNumber(value, decimalComma) {
+  let s = String(value == null ? '' : value).trim();
+  if (!s || /^-+$/.test(s) || /^n\/?a$/i.test(s)) return null;
+  const negative = /^\(.*\)$/.test(s);
+  // Excel writes tiny quantities as "1.2E-05" (or "1,2E-05"); the mantissa's one separator is always the decimal one
+  const scientific = s.match(/(-?\d+(?:[.,]\d+)?)e([+-]?\d+)\)?$/i);
+  if (scientific) {
+    const n = Number(scientific[1].replace(',', '.') + 'e' + scientific[2]);
+    if (Number.isNaN(n)) return null;
+    return negative ? -Math.abs(n) : n;
   }
-  return added;
+  s = s.replace(/[^\d.,-]/g, '');
+  const comma = decimalComma != null ? decimalComma : numberStyle(s) === 'comma';
+  s = comma ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  const n = parseFloat(s);
+  if (Number.isNaN(n)) return null;
+  return negative ? -Math.abs(n) : n;
+}
+
+/**
+ * Which decimal separator a number written like s must be using: 'comma' ("1.234,56", "12,5", "0,125", "1.234.567"),
+ * 'point' ("1,234.56", "12.5", "0.125", "1,234,567"), or null when it could be either ("1,500", "1.500", "42").
+ */
+function numberStyle(s) {
+  if (/^-?0,\d/.test(s)) return 'comma';
+  if (/^-?0\.\d/.test(s)) return 'point';
+  const lastComma = s.lastIndexOf(',');
+  const lastDot = s.lastIndexOf('.');
+  if (lastComma !== -1 && lastDot !== -1) return lastComma > lastDot ? 'comma' : 'point';
+  const sep = lastComma !== -1 ? ',' : lastDot !== -1 ? '.' : null;
+  if (!sep) return null;
+  if (s.split(sep).length > 2) return sep === ',' ? 'point' : 'comma';
+  if (/^\d{3}$/.test(s.slice(s.lastIndexOf(sep) + 1))) return null;
+  return sep === ',' ? 'comma' : 'point';
 }
 
-/** Parse CSV rows into holding objects (no id). Template: Ticker, Quantity, Average Cost Basis. Used when importing in Add Account modal. */
-function parseCSVRowsToHoldings(rows, type) {
-  var list = [];
-  var isSecurity = type === 'Retirement' || type === 'Crypto';
-  for (var i = 0; i < rows.length; i++) {
-    var parsed = parseCSVRowToHolding(rows[i]);
-    if (isSecurity && parsed.ticker) {
-      list.push({ ticker: parsed.ticker, quantity: parsed.quantity, purchasePrice: parsed.purchasePrice });
+/**
+ * Decimal style of a whole file, so "0,125" and "1,500" in one European export are read alike: true (decimal comma),
+ * false (decimal point) or null when no cell settles it. Decided by the majority of the numeric cells that do.
+ */
+function detectDecimalComma(records) {
+  let comma = 0;
+  let point = 0;
+  for (const record of records) {
+    for (const cell of record) {
+      const s = String(cell == null ? '' : cell).trim();
+      if (!/\d/.test(s) || !/^[(+-]?[^\d\s]{0,3}\s?[\d.,]+\s?[^\d\s]{0,3}\)?$/.test(s)) continue;
+      const style = numberStyle(s.replace(/[^\d.,-]/g, ''));
+      if (style === 'comma') comma++;
+      else if (style === 'point') point++;
     }
   }
-  return list;
+  return comma === point ? null : comma > point;
 }
 
-/** Refresh prices for all unique tickers in state */
-async function refreshAllPrices() {
-  const cryptoTickers = new Set();
-  const retirementTickers = new Set();
-  for (const a of state.accounts) {
-    if (!isSecurityType(a.type)) continue;
-    a.holdings.forEach(h => {
-      if (!h.ticker) return;
-      const t = h.ticker.trim().toUpperCase();
-      if (a.type === 'Crypto' || COINGECKO_IDS[t]) cryptoTickers.add(t);
-      else retirementTickers.add(t);
-    });
-  }
-  for (const t of cryptoTickers) {
-    await fetchQuoteCoinGecko(t);
-    await new Promise(r => setTimeout(r, 250));
-  }
-  for (const t of retirementTickers) {
-    if (state.apiKey) await fetchQuote(t);
-    await new Promise(r => setTimeout(r, 300));
-  }
-  render();
+function normalizeHeader(h) {
+  return String(h || '').trim().toLowerCase();
 }
 
-// ——— Render ———
+/** Index of the first record (among the first 30) that carries every header in `names`, or -1. */
+function findHeaderRow(records, names) {
+  const wanted = names.map(normalizeHeader);
+  const limit = Math.min(records.length, 30);
+  for (let i = 0; i < limit; i++) {
+    const cells = records[i].map(normalizeHeader);
+    if (wanted.every((w) => cells.includes(w))) return i;
+  }
+  return -1;
+}
 
-function renderNetWorth() {
-  const nw = getTotalNetWorth();
-  const el = document.getElementById('net-worth-hero');
-  const changeEl = document.getElementById('net-worth-change');
-  if (el) {
-    const [whole, dec] = formatMoneyFull(nw).replace('$', '').split('.');
-    el.innerHTML = `$${whole.replace(/,/g, ',')}.<span class="text-white/30 text-3xl">${(dec || '00').slice(0, 2)}</span>`;
+/** First profile whose headers appear in the file, with the header row it was found on. */
+function detectImportProfile(records) {
+  for (const profile of getImportProfiles()) {
+    const headerRow = findHeaderRow(records, profile.detect || []);
+    if (headerRow !== -1) return { profile, headerRow };
   }
-  if (changeEl) changeEl.textContent = '—'; // optional: compute vs last month
+  return null;
 }
 
-function getTypeIcon(type) {
-  const icons = { Cash: 'account_balance_wallet', Retirement: 'auto_graph', Crypto: 'currency_bitcoin', Debt: 'credit_card_off' };
-  return icons[type] || 'account_balance';
+/** Cell reader for one row: get(field) resolves through profile.columns, anything else is read as a raw header. */
+function makeRowReader(headers, profile) {
+  const index = {};
+  headers.forEach((h, i) => {
+    const key = normalizeHeader(h);
+    if (!(key in index)) index[key] = i;
+  });
+  return (record) => (name) => {
+    const spec = profile.columns[name] != null ? profile.columns[name] : name;
+    for (const header of [].concat(spec)) {
+      const i = index[normalizeHeader(header)];
+      if (i != null && record[i] != null && record[i] !== '') return record[i];
+    }
+    return '';
+  };
 }
 
-function getTypeCardClass(type) {
-  if (type === 'Crypto') return 'border-accent-blue/20 hover:border-accent-blue/50';
-  if (type === 'Debt') return 'border-red-500/10 hover:border-red-500/50';
-  return 'hover:border-primary/50';
+/**
+ * Run a profile over parsed records. Data ends at the first blank line (brokers put disclaimers and
+ * second sections after it). Returns { holdings, skipped: [{ line, reason, text }], cash }; holdings are ready to push.
+ */
+function parseWithImportProfile(records, profile, headerRow) {
+  const reader = makeRowReader(records[headerRow], profile);
+  const result = { holdings: [], skipped: [], cash: 0 };
+  const rows = [];
+  const text = {};
+  for (let i = headerRow + 1; i < records.length; i++) {
+    const record = records[i];
+    if (!record.length) break;
+    text[record.line] = record.join(', ');
+    if (record.filter((c) => c !== '').length < 2) {
+      result.skipped.push({ line: record.line, reason: 'footer' });
+      continue;
+    }
+    rows.push({ line: record.line, get: reader(record) });
+  }
+  const decimalComma = detectDecimalComma(records.slice(headerRow + 1));
+  if (profile.transactions) parseImportTransactions(rows, result, decimalComma);
+  else parseImportPositions(profile, rows, result, decimalComma);
+  result.skipped.forEach((s) => { s.text = text[s.line] || ''; });
+  return result;
 }
 
-function renderSummaryCards() {
-  const summary = getSummaryByType();
-  const container = document.getElementById('summary-cards');
-  if (!container) return;
+/** One holding per position row; cash, pending and total rows are skipped (cash summed). */
+function parseImportPositions(profile, rows, result, decimalComma) {
+  const num = (v) => parseImportNumber(v, decimalComma);
+  for (const { line, get } of rows) {
+    const kind = profile.classify ? profile.classify(get) : null;
+    if (kind === 'cash') {
+      result.cash += num(get('value')) || num(get('quantity')) || 0;
+      result.skipped.push({ line, reason: 'cash' });
+      continue;
+    }
+    if (kind) {
+      result.skipped.push({ line, reason: kind });
+      continue;
+    }
+    const ticker = get('ticker').replace(/\*+$/, '').trim().toUpperCase();
+    const quantity = num(get('quantity'));
+    if (!ticker || !(quantity > 0)) {
+      result.skipped.push({ line, reason: 'invalid' });
+      continue;
+    }
+    const avgCost = num(get('avgCost'));
+    const totalCost = num(get('totalCost'));
+    const price = avgCost > 0 ? avgCost : totalCost > 0 ? totalCost / quantity : undefined;
+    result.holdings.push(createSecurityHolding(ticker, quantity, price));
+  }
+  return result;
+}
+
+/** Coinbase-style rows → one holding per asset, transactions applied oldest first through the ledger. */
+function parseImportTransactions(rows, result, decimalComma) {
+  const num = (v) => parseImportNumber(v, decimalComma);
+  const entries = [];
+  for (const { line, get } of rows) {
+    const type = normalizeHeader(get('type'));
+    const date = (get('date').match(/\d{4}-\d{2}-\d{2}/) || [null])[0];
+    const ticker = get('ticker').toUpperCase();
+    const quantity = Math.abs(num(get('quantity')) || 0);
+    const price = num(get('price'));
+    const fee = num(get('fee'));
+    if (type === 'convert') {
+      // Notes read "Converted 0.5 ETH to 1,234.56 USDC"
+      const m = get('notes').match(/converted\s+([\d.,]+)\s+(\S+)\s+to\s+([\d.,]+)\s+(\S+)/i);
+      if (!m) {
+        result.skipped.push({ line, reason: 'invalid' });
+        continue;
+      }
+      const soldQty = num(m[1]);
+      const boughtQty = num(m[3]);
+      const proceeds = price != null ? soldQty * price : null;
+      entries.push({ line, ticker: m[2].toUpperCase(), txn: { type: 'sell', date, quantity: soldQty, price, fee } });
+      entries.push({ line, ticker: m[4].toUpperCase(), txn: { type: 'buy', date, quantity: boughtQty, price: proceeds != null && boughtQty ? proceeds / boughtQty : null } });
+      continue;
+    }
+    if (FIAT_ASSETS.includes(ticker)) {
+      result.skipped.push({ line, reason: 'cash' });
+      continue;
+    }
+    const ledgerType = COINBASE_TYPES[type];
+    if (!ledgerType || !ticker || !(quantity > 0)) {
+      result.skipped.push({ line, reason: ledgerType ? 'invalid' : 'unsupported' });
+      continue;
+    }
+    entries.push({ line, ticker, txn: { type: ledgerType, date, quantity, price, fee } });
+  }
+  entries.sort((a, b) => String(a.txn.date || '').localeCompare(String(b.txn.date || '')));
+  const byTicker = {};
+  for (const { line, ticker, txn } of entries) {
+    if (FIAT_ASSETS.includes(ticker)) {
+      result.skipped.push({ line, reason: 'cash' });
+      continue;
+    }
+    if (!byTicker[ticker]) byTicker[ticker] = { id: id(), ticker, transactions: [] };
+    const clean = { type: txn.type, date: txn.date, quantity: txn.quantity, price: txn.price != null ? txn.price : null };
+    if (txn.fee > 0) clean.fee = txn.fee;
+    if (addHoldingTransaction(byTicker[ticker], clean)) result.skipped.push({ line, reason: 'invalid' });
+  }
+  result.holdings = Object.values(byTicker).filter((h) => h.transactions.length);
+  return result;
+}
+
+const IMPORT_SKIP_LABELS = {
+  pending: 'pending activity',
+  cash: 'cash',
+  total: 'total',
+  footer: 'footer',
+  invalid: 'invalid',
+  unsupported: 'unsupported',
+};
+
+/** One-line description of what was skipped, e.g. "Skipped 2 cash rows ($1,204.10), 1 pending activity row." */
+function describeImportSkips(result, currency) {
+  const counts = {};
+  result.skipped.forEach((s) => { counts[s.reason] = (counts[s.reason] || 0) + 1; });
+  const parts = Object.keys(counts).map((reason) => {
+    const label = counts[reason] + ' ' + IMPORT_SKIP_LABELS[reason] + ' row' + (counts[reason] === 1 ? '' : 's');
+    return reason === 'cash' && result.cash ? label + ' (' + formatMoneyFull(result.cash, currency) + ')' : label;
+  });
+  return parts.length ? ' Skipped ' + parts.join(', ') + '.' : '';
+}
+
+/**
+ * Where an import lands: { accountId } for an existing account, { newAccount: true } for the Add Account form,
+ * or { newAccounts } for the accounts a multi-account file creates.
+ */
+let pendingImport = null;
+
+/** Entry point for both Import CSV buttons: detect a profile, or hand the file to the mapping wizard. */
+function startCSVImport(text, target) {
+  const records = parseCSVRecords(text);
+  if (!records.some((r) => r.length)) {
+    alert('CSV is empty or has no data rows.');
+    return;
+  }
+  if (!target.accountId && !target.newAccount) {
+    // Legacy multi-account file: one account per Account Name, previewed like any other import
+    const accounts = parseAccountsFromCSV(parseCSV(text), detectDecimalComma(records));
+    const holdings = [].concat(...accounts.map((a) => a.holdings));
+    openImportPreview({ holdings, skipped: [] }, { label: 'Multi-account CSV' }, { newAccounts: accounts });
+    return;
+  }
+  const detected = detectImportProfile(records);
+  if (detected) {
+    openImportPreview(parseWithImportProfile(records, detected.profile, detected.headerRow), detected.profile, target);
+    return;
+  }
+  openImportMappingModal(records, target);
+}
+
+/** Best-guess column for a wizard field, from common header spellings. */
+function guessImportColumn(headers, key) {
+  const patterns = {
+    ticker: /^(ticker|symbol|asset|security)\b/i,
+    quantity: /^(quantity|qty|shares|units|amount)\b/i,
+    avgCost: /(average|avg|unit).*(cost|price)|cost per share/i,
+    totalCost: /^(total )?cost( basis)?( total)?$/i,
+  };
+  return headers.findIndex((h) => patterns[key].test(String(h).trim()));
+}
+
+function openImportMappingModal(records, target) {
+  pendingImport = { records, target };
+  const rowSelect = document.getElementById('import-header-row');
+  if (rowSelect) {
+    const options = [];
+    for (let i = 0; i < Math.min(records.length, 30); i++) {
+      if (records[i].length < 2) continue;
+      const preview = records[i].filter(Boolean).slice(0, 4).join(', ');
+      options.push('<option value="' + i + '">Line ' + records[i].line + ': ' + escapeHtml(preview.length > 60 ? preview.slice(0, 57) + '…' : preview) + '</option>');
+    }
+    rowSelect.innerHTML = options.join('');
+  }
+  const nameEl = document.getElementById('import-profile-name');
+  if (nameEl) nameEl.value = '';
+  const saveEl = document.getElementById('import-save-profile');
+  if (saveEl) saveEl.checked = false;
+  renderImportMappingFields();
+  renderSavedImportProfiles();
+  openModal('modal-import-mapping');
+}
+
+/** Saved wizard mappings, each with a delete button, so a mapping that matches the wrong files can be dropped. */
+function renderSavedImportProfiles() {
+  const el = document.getElementById('import-saved-profiles');
+  if (!el) return;
+  const saved = getPreferences().importProfiles || [];
+  el.innerHTML = saved.length
+    ? '<p class="text-sm font-semibold text-white/80 mb-1">Saved profiles</p>' + saved.map((p) =>
+      '<div class="flex items-center justify-between text-sm text-white/70 py-1"><span>' + escapeHtml(p.label) + ' <span class="text-white/40">(' + escapeHtml(Object.values(p.columns).join(', ')) + ')</span></span>' +
+      '<button type="button" data-delete-import-profile="' + escapeHtml(p.id) + '" class="text-white/50 hover:text-red-400" title="Delete profile"><span class="material-symbols-outlined text-sm">delete</span></button></div>').join('')
+    : '';
+}
+
+/** Fill the field → column selects from the chosen header row. */
+function renderImportMappingFields() {
+  const container = document.getElementById('import-mapping-fields');
+  if (!container || !pendingImport) return;
+  const headerRow = parseInt(document.getElementById('import-header-row')?.value, 10) || 0;
+  const headers = pendingImport.records[headerRow] || [];
+  container.innerHTML = IMPORT_FIELDS.map((field) => {
+    const guess = guessImportColumn(headers, field.key);
+    const options = ['<option value="">' + (field.required ? 'Choose a column…' : 'Not in this file') + '</option>']
+      .concat(headers.map((h, i) => h ? '<option value="' + i + '"' + (i === guess ? ' selected' : '') + '>' + escapeHtml(h) + '</option>' : ''));
+    return '<div><label for="import-map-' + field.key + '" class="block text-sm font-semibold text-white/80 mb-1">' + field.label + (field.required ? ' *' : '') + '</label>' +
+      '<select id="import-map-' + field.key + '" data-import-field="' + field.key + '" class="w-full rounded-lg bg-white/10 border border-white/20 px-4 py-2.5 text-white focus:border-primary focus:ring-1 focus:ring-primary">' + options.join('') + '</select></div>';
+  }).join('');
+}
+
+/** Build a profile from the wizard, optionally save it, and import with it. */
+function submitImportMapping() {
+  if (!pendingImport) return;
+  const headerRow = parseInt(document.getElementById('import-header-row')?.value, 10) || 0;
+  const headers = pendingImport.records[headerRow] || [];
+  const columns = {};
+  document.querySelectorAll('[data-import-field]').forEach((select) => {
+    if (select.value !== '') columns[select.getAttribute('data-import-field')] = headers[parseInt(select.value, 10)];
+  });
+  const missing = IMPORT_FIELDS.filter((f) => f.required && !columns[f.key]);
+  if (missing.length) {
+    alert('Choose a column for ' + missing.map((f) => f.label).join(' and ') + '.');
+    return;
+  }
+  const save = document.getElementById('import-save-profile')?.checked;
+  const name = document.getElementById('import-profile-name')?.value?.trim();
+  if (save && !name) {
+    alert('Enter a name for the profile.');
+    return;
+  }
+  const profile = { id: 'custom-' + id(), label: name || 'mapped CSV', detect: Object.values(columns), columns };
+  if (save) {
+    const prefs = getPreferences();
+    const saved = Array.isArray(prefs.importProfiles) ? prefs.importProfiles : [];
+    savePreferences(Object.assign(prefs, { importProfiles: saved.concat(profile) }));
+  }
+  const { records, target } = pendingImport;
+  pendingImport = null;
+  closeModal('modal-import-mapping');
+  openImportPreview(parseWithImportProfile(records, profile, headerRow), profile, target);
+}
+
+/** Remove a saved wizard mapping. */
+function deleteImportProfile(profileId) {
+  const prefs = getPreferences();
+  const saved = Array.isArray(prefs.importProfiles) ? prefs.importProfiles : [];
+  savePreferences(Object.assign(prefs, { importProfiles: saved.filter((p) => p.id !== profileId) }));
+  renderSavedImportProfiles();
+}
+
+// ——— Import preview & undo ———
+
+/** Parsed import waiting for confirmation: { result, profile, target }. Nothing is written until it is confirmed. */
+let pendingImportPreview = null;
+
+/** The latest import, until the next one: { label, accounts: [{ id, before }] } (before is null for accounts it created). */
+let lastImport = null;
+
+/** lastImport is kept in this browser only (not synced or backed up) so Undo survives a reload. */
+const LAST_IMPORT_KEY = 'horizon60_lastImport';
+
+function loadLastImport() {
+  const stored = readStoredJSON(LAST_IMPORT_KEY, null);
+  lastImport = stored && typeof stored.label === 'string' && Array.isArray(stored.accounts) ? stored : null;
+}
+
+/** Forget the last import, e.g. once accounts are replaced wholesale and its snapshots no longer apply. */
+function clearLastImport() {
+  lastImport = null;
+  saveLastImport();
+  renderUndoImport();
+}
+
+/** Store lastImport; if it does not fit in storage, Undo stays available until the page is closed. */
+function saveLastImport() {
+  try {
+    if (lastImport) localStorage.setItem(LAST_IMPORT_KEY, JSON.stringify(lastImport));
+    else localStorage.removeItem(LAST_IMPORT_KEY);
+  } catch (e) {
+    console.warn('Could not save the last import for undo', e);
+  }
+}
+
+const IMPORT_STATUS_BADGES = {
+  new: '<span class="rounded px-1.5 py-0.5 text-[10px] font-bold bg-primary/20 text-primary">New</span>',
+  match: '<span class="rounded px-1.5 py-0.5 text-[10px] font-bold bg-accent/20 text-accent">Matches holding</span>',
+  invalid: '<span class="rounded px-1.5 py-0.5 text-[10px] font-bold bg-red-500/20 text-red-300">Invalid</span>',
+};
+
+/** Show every parsed row as new, matching an existing ticker, invalid or skipped, with the import mode to use. */
+function openImportPreview(result, profile, target) {
+  let account = null;
+  let currency;
+  // Holding id → the new account it goes to, for multi-account files
+  const accountNames = {};
+  if (target.newAccounts) {
+    currency = getBaseCurrency();
+    for (const a of target.newAccounts) for (const h of a.holdings) accountNames[h.id] = a.name;
+  } else if (target.newAccount) {
+    if (!isSecurityType(document.getElementById('account-type')?.value)) {
+      alert('CSV import adds investment holdings. Choose the Retirement or Crypto type first.');
+      return;
+    }
+    currency = document.getElementById('account-currency')?.value || getBaseCurrency();
+  } else {
+    account = state.accounts.find((a) => a.id === target.accountId);
+    if (!account) return;
+    if (!isSecurityType(account.type)) {
+      alert('CSV import adds investment holdings, which this account type does not hold.');
+      return;
+    }
+    currency = getAccountCurrency(account);
+  }
+  pendingImportPreview = { result, profile, target };
+  const existing = new Set(account ? account.holdings.map((h) => String(h.ticker || '').toUpperCase()) : []);
+  const matches = result.holdings.filter((h) => existing.has(h.ticker)).length;
+  const invalid = result.skipped.filter((s) => s.reason === 'invalid').length;
+  const summaryEl = document.getElementById('import-preview-summary');
+  if (summaryEl && target.newAccounts) {
+    summaryEl.textContent = profile.label + ': ' + result.holdings.length + ' holding(s) in ' + target.newAccounts.length + ' new account(s).';
+  } else if (summaryEl) {
+    summaryEl.textContent = profile.label + ': ' + (result.holdings.length - matches) + ' new, ' + matches + ' matching existing holdings, ' +
+      invalid + ' invalid.' + describeImportSkips({ skipped: result.skipped.filter((s) => s.reason !== 'invalid'), cash: result.cash }, currency);
+  }
+  const rows = result.holdings.map((h) => {
+    const avgCost = getPurchasePrice(h);
+    return `<tr class="border-t border-white/10">
+      <td class="py-2 px-3 text-white font-medium">${accountNames[h.id] ? `<span class="text-white/50 font-normal">${escapeHtml(accountNames[h.id])} · </span>` : ''}${escapeHtml(h.ticker)}</td>
+      <td class="py-2 px-3 text-white/70">${+getHoldingQuantity(h).toFixed(8)}</td>
+      <td class="py-2 px-3 text-white/70">${avgCost != null ? formatMoneyFull(avgCost, currency) : '—'}</td>
+      <td class="py-2 px-3">${IMPORT_STATUS_BADGES[existing.has(h.ticker) ? 'match' : 'new']}</td>
+    </tr>`;
+  }).concat(result.skipped.map((s) => `<tr class="border-t border-white/10 text-white/40">
+      <td class="py-2 px-3" colspan="3">Line ${s.line}: ${escapeHtml((s.text || '').slice(0, 80))}</td>
+      <td class="py-2 px-3">${s.reason === 'invalid' ? IMPORT_STATUS_BADGES.invalid : 'Skipped · ' + escapeHtml(IMPORT_SKIP_LABELS[s.reason])}</td>
+    </tr>`));
+  const tableEl = document.getElementById('import-preview-table');
+  if (tableEl) {
+    tableEl.innerHTML = `<table class="w-full text-left text-sm">
+      <thead><tr class="text-white/50 border-b border-white/10">
+        <th class="py-2 px-3 font-semibold">Ticker</th><th class="py-2 px-3 font-semibold">Qty</th><th class="py-2 px-3 font-semibold">Avg cost</th><th class="py-2 px-3 font-semibold">Status</th>
+      </tr></thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>`;
+  }
+  const modeWrap = document.getElementById('import-mode-wrap');
+  if (modeWrap) modeWrap.classList.toggle('hidden', !account);
+  const modeEl = document.getElementById('import-mode');
+  if (modeEl) modeEl.value = matches ? 'merge' : 'append';
+  const confirmBtn = document.getElementById('import-preview-confirm');
+  if (confirmBtn) confirmBtn.disabled = !result.holdings.length;
+  openModal('modal-import-preview');
+}
+
+/** Add an imported holding's transactions to an existing one, so quantity and average cost are recomputed by the ledger. */
+function mergeImportedHolding(target, imported) {
+  if (!Array.isArray(target.transactions)) {
+    target.transactions = createSecurityHolding(target.ticker, getHoldingQuantity(target), getPurchasePrice(target)).transactions;
+    delete target.quantity;
+    delete target.purchasePrice;
+  }
+  target.transactions.push(...imported.transactions);
+}
+
+/** Write imported holdings into an account: 'append' adds them all, 'merge' folds them into same-ticker holdings, 'replace' swaps the list. */
+function applyImportMode(account, holdings, mode) {
+  if (mode === 'replace') {
+    account.holdings = holdings.slice();
+    return;
+  }
+  for (const h of holdings) {
+    const match = mode === 'merge' && account.holdings.find((x) => String(x.ticker || '').toUpperCase() === h.ticker);
+    if (match) mergeImportedHolding(match, h);
+    else account.holdings.push(h);
+  }
+}
+
+/** Remember the accounts an import is about to change, and the ones it created, so it can be undone. */
+function recordImportUndo(label, changed, created) {
+  lastImport = {
+    label,
+    accounts: changed.map((a) => ({ id: a.id, before: JSON.parse(JSON.stringify(a)) }))
+      .concat((created || []).map((a) => ({ id: a.id, before: null }))),
+  };
+  saveLastImport();
+  renderUndoImport();
+}
+
+function confirmImportPreview() {
+  if (!pendingImportPreview) return;
+  const { result, profile, target } = pendingImportPreview;
+  pendingImportPreview = null;
+  closeModal('modal-import-preview');
+  const count = result.holdings.length;
+  if (target.newAccounts) {
+    state.accounts.push(...target.newAccounts);
+    recordImportUndo('CSV accounts', [], target.newAccounts);
+    saveState();
+    render();
+    alert('Import complete. ' + target.newAccounts.length + ' account(s) added.');
+    if (count && canAutoSyncPrices()) refreshAllPrices();
+    return;
+  }
+  if (target.newAccount) {
+    pendingAddAccountHoldings = result.holdings;
+    alert('Read ' + count + ' holding(s) from ' + profile.label + '. Enter account name and click Add Account to create.');
+    return;
+  }
+  const account = state.accounts.find((a) => a.id === target.accountId);
+  if (!account) return;
+  const mode = document.getElementById('import-mode')?.value || 'append';
+  const tickers = new Set(account.holdings.map((h) => String(h.ticker || '').toUpperCase()));
+  const merged = mode === 'merge' ? result.holdings.filter((h) => tickers.has(h.ticker)).length : 0;
+  recordImportUndo(profile.label + ' into ' + account.name, [account]);
+  applyImportMode(account, result.holdings, mode);
+  saveState();
+  render();
+  alert(mode === 'replace'
+    ? 'Import complete. ' + account.name + ' now holds the ' + count + ' imported holding(s).'
+    : 'Import complete. ' + (count - merged) + ' holding(s) added' + (merged ? ', ' + merged + ' merged into existing ones' : '') + '.');
+  if (count && canAutoSyncPrices()) refreshAllPrices();
+}
+
+/** Put every account the last import touched back as it was, and drop accounts it created. */
+function undoLastImport() {
+  if (!lastImport || !confirm('Undo the last import (' + lastImport.label + ')? Changes made to those accounts since then are lost too.')) return;
+  for (const { id: accountId, before } of lastImport.accounts) {
+    const index = state.accounts.findIndex((a) => a.id === accountId);
+    if (index === -1) continue;
+    if (before) state.accounts[index] = before;
+    else state.accounts.splice(index, 1);
+  }
+  clearLastImport();
+  saveState();
+  render();
+}
+
+function renderUndoImport() {
+  const btn = document.getElementById('undo-import-btn');
+  if (!btn) return;
+  btn.classList.toggle('hidden', !lastImport);
+  btn.classList.toggle('flex', !!lastImport);
+  btn.title = lastImport ? 'Undo ' + lastImport.label : '';
+}
+
+// ——— OFX import ———
+
+/**
+ * Parse OFX 1.x (SGML, unclosed leaf tags) or 2.x (XML) into a tree of { name, value, children }.
+ * Leaf elements are recognised by having text before the next tag.
+ */
+function parseOFXTree(text) {
+  const body = String(text || '');
+  const start = body.search(/<OFX>/i);
+  if (start === -1) throw new Error('This is not an OFX or QFX file.');
+  const root = { name: 'ROOT', children: [] };
+  const stack = [root];
+  const tagPattern = /<(\/?)([A-Za-z0-9._]+)[^>]*>([^<]*)/g;
+  tagPattern.lastIndex = start;
+  let m;
+  while ((m = tagPattern.exec(body))) {
+    const name = m[2].toUpperCase();
+    const text = m[3].trim();
+    if (m[1]) {
+      const at = stack.map((n) => n.name).lastIndexOf(name);
+      if (at > 0) stack.length = at;
+      continue;
+    }
+    const node = { name, children: [] };
+    stack[stack.length - 1].children.push(node);
+    if (text) node.value = decodeOFXText(text);
+    else stack.push(node);
+  }
+  return root;
+}
+
+function decodeOFXText(s) {
+  return s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&');
+}
+
+function findOFXNodes(node, name, out) {
+  out = out || [];
+  for (const child of node.children) {
+    if (child.name === name) out.push(child);
+    findOFXNodes(child, name, out);
+  }
+  return out;
+}
+
+function ofxValue(node, path) {
+  let current = node;
+  for (const name of path.split('.')) {
+    current = current && current.children.find((c) => c.name === name);
+  }
+  return current && current.value != null ? current.value : '';
+}
+
+/** OFX date (YYYYMMDD[HHMMSS[.XXX]][[tz]]) → YYYY-MM-DD, or null. */
+function ofxDate(value) {
+  const m = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return m ? m[1] + '-' + m[2] + '-' + m[3] : null;
+}
+
+/**
+ * Statements in an OFX/QFX file: [{ key, kind: 'bank'|'creditcard', accountNumber, accountType, currency,
+ * balance, balanceDate, transactions: [{ id, date, amount, type, payee, memo }] }]. key identifies the account
+ * across imports (bank id + account number); amounts are as the institution reports them.
+ */
+function parseOFX(text) {
+  const root = parseOFXTree(text);
+  const statements = findOFXNodes(root, 'STMTRS').map((n) => ({ node: n, kind: 'bank', from: 'BANKACCTFROM' }))
+    .concat(findOFXNodes(root, 'CCSTMTRS').map((n) => ({ node: n, kind: 'creditcard', from: 'CCACCTFROM' })));
+  if (!statements.length) throw new Error('No bank or credit card statements found in this file.');
+  return statements.map(({ node, kind, from }) => {
+    const accountNumber = ofxValue(node, from + '.ACCTID');
+    const transactions = findOFXNodes(node, 'STMTTRN').map((t) => ({
+      id: ofxValue(t, 'FITID') || [ofxValue(t, 'DTPOSTED'), ofxValue(t, 'TRNAMT'), ofxValue(t, 'NAME')].join('|'),
+      date: ofxDate(ofxValue(t, 'DTPOSTED')),
+      amount: parseFloat(ofxValue(t, 'TRNAMT')) || 0,
+      type: ofxValue(t, 'TRNTYPE').toLowerCase() || 'other',
+      payee: ofxValue(t, 'NAME') || ofxValue(t, 'PAYEE.NAME'),
+      memo: ofxValue(t, 'MEMO'),
+    }));
+    const balance = parseFloat(ofxValue(node, 'LEDGERBAL.BALAMT'));
+    return {
+      key: (ofxValue(node, from + '.BANKID') || kind) + ':' + accountNumber,
+      kind,
+      accountNumber,
+      accountType: kind === 'creditcard' ? 'CREDITCARD' : ofxValue(node, from + '.ACCTTYPE') || 'CHECKING',
+      currency: ofxValue(node, 'CURDEF').toUpperCase() || null,
+      balance: Number.isNaN(balance) ? null : balance,
+      balanceDate: ofxDate(ofxValue(node, 'LEDGERBAL.DTASOF')),
+      transactions,
+    };
+  });
+}
+
+/** Horizon 60 account type for a statement: cards and credit lines are Debt, deposit accounts are Cash. */
+function getOFXAccountType(statement) {
+  return /CREDITCARD|CREDITLINE|LOAN/.test(statement.accountType) ? 'Debt' : 'Cash';
+}
+
+const OFX_ACCOUNT_TYPE_LABELS = {
+  CHECKING: 'Checking',
+  SAVINGS: 'Savings',
+  MONEYMRKT: 'Money market',
+  CREDITLINE: 'Credit line',
+  CREDITCARD: 'Credit card',
+  CD: 'CD',
+};
+
+/** e.g. "Checking ••1234" */
+function getOFXStatementLabel(statement) {
+  return (OFX_ACCOUNT_TYPE_LABELS[statement.accountType] || 'Account') + ' ••' + statement.accountNumber.slice(-4);
+}
+
+/**
+ * Apply one statement to an account: the ledger balance goes to the account's statement holding (added on the first
+ * statement, and then the only holding when replaceOthers is set), and transactions are merged into
+ * account.bankTransactions by id. Card statements show what is owed as a negative balance; Debt balances store the
+ * amount owed, so an overpaid card becomes a negative debt. Returns the number of new transactions.
+ */
+function applyOFXStatement(account, statement, replaceOthers) {
+  if (statement.balance != null) {
+    let holding = account.holdings.find((h) => h.fromStatement);
+    if (!holding) {
+      holding = { id: id() };
+      account.holdings = replaceOthers ? [holding] : account.holdings.concat(holding);
+    }
+    holding.balance = account.type === 'Debt' ? -statement.balance : statement.balance;
+    holding.fromStatement = true;
+  }
+  account.ofxKey = statement.key;
+  if (statement.balanceDate) account.statementDate = statement.balanceDate;
+  const existing = new Set((account.bankTransactions || []).map((t) => t.id));
+  const added = statement.transactions.filter((t) => !existing.has(t.id));
+  account.bankTransactions = (account.bankTransactions || []).concat(added)
+    .sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+  return added.length;
+}
+
+/** Statements read from the chosen file, waiting for the user to map them to accounts. */
+let pendingOFXStatements = [];
+
+function openOFXImportModal(statements) {
+  pendingOFXStatements = statements;
+  const list = document.getElementById('ofx-statement-list');
+  if (!list) return;
+  const candidates = state.accounts.filter((a) => a.type === 'Cash' || a.type === 'Debt');
+  list.innerHTML = statements.map((s, i) => {
+    const type = getOFXAccountType(s);
+    const linked = candidates.find((a) => a.ofxKey === s.key);
+    const options = ['<option value="">Create new account</option>'].concat(candidates.map((a) =>
+      '<option value="' + escapeHtml(a.id) + '"' + (linked === a ? ' selected' : '') + '>' + escapeHtml(a.name) + ' (' + a.type + ')</option>'));
+    const balance = s.balance != null ? formatMoneyFull(s.balance, s.currency || getBaseCurrency()) + (s.balanceDate ? ' on ' + s.balanceDate : '') : 'no balance';
+    return '<div class="rounded-xl bg-white/5 border border-white/10 p-4 space-y-3">' +
+      '<p class="text-white font-semibold">' + escapeHtml(getOFXStatementLabel(s)) + '</p>' +
+      '<p class="text-white/50 text-xs">' + type + ' · ' + balance + ' · ' + s.transactions.length + ' transaction(s)</p>' +
+      '<select data-ofx-target="' + i + '" class="w-full rounded-lg bg-white/10 border border-white/20 px-4 py-2.5 text-white focus:border-primary focus:ring-1 focus:ring-primary">' + options.join('') + '</select>' +
+      '<input data-ofx-name="' + i + '" type="text" value="' + escapeHtml(getOFXStatementLabel(s)) + '" placeholder="New account name" class="w-full rounded-lg bg-white/10 border border-white/20 px-4 py-2.5 text-white placeholder-white/40 focus:border-primary focus:ring-1 focus:ring-primary' + (linked ? ' hidden' : '') + '"/>' +
+      '</div>';
+  }).join('');
+  openModal('modal-ofx-import');
+}
+
+/** Apply every statement to its chosen (or a newly created) account. */
+function submitOFXImport() {
+  const lines = [];
+  const targets = pendingOFXStatements.map((s, i) => {
+    const targetId = document.querySelector('[data-ofx-target="' + i + '"]')?.value;
+    return targetId && state.accounts.find((a) => a.id === targetId);
+  });
+  const created = [];
+  // An account receiving its first statement may already hold balances the statement covers
+  const replacing = new Set(targets.filter((a, i) => a && targets.indexOf(a) === i && pendingOFXStatements[i].balance != null &&
+    a.holdings.length && !a.holdings.some((h) => h.fromStatement) &&
+    confirm(a.name + ' already has ' + a.holdings.length + ' balance' + (a.holdings.length === 1 ? '' : 's') + ' (' +
+      formatMoneyFull(getAccountBalanceNative(a), getAccountCurrency(a)) + ').\n\nOK replaces ' + (a.holdings.length === 1 ? 'it' : 'them') +
+      ' with the statement balance. Cancel keeps ' + (a.holdings.length === 1 ? 'it' : 'them') + ' and adds the statement balance alongside.')));
+  recordImportUndo('OFX statement', targets.filter((a, i) => a && targets.indexOf(a) === i));
+  pendingOFXStatements.forEach((s, i) => {
+    let account = targets[i];
+    if (!account) {
+      const name = document.querySelector('[data-ofx-name="' + i + '"]')?.value?.trim() || getOFXStatementLabel(s);
+      account = {
+        id: id(),
+        name,
+        type: getOFXAccountType(s),
+        currency: CURRENCIES.includes(s.currency) ? s.currency : getBaseCurrency(),
+        institution: '',
+        holdings: [],
+      };
+      state.accounts.push(account);
+      created.push(account);
+    }
+    const added = applyOFXStatement(account, s, replacing.has(account));
+    lines.push(account.name + ': ' + added + ' new transaction(s)' + (s.balance != null ? ', balance updated' : ''));
+  });
+  lastImport.accounts.push(...created.map((a) => ({ id: a.id, before: null })));
+  saveLastImport();
+  pendingOFXStatements = [];
+  saveState();
+  fetchMissingFxRates();
+  closeModal('modal-ofx-import', document.getElementById('import-ofx-btn'));
+  render();
+  alert('Import complete.\n' + lines.join('\n'));
+}
+
+/** Latest statement transactions under a Cash/Debt account's holdings. */
+function renderStatementTransactions(account) {
+  const txns = account.bankTransactions || [];
+  if (!txns.length) return '';
+  const currency = getAccountCurrency(account);
+  const rows = txns.slice(-10).reverse().map((t) => `
+          <tr class="border-t border-white/5">
+            <td class="py-2 px-3 text-white/70">${t.date ? escapeHtml(t.date) : '—'}</td>
+            <td class="py-2 px-3 text-white/70">${escapeHtml(t.payee || t.memo || t.type)}</td>
+            <td class="py-2 px-3 text-right ${t.amount < 0 ? 'text-red-300' : 'text-primary'}">${t.amount >= 0 ? '+' : ''}${formatMoneyFull(t.amount, currency)}</td>
+          </tr>`).join('');
+  return `
+      <div class="mt-4 rounded-xl bg-white/5 border border-white/10 overflow-x-auto">
+        <div class="px-3 py-2 border-b border-white/10">
+          <span class="text-[10px] uppercase tracking-wider text-white/50 font-bold">Statement transactions · ${txns.length} imported${account.statementDate ? ' · as of ' + escapeHtml(account.statementDate) : ''}</span>
+        </div>
+        <table class="w-full text-left text-xs">
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+}
+
+// ——— Price providers ———
+
+/**
+ * A price provider: { id, label, assetClasses: ('stock'|'crypto')[], needsApiKey?, rateLimit?: { perMinute, burst }, unavailableReason?(),
+ * fetchQuote(symbol), fetchHistory?(symbol, from, to) }. fetchQuote resolves to { price, currency }; fetchHistory (dates are YYYY-MM-DD)
+ * to { currency, closes: Array<{ date, close }> } oldest first. Both throw a PriceError on failure. Register with registerPriceProvider;
+ * PRICE_ROUTES decides which providers are tried, in order, for each asset class.
+ */
+const PRICE_PROVIDERS = {};
+
+/** Provider order per asset class for each price mode (preferences.priceMode); preferences.priceRoutes overrides it. */
+const PRICE_ROUTES = {
+  live: { stock: ['finnhub'], crypto: ['coingecko'] },
+  mock: { stock: ['mock'], crypto: ['mock'] },
+};
+
+/** Why a quote failed: no_key, unsupported, not_found, rate_limited, network or bad_response. */
+const PRICE_ERROR_CODES = ['no_key', 'unsupported', 'not_found', 'rate_limited', 'network', 'bad_response'];
+
+/** Error carrying { code, provider, symbol, status? } so Sync can report failures per ticker. */
+function PriceError(code, message, details) {
+  const err = new Error(message);
+  err.name = 'PriceError';
+  err.code = PRICE_ERROR_CODES.includes(code) ? code : 'bad_response';
+  Object.assign(err, details);
+  return err;
+}
+
+function registerPriceProvider(provider) {
+  if (!provider || !provider.id || typeof provider.fetchQuote !== 'function') {
+    throw new Error('A price provider needs an id and a fetchQuote(symbol) function');
+  }
+  PRICE_PROVIDERS[provider.id] = provider;
+}
+
+/** 'crypto' for Crypto accounts and known coin tickers, otherwise 'stock'. */
+function getAssetClass(ticker, accountType) {
+  return accountType === 'Crypto' || COINGECKO_IDS[String(ticker).toUpperCase()] ? 'crypto' : 'stock';
+}
+
+function getPriceMode() {
+  return getPreferences().priceMode === 'mock' ? 'mock' : 'live';
+}
+
+/** Provider ids to try, in order, for an asset class. */
+function getPriceRoute(assetClass) {
+  const custom = getPreferences().priceRoutes;
+  const route = (custom && Array.isArray(custom[assetClass]) ? custom : PRICE_ROUTES[getPriceMode()])[assetClass] || [];
+  return route.filter(providerId => PRICE_PROVIDERS[providerId]);
+}
+
+/** GET a URL and parse JSON, turning HTTP and network failures into PriceErrors. */
+async function fetchQuoteJSON(url, provider, symbol) {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (e) {
+    throw PriceError('network', e.message || 'Network error', { provider, symbol });
+  }
+  if (res.status === 429) {
+    const retryAfter = parseFloat(res.headers?.get('Retry-After'));
+    throw PriceError('rate_limited', 'Rate limit reached', { provider, symbol, status: 429, retryAfter: retryAfter > 0 ? retryAfter : null });
+  }
+  if (res.status === 401 || res.status === 403) throw PriceError('no_key', 'API key was rejected', { provider, symbol, status: res.status });
+  if (!res.ok) throw PriceError('network', 'HTTP ' + res.status, { provider, symbol, status: res.status });
+  try {
+    const data = JSON.parse(await res.text());
+    // allorigins /get wraps the body in { contents }
+    return data && typeof data.contents === 'string' ? JSON.parse(data.contents) : data;
+  } catch {
+    throw PriceError('bad_response', 'Response was not JSON', { provider, symbol });
+  }
+}
+
+/** Finnhub quote (stocks and funds) through the CORS proxy; needs state.apiKey. */
+registerPriceProvider({
+  id: 'finnhub',
+  label: 'Finnhub',
+  assetClasses: ['stock', 'crypto'],
+  needsApiKey: true,
+  rateLimit: { perMinute: 55, burst: 5 }, // free tier allows 60 calls/minute
+  unavailableReason: () => (state.apiKey ? null : 'No Finnhub API key'),
+  async fetchQuote(symbol) {
+    const url = FINNHUB_QUOTE_URL + '?symbol=' + encodeURIComponent(symbol) + '&token=' + encodeURIComponent(state.apiKey);
+    const data = await fetchQuoteJSON(CORS_PROXY + encodeURIComponent(url), 'finnhub', symbol);
+    // Finnhub answers unknown symbols with c = 0
+    if (!data || typeof data.c !== 'number' || !(data.c > 0)) throw PriceError('not_found', 'No quote for ' + symbol, { provider: 'finnhub', symbol });
+    return { price: data.c, currency: 'USD' };
+  },
+  async fetchHistory(symbol, from, to) {
+    const url = FINNHUB_CANDLE_URL + '?symbol=' + encodeURIComponent(symbol) + '&resolution=D&from=' + toUnixSeconds(from) +
+      '&to=' + (toUnixSeconds(to) + 86400) + '&token=' + encodeURIComponent(state.apiKey);
+    let data;
+    try {
+      data = await fetchQuoteJSON(CORS_PROXY + encodeURIComponent(url), 'finnhub', symbol);
+    } catch (e) {
+      if (e.status !== 403) throw e;
+      data = { error: e.message };
+    }
+    // Candles are a paid-plan endpoint: free keys get 403 or { error: "You don't have access to this resource." }
+    if (data && data.error) {
+      throw PriceError('no_key', 'Finnhub daily history needs a paid plan; free keys only get current quotes', { provider: 'finnhub', symbol, status: 403 });
+    }
+    if (!data || data.s !== 'ok' || !Array.isArray(data.c) || !Array.isArray(data.t)) {
+      throw PriceError('not_found', 'No daily history for ' + symbol, { provider: 'finnhub', symbol });
+    }
+    return { currency: 'USD', closes: data.t.map((t, i) => ({ date: new Date(t * 1000).toISOString().slice(0, 10), close: data.c[i] })) };
+  },
+});
+
+/** CoinGecko simple price (no key). Tries a direct request first, then the CORS proxy. */
+registerPriceProvider({
+  id: 'coingecko',
+  label: 'CoinGecko',
+  assetClasses: ['crypto'],
+  rateLimit: { perMinute: 25, burst: 5 }, // public API allows roughly 30 calls/minute
+  async fetchQuote(symbol) {
+    const coinId = COINGECKO_IDS[symbol] || symbol.toLowerCase();
+    const url = COINGECKO_PRICE_URL + '?ids=' + encodeURIComponent(coinId) + '&vs_currencies=usd';
+    let data;
+    try {
+      data = await fetchQuoteJSON(url, 'coingecko', symbol);
+    } catch (e) {
+      if (e.code === 'rate_limited') throw e;
+      data = await fetchQuoteJSON(CORS_PROXY + encodeURIComponent(url), 'coingecko', symbol);
+    }
+    const coin = data && data[coinId];
+    if (!coin || typeof coin.usd !== 'number' || !(coin.usd > 0)) throw PriceError('not_found', 'CoinGecko has no coin "' + coinId + '"', { provider: 'coingecko', symbol });
+    return { price: coin.usd, currency: 'USD' };
+  },
+  async fetchHistory(symbol, from, to) {
+    const coinId = COINGECKO_IDS[symbol] || symbol.toLowerCase();
+    const url = COINGECKO_COINS_URL + encodeURIComponent(coinId) + '/market_chart/range?vs_currency=usd&from=' + toUnixSeconds(from) + '&to=' + (toUnixSeconds(to) + 86400);
+    let data;
+    try {
+      data = await fetchQuoteJSON(url, 'coingecko', symbol);
+    } catch (e) {
+      if (e.code === 'rate_limited') throw e;
+      data = await fetchQuoteJSON(CORS_PROXY + encodeURIComponent(url), 'coingecko', symbol);
+    }
+    if (!data || !Array.isArray(data.prices) || !data.prices.length) throw PriceError('not_found', 'CoinGecko has no history for "' + coinId + '"', { provider: 'coingecko', symbol });
+    // Short ranges come back hourly: keep the last price of each day
+    const byDate = {};
+    for (const [ms, price] of data.prices) byDate[new Date(ms).toISOString().slice(0, 10)] = price;
+    return { currency: 'USD', closes: Object.keys(byDate).sort().map(date => ({ date, close: byDate[date] })) };
+  },
+});
+
+const MOCK_PRICES_FILE = 'mock-prices.json';
+let mockPricesPromise = null;
+
+/** Fixed prices from mock-prices.json: { currency, prices: { TICKER: number | { price, currency } } }. Loaded once per page. */
+function loadMockPrices() {
+  if (!mockPricesPromise) {
+    const base = window.location.pathname.indexOf('/wealth') !== -1 ? '/wealth/' : '';
+    mockPricesPromise = fetchQuoteJSON(base + MOCK_PRICES_FILE, 'mock', null).catch((e) => {
+      mockPricesPromise = null;
+      throw e;
+    });
+  }
+  return mockPricesPromise;
+}
+
+/** Offline provider for demos and tests: same prices every time, no network beyond the app's own file. */
+registerPriceProvider({
+  id: 'mock',
+  label: 'Offline demo prices',
+  assetClasses: ['stock', 'crypto'],
+  async fetchQuote(symbol) {
+    const data = await loadMockPrices();
+    const entry = data && data.prices ? data.prices[symbol] : null;
+    const price = entry != null && typeof entry === 'object' ? entry.price : entry;
+    if (typeof price !== 'number' || !(price > 0)) throw PriceError('not_found', symbol + ' is not in ' + MOCK_PRICES_FILE, { provider: 'mock', symbol });
+    return { price, currency: (entry && entry.currency) || data.currency || 'USD' };
+  },
+  /** Synthetic but repeatable daily closes that drift up to today's mock price, with a wobble seeded by the symbol. */
+  async fetchHistory(symbol, from, to) {
+    const quote = await this.fetchQuote(symbol);
+    let seed = 0;
+    for (const c of symbol) seed = (seed * 31 + c.charCodeAt(0)) % 1000;
+    const today = toUnixSeconds(new Date().toISOString().slice(0, 10)) / 86400;
+    const closes = [];
+    for (let day = toUnixSeconds(from) / 86400; day <= toUnixSeconds(to) / 86400; day++) {
+      const daysAgo = today - day;
+      const close = quote.price * Math.exp(-0.0003 * daysAgo) * (1 + 0.04 * Math.sin(seed + daysAgo / 9));
+      closes.push({ date: new Date(day * 86400000).toISOString().slice(0, 10), close: +close.toFixed(4) });
+    }
+    return { currency: quote.currency, closes };
+  },
+});
+
+/** Seconds since the epoch at UTC midnight of a YYYY-MM-DD date. */
+function toUnixSeconds(date) {
+  return Math.floor(Date.parse(date + 'T00:00:00Z') / 1000);
+}
+
+/**
+ * Run call(provider) on each provider in the asset class's route that implements `method`, stopping at the first success.
+ * Resolves to { value, providerId }; throws a PriceError (with .attempts for every provider tried) if all fail.
+ */
+async function tryPriceProviders(sym, assetClass, method, call) {
+  const attempts = [];
+  for (const providerId of getPriceRoute(assetClass)) {
+    const provider = PRICE_PROVIDERS[providerId];
+    if (!provider.assetClasses.includes(assetClass) || typeof provider[method] !== 'function') {
+      attempts.push(PriceError('unsupported', provider.label + ' does not ' + (method === 'fetchHistory' ? 'provide history for ' : 'quote ') + assetClass, { provider: providerId, symbol: sym }));
+      continue;
+    }
+    const reason = provider.unavailableReason ? provider.unavailableReason() : null;
+    if (reason) {
+      attempts.push(PriceError('no_key', reason, { provider: providerId, symbol: sym }));
+      continue;
+    }
+    try {
+      return { value: await callWithRetry(provider, () => call(provider)), providerId };
+    } catch (e) {
+      attempts.push(e && e.name === 'PriceError' ? e : PriceError('bad_response', (e && e.message) || 'Request failed', { provider: providerId, symbol: sym }));
+    }
+  }
+  if (!attempts.length) throw PriceError('unsupported', 'No price provider is set up for ' + assetClass, { symbol: sym, attempts });
+  const last = attempts[attempts.length - 1];
+  throw PriceError(last.code, last.message, { provider: last.provider, symbol: sym, attempts });
+}
+
+/**
+ * Quote a symbol through its asset class's route, falling back to the next provider on failure.
+ * Caches and returns { price, currency, at, provider }; throws a PriceError if every provider fails.
+ */
+async function resolveQuote(symbol, assetClass) {
+  const sym = String(symbol).trim().toUpperCase();
+  const { value: quote, providerId } = await tryPriceProviders(sym, assetClass, 'fetchQuote', provider => provider.fetchQuote(sym));
+  const entry = { price: quote.price, currency: quote.currency || 'USD', at: Date.now(), provider: providerId };
+  state.priceCache[sym] = entry;
+  savePriceCache();
+  return entry;
+}
+
+/** Daily closes for a symbol between two YYYY-MM-DD dates, from the first provider on the route that has them. */
+async function resolveHistory(symbol, assetClass, from, to) {
+  const sym = String(symbol).trim().toUpperCase();
+  const { value } = await tryPriceProviders(sym, assetClass, 'fetchHistory', provider => provider.fetchHistory(sym, from, to));
+  const closes = (value.closes || []).filter(c => c && c.date && c.close > 0).sort((a, b) => a.date.localeCompare(b.date));
+  return { currency: value.currency || 'USD', closes };
+}
+
+/** Sync quietly after edits only once the user has set up prices (an API key, or offline demo prices). */
+function canAutoSyncPrices() {
+  return getPriceMode() === 'mock' || !!state.apiKey;
+}
+
+/** Stock tickers would all fail for lack of a key: every provider on the stock route needs one and none is set. */
+function needsApiKeyForSync() {
+  const hasStocks = Object.values(getTickersToSync()).includes('stock');
+  return hasStocks && !state.apiKey && getPriceRoute('stock').every(providerId => PRICE_PROVIDERS[providerId].needsApiKey);
+}
+
+// ——— Price cache ———
+
+/** Last quote per ticker: { [symbol]: { price, currency, at, provider } }. Synced and backed up with the rest of the data. */
+const PRICE_CACHE_KEY = 'horizon60_priceCache';
+const DEFAULT_PRICE_STALE_HOURS = 24;
+
+function loadPriceCache() {
+  const stored = readStoredJSON(PRICE_CACHE_KEY, {});
+  state.priceCache = stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+}
+
+function savePriceCache() {
+  invalidateForecast();
+  try {
+    localStorage.setItem(PRICE_CACHE_KEY, JSON.stringify(state.priceCache));
+    queueRemoteSave('priceCache');
+  } catch (e) {
+    console.warn('Could not save price cache', e);
+  }
+}
+
+/** Hours after which a cached quote counts as stale (preferences.priceStaleHours). */
+function getPriceStaleHours() {
+  const hours = Number(getPreferences().priceStaleHours);
+  return hours > 0 ? hours : DEFAULT_PRICE_STALE_HOURS;
+}
+
+function isPriceStale(entry) {
+  return !entry || !(entry.at > 0) || Date.now() - entry.at > getPriceStaleHours() * 3600000;
+}
+
+/** "3:42 PM" for today's quotes, otherwise the date. */
+function formatPriceTime(at) {
+  const d = new Date(at);
+  return d.toDateString() === new Date().toDateString()
+    ? d.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })
+    : d.toLocaleDateString();
+}
+
+/** Second line of the price cell: where the price came from and how old it is. */
+function renderPriceSource(holding) {
+  if (holding.priceOverride != null && !Number.isNaN(holding.priceOverride)) {
+    return '<span class="block text-[11px] text-white/40">Manual price</span>';
+  }
+  const entry = state.priceCache[holding.ticker?.toUpperCase()];
+  if (!entry || entry.price == null) return '<span class="block text-[11px] text-white/40">No quote · cost basis</span>';
+  const provider = PRICE_PROVIDERS[entry.provider];
+  const title = 'Quoted ' + new Date(entry.at).toLocaleString() + (provider ? ' by ' + provider.label : '');
+  if (isPriceStale(entry)) {
+    return `<span class="block text-[11px] text-amber-300/80" title="${escapeHtml(title)}. Older than ${getPriceStaleHours()} h — sync to refresh."><span class="material-symbols-outlined text-[11px] align-middle">schedule</span> Stale · as of ${escapeHtml(formatPriceTime(entry.at))}</span>`;
+  }
+  return `<span class="block text-[11px] text-white/40" title="${escapeHtml(title)}">as of ${escapeHtml(formatPriceTime(entry.at))}</span>`;
+}
+
+/** On load: re-quote only the tickers whose cached price is missing or stale. Returns the sync promise, or null if nothing needed it. */
+function refreshStalePrices() {
+  if (!canAutoSyncPrices() || !Object.keys(getTickersToSync(true)).length) return null;
+  return refreshAllPrices({ onlyStale: true });
+}
+
+/** Unique tickers across security accounts -> asset class. With onlyStale, skips tickers with a fresh cached quote. */
+function getTickersToSync(onlyStale) {
+  const tickers = {};
+  for (const a of state.accounts) {
+    if (!isSecurityType(a.type)) continue;
+    for (const h of a.holdings) {
+      if (!h.ticker) continue;
+      const t = h.ticker.trim().toUpperCase();
+      if (onlyStale && !isPriceStale(state.priceCache[t])) continue;
+      if (!tickers[t] || getAssetClass(t, a.type) === 'crypto') tickers[t] = getAssetClass(t, a.type);
+    }
+  }
+  return tickers;
+}
+
+// ——— Price sync ———
+
+const SYNC_CONCURRENCY = 4;
+const SYNC_MAX_RETRIES = 3;
+const SYNC_RETRY_BASE_MS = 2000;
+/** Minimum gap between re-renders while a sync is running. */
+const SYNC_RENDER_INTERVAL_MS = 750;
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/** Token bucket: up to `burst` calls at once, refilled at perMinute. take() resolves once a token is free. */
+function createTokenBucket(perMinute, burst) {
+  const capacity = Math.max(1, burst || 1);
+  let tokens = capacity;
+  let last = Date.now();
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - last) * perMinute / 60000);
+    last = now;
+  }
+  return {
+    async take() {
+      for (;;) {
+        refill();
+        if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        }
+        await sleep(Math.ceil((1 - tokens) * 60000 / perMinute));
+      }
+    },
+    /** Spend every token, e.g. after a 429, so queued calls wait for the window to refill. */
+    drain() {
+      refill();
+      tokens = Math.min(tokens, 0);
+    },
+  };
+}
+
+/** One bucket per rate-limited provider, shared by every sync in this page. */
+const providerBuckets = {};
+
+function getProviderBucket(provider) {
+  if (!provider.rateLimit) return null;
+  if (!providerBuckets[provider.id]) providerBuckets[provider.id] = createTokenBucket(provider.rateLimit.perMinute, provider.rateLimit.burst);
+  return providerBuckets[provider.id];
+}
+
+/** call() behind the provider's rate limit, retrying 429s with exponential backoff (or Retry-After). */
+async function callWithRetry(provider, call) {
+  const bucket = getProviderBucket(provider);
+  for (let attempt = 0; ; attempt++) {
+    if (bucket) await bucket.take();
+    try {
+      return await call();
+    } catch (e) {
+      if (!e || e.code !== 'rate_limited' || attempt >= SYNC_MAX_RETRIES) throw e;
+      if (bucket) bucket.drain();
+      await sleep(e.retryAfter ? e.retryAfter * 1000 : SYNC_RETRY_BASE_MS * 2 ** attempt);
+    }
+  }
+}
+
+/** Run worker(item) for every item with at most `limit` in flight. */
+async function runPool(items, limit, worker) {
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+}
+
+/** The sync in flight, so a second Sync Data click joins it instead of starting another. */
+let activeSync = null;
+
+/**
+ * Refresh prices for all unique tickers in state, a few at a time, re-rendering as quotes arrive.
+ * Resolves to { updated: string[], failed: Array<{ symbol, error }> }. With { report: true } failures open the sync report;
+ * with { onlyStale: true } tickers with a fresh cached quote are skipped.
+ */
+function refreshAllPrices(options) {
+  const report = !!(options && options.report);
+  const onlyStale = !!(options && options.onlyStale);
+  if (activeSync) {
+    if (report) activeSync.then(result => { if (result.failed.length) openSyncReport(result); });
+    return activeSync;
+  }
+  activeSync = (async () => {
+    const tickers = Object.entries(getTickersToSync(onlyStale));
+    const result = { updated: [], failed: [], total: tickers.length };
+    let lastRender = Date.now();
+    renderSyncProgress(0, tickers.length);
+    await runPool(tickers, SYNC_CONCURRENCY, async ([symbol, assetClass]) => {
+      try {
+        await resolveQuote(symbol, assetClass);
+        result.updated.push(symbol);
+      } catch (error) {
+        result.failed.push({ symbol, error });
+      }
+      renderSyncProgress(result.updated.length + result.failed.length, tickers.length);
+      if (Date.now() - lastRender >= SYNC_RENDER_INTERVAL_MS) {
+        lastRender = Date.now();
+        render();
+      }
+    });
+    result.failed.sort((a, b) => a.symbol.localeCompare(b.symbol));
+    state.lastSync = { at: Date.now(), updated: result.updated.length, failed: result.failed };
+    return result;
+  })();
+  activeSync.finally(() => {
+    activeSync = null;
+    render();
+    renderSyncProgress(null);
+    takeScheduledSnapshot();
+  });
+  if (report) activeSync.then(result => { if (result.failed.length) openSyncReport(result); });
+  return activeSync;
+}
+
+/** Sync Data button label: "Syncing 3/60" while running; afterwards "Sync Data", flagged when the last sync had failures. */
+function renderSyncProgress(done, total) {
+  const btn = document.getElementById('sync-prices-btn');
+  const labelEl = document.getElementById('sync-prices-label');
+  const iconEl = document.getElementById('sync-prices-icon');
+  if (!btn || !labelEl) return;
+  const running = done != null;
+  btn.disabled = running;
+  btn.classList.toggle('opacity-80', running);
+  if (iconEl) iconEl.classList.toggle('animate-spin', running);
+  if (running) {
+    labelEl.textContent = 'Syncing ' + done + '/' + total;
+    return;
+  }
+  const failed = state.lastSync ? state.lastSync.failed.length : 0;
+  labelEl.textContent = failed ? 'Sync Data · ' + failed + ' failed' : 'Sync Data';
+  btn.title = state.lastSync ? 'Last sync ' + new Date(state.lastSync.at).toLocaleTimeString() + ': ' + state.lastSync.updated + ' updated, ' + failed + ' failed' : '';
+}
+
+/** Plain-language reason for a PriceError code. */
+const PRICE_ERROR_LABELS = {
+  no_key: 'API key missing or rejected',
+  unsupported: 'No provider for this asset',
+  not_found: 'Symbol not found',
+  rate_limited: 'Rate limited (retries exhausted)',
+  network: 'Network error',
+  bad_response: 'Unexpected response',
+};
+
+/** Failed tickers from a sync, each with the provider and reason for every attempt. */
+function openSyncReport(result) {
+  const summaryEl = document.getElementById('sync-report-summary');
+  const tableEl = document.getElementById('sync-report-table');
+  if (!summaryEl || !tableEl) return;
+  summaryEl.textContent = result.updated.length + ' of ' + result.total + ' prices updated. ' +
+    result.failed.length + ' ticker' + (result.failed.length === 1 ? '' : 's') + ' kept the previous or purchase price.';
+  tableEl.innerHTML = `
+    <table class="w-full text-left text-sm">
+      <thead>
+        <tr class="text-white/50 border-b border-white/10">
+          <th class="py-2 px-3 font-semibold">Ticker</th>
+          <th class="py-2 px-3 font-semibold">Provider</th>
+          <th class="py-2 px-3 font-semibold">Reason</th>
+        </tr>
+      </thead>
+      <tbody>${result.failed.map(({ symbol, error }) => (error.attempts && error.attempts.length ? error.attempts : [error]).map((e, i) => `
+        <tr class="${i === 0 ? 'border-t border-white/10' : ''}">
+          <td class="py-2 px-3 text-white font-medium">${i === 0 ? escapeHtml(symbol) : ''}</td>
+          <td class="py-2 px-3 text-white/70">${escapeHtml(PRICE_PROVIDERS[e.provider]?.label || e.provider || '—')}</td>
+          <td class="py-2 px-3 text-white/70">${escapeHtml(PRICE_ERROR_LABELS[e.code] || 'Failed')}<span class="block text-[11px] text-white/40">${escapeHtml(e.message || '')}</span></td>
+        </tr>`).join('')).join('')}
+      </tbody>
+    </table>`;
+  openModal('modal-sync-report');
+}
+
+// ——— Render ———
+
+function renderNetWorth() {
+  const nw = getTotalNetWorth();
+  const el = document.getElementById('net-worth-hero');
+  const changeEl = document.getElementById('net-worth-change');
+  if (el) {
+    // Dim the fraction digits (and anything after them, e.g. a trailing currency sign)
+    const parts = new Intl.NumberFormat(undefined, { style: 'currency', currency: getBaseCurrency(), minimumFractionDigits: 2, maximumFractionDigits: 2 })
+      .formatToParts(nw);
+    const fractionAt = parts.findIndex(p => p.type === 'fraction');
+    if (fractionAt > 0 && parts[fractionAt - 1].type === 'decimal') {
+      const head = parts.slice(0, fractionAt).map(p => p.value).join('');
+      const tail = parts.slice(fractionAt).map(p => p.value).join('');
+      el.innerHTML = `${escapeHtml(head)}<span class="text-white/30 text-3xl">${escapeHtml(tail)}</span>`;
+    } else {
+      el.textContent = formatMoneyFull(nw);
+    }
+  }
+  if (changeEl) changeEl.textContent = '—'; // optional: compute vs last month
+}
+
+function getTypeIcon(type) {
+  const icons = { Cash: 'account_balance_wallet', Retirement: 'auto_graph', Crypto: 'currency_bitcoin', Debt: 'credit_card_off' };
+  return icons[type] || 'account_balance';
+}
+
+function getTypeCardClass(type) {
+  if (type === 'Crypto') return 'border-accent-blue/20 hover:border-accent-blue/50';
+  if (type === 'Debt') return 'border-red-500/10 hover:border-red-500/50';
+  return 'hover:border-primary/50';
+}
+
+function renderSummaryCards() {
+  const summary = getSummaryByType();
+  const container = document.getElementById('summary-cards');
+  if (!container) return;
   const cards = ACCOUNT_TYPES.map(type => {
     const value = type === 'Debt' ? summary.Debt : summary[type];
     const label = type === 'Cash' ? 'Liquid Cash' : type === 'Retirement' ? 'Retirement' : type === 'Crypto' ? 'Digital Assets' : 'Liabilities';
@@ -412,6 +2221,17 @@ function renderSummaryCards() {
         <p class="${valueClass} text-xs font-semibold mt-1">${type === 'Debt' ? 'Pay down to improve' : type === 'Crypto' ? 'Volatile' : 'Growth'}</p>
       </div>`;
   });
+  const preTax = getTotalNetWorth();
+  const afterTax = getAfterTaxNetWorth();
+  cards.unshift(`
+      <div class="glass-panel p-5 rounded-xl group transition-all hover:border-primary/50" title="After tax: tax-deferred balances less the average tax on withdrawing them, taxable accounts less capital gains tax on unrealized gains; Roth and HSA count in full">
+        <div class="flex justify-between items-start mb-4">
+          <span class="material-symbols-outlined text-white/40 group-hover:text-white transition-colors">account_balance</span>
+        </div>
+        <p class="text-white/60 text-xs font-bold uppercase tracking-wider">Net Worth</p>
+        <h3 class="text-2xl font-bold text-white mt-1">${formatMoney(preTax)}</h3>
+        <p class="text-primary text-xs font-semibold mt-1">${formatMoney(afterTax)} after tax</p>
+      </div>`);
   container.innerHTML = cards.join('');
 }
 
@@ -443,7 +2263,10 @@ function renderAccountList() {
               </div>
             </div>
             <div class="flex items-center gap-4">
-              <span class="font-bold ${isDebt ? 'text-red-400' : 'text-primary'}">${formatMoneyFull(displayBalance)}</span>
+              <span class="text-right">
+                <span class="block font-bold ${isDebt ? 'text-red-400' : 'text-primary'}">${formatMoneyFull(displayBalance)}</span>
+                ${renderAccountNativeBalance(acc)}
+              </span>
               <span class="material-symbols-outlined text-white/40 transition-transform ${isExpanded ? 'rotate-180' : ''}">expand_more</span>
             </div>
           </button>
@@ -487,41 +2310,63 @@ function plBadgeClass(plDollar) {
   return plDollar > 0 ? 'badge-profit' : 'badge-loss';
 }
 
+/** Native-currency balance under the base amount when an account isn't in the base currency. */
+function renderAccountNativeBalance(account) {
+  const code = getAccountCurrency(account);
+  if (code === getBaseCurrency()) return '';
+  if (convertCurrency(1, code, getBaseCurrency()) == null) {
+    return `<span class="block text-[11px] text-amber-300/80">No ${escapeHtml(code)} rate — set it under Currencies</span>`;
+  }
+  const native = getAccountBalanceNative(account);
+  return `<span class="block text-[11px] text-white/50">${formatMoneyFull(account.type === 'Debt' ? -native : native, code)}</span>`;
+}
+
+/** Expanded account: holdings in native currency (holding currency per row, account currency for totals). */
 function renderAccountDetail(account, accountBalance, totalNw) {
   const holdings = account.holdings || [];
   const isSecurity = isSecurityType(account.type);
-  const totalForWeight = Math.abs(accountBalance) || 0.001;
+  const accountCurrency = getAccountCurrency(account);
+  const nativeBalance = getAccountBalanceNative(account);
+  const totalForWeight = Math.abs(nativeBalance) || 0.001;
 
-  const totalInvested = isSecurity ? getAccountTotalInvested(account) : accountBalance;
-  const totalMarketValue = isSecurity ? getAccountTotalMarketValue(account) : accountBalance;
+  const totalInvested = isSecurity ? getAccountTotalInvested(account) : nativeBalance;
+  const totalMarketValue = isSecurity ? getAccountTotalMarketValue(account) : nativeBalance;
 
   let rows = '';
   for (const h of holdings) {
+    const cur = getHoldingCurrency(h, account);
     const value = getHoldingValue(h, account.type);
     const valueNum = value != null ? value : 0;
-    const weight = totalForWeight > 0 ? (valueNum / totalForWeight * 100) : 0;
+    const weightValue = getHoldingValueInAccountCurrency(h, account) || 0;
+    const weight = totalForWeight > 0 ? (weightValue / totalForWeight * 100) : 0;
     const assetLabel = isSecurity ? (h.ticker || '—') : (account.type === 'Debt' ? 'Debt' : 'Cash');
-    const qtyOrBal = isSecurity ? (Number(h.quantity) || 0) : (Number(h.balance) || 0);
+    const qtyOrBal = isSecurity ? getHoldingQuantity(h) : (Number(h.balance) || 0);
     const currentPrice = isSecurity ? getCurrentPrice(h) : null;
-    const priceStr = currentPrice != null ? formatMoneyFull(currentPrice) : '—';
+    const priceStr = currentPrice != null ? formatMoneyFull(currentPrice, cur) : '—';
 
     const avgCostBasis = isSecurity ? getPurchasePrice(h) : null;
-    const avgCostBasisStr = avgCostBasis != null ? formatMoneyFull(avgCostBasis) : '—';
+    const avgCostBasisStr = avgCostBasis != null ? formatMoneyFull(avgCostBasis, cur) : '—';
     const costBasis = isSecurity ? getHoldingCostBasis(h, account.type) : (isSecurity ? null : valueNum);
-    const costBasisStr = costBasis != null ? formatMoneyFull(costBasis) : '—';
-    const marketValueStr = value != null ? formatMoneyFull(valueNum) : '—';
+    const costBasisStr = costBasis != null ? formatMoneyFull(costBasis, cur) : '—';
+    const marketValueStr = value != null ? formatMoneyFull(valueNum, cur) : '—';
     const plDollar = isSecurity ? getHoldingProfitLossDollar(h, account.type) : 0;
     const plPct = isSecurity ? getHoldingProfitLossPct(h, account.type) : 0;
-    const plDollarStr = plDollar != null ? (plDollar >= 0 ? '+' : '') + formatMoneyFull(plDollar) : '—';
+    const plDollarStr = plDollar != null ? (plDollar >= 0 ? '+' : '') + formatMoneyFull(plDollar, cur) : '—';
     const plPctStr = plPct != null ? (plPct >= 0 ? '+' : '') + plPct.toFixed(2) + '%' : '—';
     const badgeClass = plBadgeClass(plDollar);
 
     const qtyDisplay = isSecurity ? qtyOrBal : '—';
+    const isHoldingExpanded = isSecurity && state.expandedHoldingId === h.id;
+    const assetCell = isSecurity
+      ? `<button type="button" data-toggle-holding="${escapeHtml(h.id)}" class="inline-flex items-center gap-1 hover:text-primary" title="Show transactions" aria-expanded="${isHoldingExpanded}">
+            <span class="material-symbols-outlined text-base text-white/40 transition-transform ${isHoldingExpanded ? 'rotate-90' : ''}">chevron_right</span>${escapeHtml(assetLabel)}
+          </button>`
+      : escapeHtml(assetLabel);
     rows += `
       <tr class="border-t border-white/10">
-        <td class="py-3 px-4 text-white font-medium">${escapeHtml(assetLabel)}</td>
+        <td class="py-3 px-4 text-white font-medium">${assetCell}</td>
         <td class="py-3 px-4 text-white/70">${isSecurity ? qtyDisplay : '—'}</td>
-        <td class="py-3 px-4 text-white/70">${priceStr}</td>
+        <td class="py-3 px-4 text-white/70">${priceStr}${isSecurity ? renderPriceSource(h) : ''}</td>
         <td class="py-3 px-4 text-white/70">${avgCostBasisStr}</td>
         <td class="py-3 px-4 text-white/70">${costBasisStr}</td>
         <td class="py-3 px-4 text-white font-semibold">${marketValueStr}</td>
@@ -533,11 +2378,15 @@ function renderAccountDetail(account, accountBalance, totalNw) {
             <span class="material-symbols-outlined text-lg">edit</span>
           </button>
         </td>
-      </tr>`;
+      </tr>${isHoldingExpanded ? renderHoldingTransactions(account, h) : ''}`;
   }
 
   const displayBalance = account.type === 'Debt' ? -accountBalance : accountBalance;
+  const displayNative = account.type === 'Debt' ? -nativeBalance : nativeBalance;
   const accountWeight = totalNw > 0 ? (Math.abs(displayBalance) / totalNw * 100) : 0;
+  const balanceLabel = accountCurrency === getBaseCurrency()
+    ? formatMoneyFull(displayBalance)
+    : formatMoneyFull(displayNative, accountCurrency) + ' ≈ ' + formatMoneyFull(displayBalance);
 
   var accountPlDollar = totalMarketValue != null && totalInvested != null ? totalMarketValue - totalInvested : 0;
   var accountPlPct = totalInvested != null && totalInvested > 0 && totalMarketValue != null ? (accountPlDollar / totalInvested) * 100 : 0;
@@ -547,15 +2396,15 @@ function renderAccountDetail(account, accountBalance, totalNw) {
     <div class="flex flex-wrap items-center gap-6 mb-4 p-4 rounded-xl bg-white/5 border border-white/10">
       <div>
         <p class="text-[10px] uppercase tracking-wider text-white/50 font-bold">Total Invested</p>
-        <p class="text-lg font-bold text-white/80">${formatMoneyFull(totalInvested != null ? totalInvested : 0)}</p>
+        <p class="text-lg font-bold text-white/80">${formatMoneyFull(totalInvested != null ? totalInvested : 0, accountCurrency)}</p>
       </div>
       <div>
         <p class="text-[10px] uppercase tracking-wider text-white/50 font-bold">Total Current Value</p>
-        <p class="text-lg font-bold text-primary">${formatMoneyFull(totalMarketValue != null ? totalMarketValue : 0)}</p>
+        <p class="text-lg font-bold text-primary">${formatMoneyFull(totalMarketValue != null ? totalMarketValue : 0, accountCurrency)}</p>
       </div>
       <div>
         <p class="text-[10px] uppercase tracking-wider text-white/50 font-bold">Account P/L</p>
-        <p class="text-lg font-bold ${accountPlBadge}">${accountPlDollar >= 0 ? '+' : ''}${formatMoneyFull(accountPlDollar)} (${accountPlPct >= 0 ? '+' : ''}${accountPlPct.toFixed(2)}%)</p>
+        <p class="text-lg font-bold ${accountPlBadge}">${accountPlDollar >= 0 ? '+' : ''}${formatMoneyFull(accountPlDollar, accountCurrency)} (${accountPlPct >= 0 ? '+' : ''}${accountPlPct.toFixed(2)}%)</p>
       </div>
     </div>`;
 
@@ -565,7 +2414,7 @@ function renderAccountDetail(account, accountBalance, totalNw) {
        <th class="py-2 px-4 font-semibold">Avg Cost Basis</th>
        <th class="py-2 px-4 font-semibold">Cost Basis</th>
        <th class="py-2 px-4 font-semibold">Market Value</th>
-       <th class="py-2 px-4 font-semibold">P/L ($)</th>
+       <th class="py-2 px-4 font-semibold">P/L</th>
        <th class="py-2 px-4 font-semibold">P/L (%)</th>
        <th class="py-2 px-4 font-semibold">Weight</th>
        <th class="py-2 px-4 font-semibold w-12"></th>`;
@@ -573,7 +2422,7 @@ function renderAccountDetail(account, accountBalance, totalNw) {
   return `
     <div class="border-t border-white/10 p-4 bg-black/20">
       <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-4">
-        <h4 class="text-sm font-bold text-white/80">Holdings · ${formatMoneyFull(displayBalance)} (${accountWeight.toFixed(1)}% of portfolio)</h4>
+        <h4 class="text-sm font-bold text-white/80">Holdings · ${balanceLabel} (${accountWeight.toFixed(1)}% of portfolio)</h4>
         <button type="button" data-add-holding="${account.id}" class="text-primary hover:bg-primary/20 px-3 py-1.5 rounded-lg text-xs font-bold flex items-center gap-1 self-start sm:self-auto">
           <span class="material-symbols-outlined text-sm">add</span> Add Holding
         </button>
@@ -590,13 +2439,108 @@ function renderAccountDetail(account, accountBalance, totalNw) {
           <tbody>${rows}</tbody>
         </table>
       </div>`}
+      ${isSecurity ? '' : renderStatementTransactions(account)}
     </div>`;
 }
 
+/** Open tax lots for the expanded holding row, with unrealized P/L per lot. */
+function renderHoldingLots(holding, currency) {
+  const lots = getHoldingLotBreakdown(holding);
+  if (!lots.length) return '';
+  const termLabel = { long: 'Long-term', short: 'Short-term', unknown: '—' };
+  const rows = lots.map(({ lot, costBasis, marketValue, unrealized, term }) => `
+          <tr class="border-t border-white/5">
+            <td class="py-2 px-3 text-white/70">${lot.date ? escapeHtml(lot.date) : 'Unknown'}</td>
+            <td class="py-2 px-3 text-white/70">${+lot.quantity.toFixed(8)}${lot.quantity < lot.originalQuantity ? ` <span class="text-white/40">of ${lot.originalQuantity}</span>` : ''}</td>
+            <td class="py-2 px-3 text-white/70">${lot.costPerUnit != null ? formatMoneyFull(lot.costPerUnit, currency) : '—'}</td>
+            <td class="py-2 px-3 text-white/70">${costBasis != null ? formatMoneyFull(costBasis, currency) : '—'}</td>
+            <td class="py-2 px-3 text-white/70">${marketValue != null ? formatMoneyFull(marketValue, currency) : '—'}</td>
+            <td class="py-2 px-3 ${plBadgeClass(unrealized)}">${unrealized != null ? (unrealized >= 0 ? '+' : '') + formatMoneyFull(unrealized, currency) : '—'}</td>
+            <td class="py-2 px-3 text-white/50">${termLabel[term]}</td>
+          </tr>`).join('');
+  return `
+            <div class="px-3 py-2 bg-white/5 border-b border-white/10">
+              <span class="text-[10px] uppercase tracking-wider text-white/50 font-bold">Open lots · ${escapeHtml(LOT_METHODS[getLotMethodForHolding(holding)])}</span>
+            </div>
+            <table class="w-full text-left text-xs mb-2">
+              <thead>
+                <tr class="text-white/40">
+                  <th class="py-2 px-3 font-semibold">Acquired</th>
+                  <th class="py-2 px-3 font-semibold">Qty</th>
+                  <th class="py-2 px-3 font-semibold">Cost / unit</th>
+                  <th class="py-2 px-3 font-semibold">Cost basis</th>
+                  <th class="py-2 px-3 font-semibold">Market value</th>
+                  <th class="py-2 px-3 font-semibold">Unrealized P/L</th>
+                  <th class="py-2 px-3 font-semibold">Term</th>
+                </tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table>`;
+}
+
+/** Expanded row under a security holding: open lots, then its transaction ledger, newest first. */
+function renderHoldingTransactions(account, holding) {
+  const currency = getHoldingCurrency(holding, account);
+  const txns = getSortedTransactions(holding).reverse();
+  const body = txns.length
+    ? txns.map((t) => {
+      const type = TRANSACTION_TYPES[t.type];
+      const price = t.price != null ? Number(t.price) : null;
+      const amount = price != null ? (Number(t.quantity) || 0) * price : null;
+      const signClass = type && type.sign < 0 ? 'text-muted-coral' : 'text-white/80';
+      return `
+          <tr class="border-t border-white/5">
+            <td class="py-2 px-3 text-white/70">${t.date ? escapeHtml(t.date) : '—'}</td>
+            <td class="py-2 px-3 ${signClass}">${escapeHtml(type ? type.label : t.type)}</td>
+            <td class="py-2 px-3 text-white/70">${type && type.sign < 0 && t.quantity ? '-' : ''}${Number(t.quantity) || 0}</td>
+            <td class="py-2 px-3 text-white/70">${price != null ? formatMoneyFull(price, currency) : '—'}</td>
+            <td class="py-2 px-3 text-white/70">${amount != null ? formatMoneyFull(amount, currency) : '—'}</td>
+            <td class="py-2 px-3 text-white/70">${t.fee ? formatMoneyFull(Number(t.fee), currency) : '—'}</td>
+            <td class="py-2 px-3 text-white/50">${t.note ? escapeHtml(t.note) : ''}</td>
+            <td class="py-2 px-3">
+              <button type="button" data-delete-transaction="${escapeHtml(t.id)}" data-account-id="${escapeHtml(account.id)}" data-holding-id="${escapeHtml(holding.id)}" class="p-1 rounded-lg text-white/40 hover:text-red-400 hover:bg-red-500/10" title="Delete transaction">
+                <span class="material-symbols-outlined text-base">delete</span>
+              </button>
+            </td>
+          </tr>`;
+    }).join('')
+    : '<tr><td colspan="8" class="py-2 px-3 text-white/40">No transactions yet.</td></tr>';
+  return `
+      <tr class="bg-white/[0.02]">
+        <td colspan="10" class="px-4 pb-4 pt-1">
+          <div class="rounded-lg border border-white/10 overflow-hidden">${renderHoldingLots(holding, currency)}
+            <div class="flex items-center justify-between px-3 py-2 bg-white/5">
+              <span class="text-[10px] uppercase tracking-wider text-white/50 font-bold">Transactions · ${escapeHtml(holding.ticker || '')}</span>
+              <button type="button" data-add-transaction data-account-id="${escapeHtml(account.id)}" data-holding-id="${escapeHtml(holding.id)}" class="text-primary hover:bg-primary/20 px-2 py-1 rounded-lg text-xs font-bold flex items-center gap-1">
+                <span class="material-symbols-outlined text-sm">add</span> Add transaction
+              </button>
+            </div>
+            <table class="w-full text-left text-xs">
+              <thead>
+                <tr class="text-white/40">
+                  <th class="py-2 px-3 font-semibold">Date</th>
+                  <th class="py-2 px-3 font-semibold">Type</th>
+                  <th class="py-2 px-3 font-semibold">Qty</th>
+                  <th class="py-2 px-3 font-semibold">Price</th>
+                  <th class="py-2 px-3 font-semibold">Amount</th>
+                  <th class="py-2 px-3 font-semibold">Fee</th>
+                  <th class="py-2 px-3 font-semibold">Note</th>
+                  <th class="py-2 px-3 font-semibold w-10"></th>
+                </tr>
+              </thead>
+              <tbody>${body}</tbody>
+            </table>
+          </div>
+        </td>
+      </tr>`;
+}
+
 function render() {
   renderNetWorth();
   renderSummaryCards();
   renderAccountList();
+  renderUndoImport();
+  renderCurrencyPanel();
 }
 
 // ——— Modals ———
@@ -624,6 +2568,20 @@ function closeModal(id, focusAfter) {
   }
 }
 
+function openPriceSourceModal() {
+  const modeEl = document.getElementById('price-mode');
+  if (modeEl) modeEl.value = getPriceMode();
+  const staleEl = document.getElementById('price-stale-hours');
+  if (staleEl) staleEl.value = getPriceStaleHours();
+  openModal('modal-api-key');
+}
+
+function openAddAccountModal() {
+  const currencyEl = document.getElementById('account-currency');
+  if (currencyEl) currencyEl.value = getBaseCurrency();
+  openModal('modal-add-account');
+}
+
 function openAddHoldingModal(accountId) {
   const account = state.accounts.find(a => a.id === accountId);
   if (!account) return;
@@ -635,6 +2593,8 @@ function openAddHoldingModal(accountId) {
   document.getElementById('holding-ticker').value = '';
   document.getElementById('holding-quantity').value = '';
   document.getElementById('holding-purchase-price').value = '';
+  document.getElementById('holding-purchase-date').value = '';
+  document.getElementById('holding-currency').value = '';
   openModal('modal-add-holding');
 }
 
@@ -649,6 +2609,14 @@ function openEditAccountModal(accountId) {
   if (nameEl) nameEl.value = account.name;
   if (typeEl) typeEl.value = account.type;
   if (institutionEl) institutionEl.value = account.institution || '';
+  const currencyEl = document.getElementById('account-edit-currency');
+  if (currencyEl) currencyEl.value = getAccountCurrency(account);
+  const lotMethodEl = document.getElementById('account-edit-lot-method');
+  if (lotMethodEl) lotMethodEl.value = LOT_METHODS[account.lotMethod] ? account.lotMethod : 'FIFO';
+  document.getElementById('account-edit-lot-method-field')?.classList.toggle('hidden', !isSecurityType(account.type));
+  const taxEl = document.getElementById('account-edit-tax-treatment');
+  if (taxEl) taxEl.value = getAccountTaxTreatment(account) || 'taxable';
+  document.getElementById('account-edit-tax-treatment-field')?.classList.toggle('hidden', account.type === 'Debt');
   closeModal('modal-add-account');
   openModal('modal-edit-account');
 }
@@ -665,19 +2633,211 @@ function openEditHoldingModal(accountId, holdingId) {
   document.getElementById('edit-holding-fields-security').classList.toggle('hidden', !isSecurity);
   if (isSecurity) {
     document.getElementById('edit-holding-ticker').value = holding.ticker || '';
-    document.getElementById('edit-holding-quantity').value = holding.quantity != null ? holding.quantity : '';
-    document.getElementById('edit-holding-purchase-price').value = holding.purchasePrice != null ? holding.purchasePrice : '';
+    var summaryEl = document.getElementById('edit-holding-ledger-summary');
+    if (summaryEl) {
+      var avg = getPurchasePrice(holding);
+      var count = (holding.transactions || []).length;
+      summaryEl.textContent = getHoldingQuantity(holding) + ' units · avg cost ' + (avg != null ? formatMoneyFull(avg, getHoldingCurrency(holding, account)) : '—') + ' · ' + count + ' transaction' + (count === 1 ? '' : 's');
+    }
     var currentPriceEl = document.getElementById('edit-holding-current-price');
     if (currentPriceEl) currentPriceEl.value = holding.priceOverride != null && !Number.isNaN(holding.priceOverride) ? holding.priceOverride : '';
+    document.getElementById('edit-holding-currency').value = holding.currency || '';
   } else {
     document.getElementById('edit-holding-balance').value = holding.balance != null ? holding.balance : '';
   }
   openModal('modal-edit-holding');
 }
 
+function openAddTransactionModal(accountId, holdingId) {
+  const account = state.accounts.find(a => a.id === accountId);
+  const holding = account && account.holdings.find(h => h.id === holdingId);
+  if (!holding) return;
+  document.getElementById('form-add-transaction')?.reset();
+  document.getElementById('transaction-account-id').value = accountId;
+  document.getElementById('transaction-holding-id').value = holdingId;
+  document.getElementById('transaction-date').value = new Date().toISOString().slice(0, 10);
+  const titleEl = document.getElementById('modal-add-transaction-title');
+  if (titleEl) titleEl.textContent = 'Add transaction · ' + (holding.ticker || '');
+  renderTransactionLotPicker();
+  openModal('modal-add-transaction');
+}
+
+/** Account and holding the Add Transaction modal is open for. */
+function getTransactionModalTarget() {
+  const account = state.accounts.find(a => a.id === document.getElementById('transaction-account-id')?.value);
+  const holding = account && account.holdings.find(h => h.id === document.getElementById('transaction-holding-id')?.value);
+  return { account, holding };
+}
+
+/** Show open lots with quantity inputs when selling from a specific-lot account. */
+function renderTransactionLotPicker() {
+  const field = document.getElementById('transaction-lots-field');
+  const container = document.getElementById('transaction-lots');
+  if (!field || !container) return;
+  const { account, holding } = getTransactionModalTarget();
+  const type = document.getElementById('transaction-type')?.value;
+  const show = !!holding && account.lotMethod === 'SPECIFIC' && (type === 'sell' || type === 'transfer_out');
+  field.classList.toggle('hidden', !show);
+  if (!show) {
+    container.innerHTML = '';
+    return;
+  }
+  const lots = replayLedger(holding).lots;
+  const currency = getHoldingCurrency(holding, account);
+  container.innerHTML = lots.length
+    ? lots.map((l) => `
+      <label class="flex items-center justify-between gap-3 rounded-lg bg-white/5 border border-white/10 px-3 py-2">
+        <span class="text-xs text-white/70">${l.date ? escapeHtml(l.date) : 'Unknown date'} · ${+l.quantity.toFixed(8)} @ ${l.costPerUnit != null ? formatMoneyFull(l.costPerUnit, currency) : '—'}</span>
+        <input type="number" step="any" min="0" max="${l.quantity}" placeholder="0" data-lot-id="${escapeHtml(l.id)}" class="transaction-lot-qty w-24 rounded-lg bg-white/10 border border-white/20 px-2 py-1 text-white text-xs focus:border-primary focus:ring-1 focus:ring-primary"/>
+      </label>`).join('')
+    : '<p class="text-xs text-white/40">No open lots.</p>';
+}
+
+/** Realized gains modal: totals and sale-by-lot rows for the selected tax year. */
+function renderRealizedGainsReport() {
+  const yearEl = document.getElementById('realized-gains-year');
+  const summaryEl = document.getElementById('realized-gains-summary');
+  const tableEl = document.getElementById('realized-gains-table');
+  if (!yearEl || !summaryEl || !tableEl) return;
+  const saleYears = Array.from(new Set(getRealizedGains().map(r => r.date ? r.date.slice(0, 4) : null).filter(Boolean))).sort().reverse();
+  const currentYear = String(new Date().getFullYear());
+  const years = Array.from(new Set([currentYear].concat(saleYears))).sort().reverse();
+  const selected = years.includes(yearEl.value) ? yearEl.value : saleYears[0] || currentYear;
+  yearEl.innerHTML = years.map(y => `<option value="${y}" ${y === selected ? 'selected' : ''}>${y}</option>`).join('');
+  const rows = getRealizedGains(selected);
+  const totals = { short: 0, long: 0, unknown: 0 };
+  for (const r of rows) if (r.gain != null) totals[r.term] += convertCurrency(r.gain, r.currency, getBaseCurrency()) || 0;
+  const card = (label, value) => `
+    <div class="rounded-xl bg-white/5 border border-white/10 p-4">
+      <p class="text-[10px] uppercase tracking-wider text-white/50 font-bold">${label}</p>
+      <p class="text-lg font-bold ${plBadgeClass(value)}">${value >= 0 ? '+' : ''}${formatMoneyFull(value)}</p>
+    </div>`;
+  summaryEl.innerHTML = card('Short-term', totals.short) + card('Long-term', totals.long) + card('Total', totals.short + totals.long + totals.unknown);
+  if (!rows.length) {
+    tableEl.innerHTML = '<p class="text-white/40 text-sm">No sales recorded in ' + selected + '.</p>';
+    return;
+  }
+  const termLabel = { long: 'Long', short: 'Short', unknown: 'Unknown' };
+  tableEl.innerHTML = `
+    <table class="w-full text-left text-sm">
+      <thead>
+        <tr class="text-white/50 border-b border-white/10">
+          <th class="py-2 px-3 font-semibold">Sold</th>
+          <th class="py-2 px-3 font-semibold">Account</th>
+          <th class="py-2 px-3 font-semibold">Asset</th>
+          <th class="py-2 px-3 font-semibold">Qty</th>
+          <th class="py-2 px-3 font-semibold">Acquired</th>
+          <th class="py-2 px-3 font-semibold">Proceeds</th>
+          <th class="py-2 px-3 font-semibold">Cost basis</th>
+          <th class="py-2 px-3 font-semibold">Gain</th>
+          <th class="py-2 px-3 font-semibold">Term</th>
+        </tr>
+      </thead>
+      <tbody>${rows.map(r => `
+        <tr class="border-t border-white/10">
+          <td class="py-2 px-3 text-white/70">${escapeHtml(r.date || '—')}</td>
+          <td class="py-2 px-3 text-white/70">${escapeHtml(r.accountName)}</td>
+          <td class="py-2 px-3 text-white font-medium">${escapeHtml(r.ticker || '—')}</td>
+          <td class="py-2 px-3 text-white/70">${+r.quantity.toFixed(8)}</td>
+          <td class="py-2 px-3 text-white/70">${escapeHtml(r.acquiredDate || 'Unknown')}</td>
+          <td class="py-2 px-3 text-white/70">${r.proceeds != null ? formatMoneyFull(r.proceeds, r.currency) : '—'}</td>
+          <td class="py-2 px-3 text-white/70">${r.costBasis != null ? formatMoneyFull(r.costBasis, r.currency) : '—'}</td>
+          <td class="py-2 px-3 font-semibold ${plBadgeClass(r.gain)}">${r.gain != null ? (r.gain >= 0 ? '+' : '') + formatMoneyFull(r.gain, r.currency) : '—'}</td>
+          <td class="py-2 px-3 text-white/50">${termLabel[r.term]}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+/** Fill every [data-currency-select] with CURRENCIES; [data-same-as-account] ones get a blank "Same as account" option. */
+function populateCurrencySelects() {
+  document.querySelectorAll('[data-currency-select]').forEach(select => {
+    const blank = select.hasAttribute('data-same-as-account') ? '<option value="">Same as account</option>' : '';
+    select.innerHTML = blank + CURRENCIES.map(c => `<option value="${c}">${c}</option>`).join('');
+  });
+}
+
+/** Base currency picker, base-currency labels and a warning listing currencies that have no rate yet. */
+function renderCurrencyPanel() {
+  const baseEl = document.getElementById('base-currency');
+  if (baseEl) baseEl.value = getBaseCurrency();
+  document.querySelectorAll('[data-base-currency-label]').forEach(el => { el.textContent = getBaseCurrency(); });
+  const warningEl = document.getElementById('fx-missing-warning');
+  if (!warningEl) return;
+  const missing = getMissingFxCurrencies();
+  warningEl.textContent = missing.length ? 'No exchange rate for ' + missing.join(', ') + '. Those accounts count as 0 until a rate is set.' : '';
+  warningEl.classList.toggle('hidden', !missing.length);
+}
+
+/** Rates table in the Exchange rates modal: currencies in use first, then the rest of CURRENCIES. */
+function renderFxRatesTable() {
+  const container = document.getElementById('fx-rates-table');
+  if (!container) return;
+  const base = getBaseCurrency();
+  const baseLabel = document.getElementById('fx-rates-base');
+  if (baseLabel) baseLabel.textContent = base;
+  const inUse = new Set();
+  for (const a of state.accounts) {
+    inUse.add(getAccountCurrency(a));
+    for (const h of a.holdings || []) inUse.add(getHoldingCurrency(h, a));
+  }
+  const codes = Array.from(inUse).sort().concat(CURRENCIES.filter(c => !inUse.has(c))).filter(c => c !== base);
+  const rates = getFxRates();
+  container.innerHTML = `
+    <table class="w-full text-left text-sm">
+      <thead>
+        <tr class="text-white/50 border-b border-white/10">
+          <th class="py-2 px-3 font-semibold">Currency</th>
+          <th class="py-2 px-3 font-semibold">1 unit in ${escapeHtml(base)}</th>
+          <th class="py-2 px-3 font-semibold">Source</th>
+        </tr>
+      </thead>
+      <tbody>${codes.map(code => {
+        const rate = convertCurrency(1, code, base);
+        const stored = rates[code];
+        const source = stored
+          ? (stored.source === 'manual' ? 'Manual' : 'Fetched') + (stored.at ? ' · ' + new Date(stored.at).toLocaleDateString() : '')
+          : (DEFAULT_USD_RATES[code] != null ? 'Pegged to USD' : 'Missing');
+        return `
+        <tr class="border-t border-white/10">
+          <td class="py-2 px-3 ${inUse.has(code) ? 'text-white font-medium' : 'text-white/60'}">${escapeHtml(code)}</td>
+          <td class="py-2 px-3">
+            <input type="number" step="any" min="0" data-fx-rate="${escapeHtml(code)}" value="${rate != null ? +rate.toPrecision(6) : ''}" placeholder="—" class="w-32 rounded-lg bg-white/10 border border-white/20 px-2 py-1 text-white text-sm focus:border-primary focus:ring-1 focus:ring-primary"/>
+          </td>
+          <td class="py-2 px-3 text-xs ${rate == null ? 'text-amber-300/80' : 'text-white/50'}">${source}</td>
+        </tr>`;
+      }).join('')}
+      </tbody>
+    </table>`;
+}
+
+/** Store a hand-entered rate (amount of base per unit of code); blank removes the manual override. */
+function setManualFxRate(code, perBase) {
+  const rates = getFxRates();
+  if (perBase == null) {
+    if (rates[code]?.source === 'manual') delete rates[code];
+  } else {
+    const baseUsd = getUsdRate(getBaseCurrency());
+    if (baseUsd == null) {
+      alert('Set a rate for the base currency first.');
+      return;
+    }
+    rates[code] = { usd: perBase * baseUsd, at: Date.now(), source: 'manual' };
+  }
+  saveFxRates(rates);
+  render();
+}
+
+/** Fetch rates when an account uses a currency we have no rate for. Failures only log: totals already show the gap. */
+function fetchMissingFxRates() {
+  if (!getMissingFxCurrencies().length) return;
+  fetchFxRates().then(render).catch(e => console.warn('Could not fetch FX rates', e));
+}
+
 // ——— Event handlers ———
 
 function init() {
+  populateCurrencySelects();
   render();
 
   // Ensure CSV template download works when app is under /wealth/ (Clerk) or at root
@@ -687,7 +2847,7 @@ function init() {
   var templateLinkAddAccount = document.getElementById('download-template-add-account');
   if (templateLinkAddAccount) templateLinkAddAccount.setAttribute('href', base + 'import-template.csv');
 
-  document.getElementById('add-account-btn')?.addEventListener('click', () => openModal('modal-add-account'));
+  document.getElementById('add-account-btn')?.addEventListener('click', openAddAccountModal);
 
   document.getElementById('account-list')?.addEventListener('click', function (e) {
     const btn = e.target.closest('[data-edit-holding]');
@@ -695,65 +2855,101 @@ function init() {
       const accountId = btn.getAttribute('data-account-id');
       const holdingId = btn.getAttribute('data-holding-id');
       if (accountId && holdingId) openEditHoldingModal(accountId, holdingId);
+      return;
+    }
+    const toggleBtn = e.target.closest('[data-toggle-holding]');
+    if (toggleBtn) {
+      const holdingId = toggleBtn.getAttribute('data-toggle-holding');
+      state.expandedHoldingId = state.expandedHoldingId === holdingId ? null : holdingId;
+      render();
+      return;
+    }
+    const addTxnBtn = e.target.closest('[data-add-transaction]');
+    if (addTxnBtn) {
+      openAddTransactionModal(addTxnBtn.getAttribute('data-account-id'), addTxnBtn.getAttribute('data-holding-id'));
+      return;
+    }
+    const deleteTxnBtn = e.target.closest('[data-delete-transaction]');
+    if (deleteTxnBtn) {
+      const account = state.accounts.find(a => a.id === deleteTxnBtn.getAttribute('data-account-id'));
+      const holding = account && account.holdings.find(h => h.id === deleteTxnBtn.getAttribute('data-holding-id'));
+      if (!holding || !confirm('Delete this transaction? Quantity and cost basis will be recalculated.')) return;
+      const transactions = (holding.transactions || []).filter(t => t.id !== deleteTxnBtn.getAttribute('data-delete-transaction'));
+      const error = checkLedgerCoverage(transactions, getLotMethodForHolding(holding));
+      if (error) {
+        alert(error);
+        return;
+      }
+      holding.transactions = transactions;
+      saveState();
+      render();
     }
   });
 
-  document.getElementById('import-csv-add-account')?.addEventListener('click', function () {
-    document.getElementById('csv-file-input-add-account')?.click();
-  });
-  document.getElementById('csv-file-input-add-account')?.addEventListener('change', function (e) {
-    var file = e.target.files && e.target.files[0];
+  /** Read the chosen file and import it into target ({ accountId } or { newAccount: true }). */
+  function readImportFile(input, target) {
+    const file = input.files?.[0];
     if (!file) return;
-    var reader = new FileReader();
-    var inputEl = e.target;
-    reader.onload = function () {
+    const reader = new FileReader();
+    reader.onload = () => {
       try {
-        var rows = parseCSV(reader.result);
-        if (!rows.length) {
-          alert('CSV is empty or has no data rows.');
-          inputEl.value = '';
-          return;
-        }
-        var type = document.getElementById('account-type').value;
-        pendingAddAccountHoldings = parseCSVRowsToHoldings(rows, type);
-        var count = pendingAddAccountHoldings.length;
-        alert(count ? 'Imported ' + count + ' holding(s). Enter account name and click Add Account to create.' : 'No holdings found. Use columns: Ticker, Quantity, Average Cost Basis.');
+        startCSVImport(decodeCSVBytes(reader.result), target);
       } catch (err) {
         alert('Could not parse CSV: ' + (err.message || err));
       }
-      inputEl.value = '';
+      input.value = '';
     };
-    reader.readAsText(file);
+    reader.readAsArrayBuffer(file);
+  }
+  document.getElementById('import-csv-add-account')?.addEventListener('click', function () {
+    document.getElementById('csv-file-input-add-account')?.click();
   });
-
+  document.getElementById('csv-file-input-add-account')?.addEventListener('change', (e) => readImportFile(e.target, { newAccount: true }));
   document.getElementById('import-csv-btn')?.addEventListener('click', () => document.getElementById('csv-file-input')?.click());
   document.getElementById('csv-file-input')?.addEventListener('change', (e) => {
+    const accountId = document.getElementById('holding-account-id')?.value?.trim();
+    readImportFile(e.target, accountId ? { accountId } : {});
+  });
+  document.getElementById('import-ofx-btn')?.addEventListener('click', () => document.getElementById('ofx-file-input')?.click());
+  document.getElementById('ofx-file-input')?.addEventListener('change', (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
-    const accountId = document.getElementById('holding-account-id')?.value?.trim();
     const reader = new FileReader();
     reader.onload = () => {
       try {
-        const rows = parseCSV(reader.result);
-        if (!rows.length) { alert('CSV is empty or has no data rows.'); e.target.value = ''; return; }
-        if (accountId) {
-          const added = importFromCSVIntoAccount(rows, accountId);
-          alert(added ? 'Import complete. ' + added + ' holding(s) added to this account.' : 'No matching holdings found for this account type.');
-          if (added && state.apiKey) refreshAllPrices();
-        } else {
-          const before = state.accounts.length;
-          importFromCSV(rows);
-          const added = state.accounts.length - before;
-          alert('Import complete. ' + added + ' account(s) added.');
-          if (added && state.apiKey) refreshAllPrices();
-        }
+        openOFXImportModal(parseOFX(reader.result));
       } catch (err) {
-        alert('Could not parse CSV: ' + (err.message || err));
+        alert('Could not read OFX file: ' + (err.message || err));
       }
       e.target.value = '';
     };
     reader.readAsText(file);
   });
+  document.getElementById('ofx-statement-list')?.addEventListener('change', (e) => {
+    const select = e.target.closest('[data-ofx-target]');
+    if (select) document.querySelector('[data-ofx-name="' + select.getAttribute('data-ofx-target') + '"]')?.classList.toggle('hidden', !!select.value);
+  });
+  document.getElementById('ofx-import-run')?.addEventListener('click', submitOFXImport);
+  document.getElementById('close-ofx-import')?.addEventListener('click', () => {
+    pendingOFXStatements = [];
+    closeModal('modal-ofx-import', document.getElementById('import-ofx-btn'));
+  });
+  document.getElementById('import-preview-confirm')?.addEventListener('click', confirmImportPreview);
+  document.getElementById('close-import-preview')?.addEventListener('click', () => {
+    pendingImportPreview = null;
+    closeModal('modal-import-preview');
+  });
+  document.getElementById('undo-import-btn')?.addEventListener('click', undoLastImport);
+  document.getElementById('import-header-row')?.addEventListener('change', renderImportMappingFields);
+  document.getElementById('import-mapping-run')?.addEventListener('click', submitImportMapping);
+  document.getElementById('import-saved-profiles')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-delete-import-profile]');
+    if (btn && confirm('Delete this import profile?')) deleteImportProfile(btn.getAttribute('data-delete-import-profile'));
+  });
+  document.getElementById('close-import-mapping')?.addEventListener('click', () => {
+    pendingImport = null;
+    closeModal('modal-import-mapping');
+  });
 
   document.getElementById('close-add-account')?.addEventListener('click', () => closeModal('modal-add-account', document.getElementById('add-account-btn')));
   document.getElementById('form-add-account')?.addEventListener('submit', (e) => {
@@ -762,6 +2958,13 @@ function init() {
   });
 
   document.getElementById('close-edit-account')?.addEventListener('click', () => closeModal('modal-edit-account', document.body));
+  document.getElementById('account-edit-type')?.addEventListener('change', (e) => {
+    document.getElementById('account-edit-lot-method-field')?.classList.toggle('hidden', !isSecurityType(e.target.value));
+    document.getElementById('account-edit-tax-treatment-field')?.classList.toggle('hidden', e.target.value === 'Debt');
+    const account = state.accounts.find((a) => a.id === document.getElementById('account-edit-id')?.value);
+    const taxEl = document.getElementById('account-edit-tax-treatment');
+    if (taxEl && account && !account.taxTreatment && e.target.value !== 'Debt') taxEl.value = getAccountTaxTreatment({ type: e.target.value });
+  });
   document.getElementById('form-edit-account')?.addEventListener('submit', (e) => {
     e.preventDefault();
     window.submitEditAccount?.();
@@ -787,8 +2990,12 @@ function init() {
       const quantity = parseFloat(document.getElementById('holding-quantity').value) || 0;
       const purchasePriceRaw = document.getElementById('holding-purchase-price').value.trim();
       const purchasePrice = purchasePriceRaw ? parseFloat(purchasePriceRaw) : undefined;
+      const purchaseDate = document.getElementById('holding-purchase-date').value || null;
       if (!ticker || quantity <= 0) return;
-      account.holdings.push({ id: id(), ticker, quantity, purchasePrice });
+      const holding = createSecurityHolding(ticker, quantity, purchasePrice, purchaseDate);
+      const currency = document.getElementById('holding-currency').value;
+      if (currency) holding.currency = currency;
+      account.holdings.push(holding);
     } else {
       const balance = parseFloat(document.getElementById('holding-balance').value) || 0;
       account.holdings.push({ id: id(), balance });
@@ -809,13 +3016,8 @@ function init() {
     if (!account || !holding) return;
     if (isSecurityType(account.type)) {
       const ticker = document.getElementById('edit-holding-ticker').value.trim();
-      const quantity = parseFloat(document.getElementById('edit-holding-quantity').value) || 0;
-      const purchasePriceRaw = document.getElementById('edit-holding-purchase-price').value.trim();
-      const purchasePrice = purchasePriceRaw ? parseFloat(purchasePriceRaw) : undefined;
-      if (!ticker || quantity <= 0) return;
+      if (!ticker) return;
       holding.ticker = ticker;
-      holding.quantity = quantity;
-      holding.purchasePrice = purchasePrice;
       var currentPriceRaw = document.getElementById('edit-holding-current-price').value.trim();
       if (currentPriceRaw) {
         var override = parseFloat(currentPriceRaw);
@@ -823,14 +3025,54 @@ function init() {
       } else {
         delete holding.priceOverride;
       }
+      const currency = document.getElementById('edit-holding-currency').value;
+      if (currency) holding.currency = currency;
+      else delete holding.currency;
     } else {
       const balance = parseFloat(document.getElementById('edit-holding-balance').value) || 0;
       holding.balance = balance;
     }
     saveState();
+    fetchMissingFxRates();
     closeModal('modal-edit-holding');
     render();
-    if (holding.ticker && state.apiKey) refreshAllPrices();
+    if (holding.ticker && canAutoSyncPrices()) refreshAllPrices();
+  });
+  document.getElementById('close-add-transaction')?.addEventListener('click', () => closeModal('modal-add-transaction', document.body));
+  document.getElementById('transaction-type')?.addEventListener('change', renderTransactionLotPicker);
+  document.getElementById('form-add-transaction')?.addEventListener('submit', function (e) {
+    e.preventDefault();
+    const { holding } = getTransactionModalTarget();
+    if (!holding) return;
+    const priceRaw = document.getElementById('transaction-price').value.trim();
+    const feeRaw = document.getElementById('transaction-fee').value.trim();
+    const note = document.getElementById('transaction-note').value.trim();
+    const txn = {
+      type: document.getElementById('transaction-type').value,
+      date: document.getElementById('transaction-date').value || null,
+      quantity: parseFloat(document.getElementById('transaction-quantity').value) || 0,
+      price: priceRaw ? parseFloat(priceRaw) : null,
+    };
+    if (feeRaw) txn.fee = parseFloat(feeRaw) || 0;
+    if (note) txn.note = note;
+    if (!document.getElementById('transaction-lots-field')?.classList.contains('hidden')) {
+      txn.lots = Array.from(document.querySelectorAll('.transaction-lot-qty'))
+        .map(input => ({ lotId: input.dataset.lotId, quantity: parseFloat(input.value) || 0 }))
+        .filter(p => p.quantity > 0);
+    }
+    if (needsTransactionPrice(txn.type, txn.quantity) && (txn.price == null || Number.isNaN(txn.price))) {
+      alert('Enter the price per unit for this transaction.');
+      return;
+    }
+    const error = addHoldingTransaction(holding, txn);
+    if (error) {
+      alert(error);
+      return;
+    }
+    saveState();
+    closeModal('modal-add-transaction');
+    state.expandedHoldingId = holding.id;
+    render();
   });
   document.getElementById('delete-holding-btn')?.addEventListener('click', function () {
     const accountId = document.getElementById('edit-holding-account-id')?.value;
@@ -844,22 +3086,38 @@ function init() {
   });
 
   document.getElementById('sync-prices-btn')?.addEventListener('click', () => {
-    const hasCrypto = state.accounts.some(a => a.type === 'Crypto' && a.holdings?.some(h => h.ticker));
-    const hasRetirement = state.accounts.some(a => a.type === 'Retirement' && a.holdings?.some(h => h.ticker));
-    if (hasRetirement && !state.apiKey) {
-      openModal('modal-api-key');
+    if (needsApiKeyForSync()) {
+      openPriceSourceModal();
       return;
     }
-    refreshAllPrices();
+    refreshAllPrices({ report: true });
+  });
+  document.getElementById('sync-report-retry')?.addEventListener('click', () => {
+    closeModal('modal-sync-report', document.body);
+    refreshAllPrices({ report: true });
+  });
+  document.getElementById('close-sync-report')?.addEventListener('click', () => closeModal('modal-sync-report', document.body));
+  document.getElementById('price-source-btn')?.addEventListener('click', openPriceSourceModal);
+  document.getElementById('price-stale-hours')?.addEventListener('change', (e) => {
+    const hours = parseFloat(e.target.value);
+    savePreferences(Object.assign(getPreferences(), { priceStaleHours: hours > 0 ? hours : DEFAULT_PRICE_STALE_HOURS }));
+    render();
+  });
+  document.getElementById('price-mode')?.addEventListener('change', (e) => {
+    savePreferences(Object.assign(getPreferences(), { priceMode: e.target.value }));
+    if (e.target.value === 'mock') {
+      closeModal('modal-api-key');
+      refreshAllPrices({ report: true });
+    }
   });
 
   document.getElementById('save-api-key')?.addEventListener('click', () => {
     const key = document.getElementById('api-key-input').value.trim();
     if (key) {
       state.apiKey = key;
-      localStorage.setItem('horizon60_apiKey', key);
+      localStorage.setItem(API_KEY_KEY, key);
       closeModal('modal-api-key');
-      refreshAllPrices();
+      refreshAllPrices({ report: true });
     }
   });
   document.getElementById('skip-api-key')?.addEventListener('click', () => {
@@ -869,8 +3127,16 @@ function init() {
   document.querySelectorAll('.tab-btn').forEach(btn => {
     btn.addEventListener('click', () => showTab(btn.dataset.tab));
   });
+  document.getElementById('snapshot-schedule')?.addEventListener('change', (e) => {
+    savePreferences(Object.assign(getPreferences(), { snapshotSchedule: e.target.value }));
+    takeScheduledSnapshot();
+    updateNetWorthChart();
+  });
+  document.getElementById('backfill-history-btn')?.addEventListener('click', openBackfillModal);
+  document.getElementById('backfill-run')?.addEventListener('click', runBackfillFromModal);
+  document.getElementById('close-backfill')?.addEventListener('click', () => closeModal('modal-backfill', document.body));
   document.getElementById('record-snapshot-btn')?.addEventListener('click', () => {
-    recordSnapshot();
+    recordSnapshot('manual');
     renderSnapshotList();
   });
   document.getElementById('form-edit-snapshot')?.addEventListener('submit', (e) => {
@@ -896,33 +3162,362 @@ function init() {
     updateForecastChart();
   });
 
+  document.getElementById('forecast-dollars-wrap')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('.forecast-dollars');
+    if (!btn) return;
+    const settings = getForecastSettings();
+    settings.realDollars = btn.dataset.dollars === 'real';
+    saveForecastSettings(settings);
+    renderForecastAccountSettings();
+    renderHorizonMilestones();
+    updateForecastChart();
+  });
+
+  document.getElementById('scenario-select')?.addEventListener('change', (e) => setActiveScenario(e.target.value));
+  document.getElementById('scenario-new')?.addEventListener('click', () => openScenarioNameModal('new'));
+  document.getElementById('scenario-clone')?.addEventListener('click', () => openScenarioNameModal('clone'));
+  document.getElementById('scenario-rename')?.addEventListener('click', () => openScenarioNameModal('rename'));
+  document.getElementById('scenario-delete')?.addEventListener('click', () => deleteScenario(getForecastSettings().scenarioId));
+  document.getElementById('form-scenario-name')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitScenarioName();
+  });
+  document.getElementById('close-scenario-name')?.addEventListener('click', () => {
+    pendingScenarioAction = null;
+    closeModal('modal-scenario-name', document.body);
+  });
+  document.getElementById('scenario-comparison')?.addEventListener('change', (e) => {
+    const scenarioId = e.target.getAttribute('data-compare-scenario');
+    if (scenarioId) setScenarioCompared(scenarioId, e.target.checked);
+  });
+
+  document.getElementById('milestones-inflate')?.addEventListener('change', (e) => {
+    const settings = getForecastSettings();
+    settings.inflateMilestones = e.target.checked;
+    saveForecastSettings(settings);
+    renderHorizonMilestones();
+  });
+
+  document.getElementById('monte-carlo-settings')?.addEventListener('change', (e) => {
+    const key = e.target.getAttribute('data-monte-carlo');
+    if (!key) return;
+    const value = parseFloat(e.target.value);
+    saveMonteCarloSetting(key, Number.isNaN(value) ? null : value);
+  });
+
+  document.getElementById('profile-settings')?.addEventListener('change', (e) => {
+    const key = e.target.getAttribute('data-profile');
+    if (!key) return;
+    if (key === 'retirementAge' || key === 'lifeExpectancy') {
+      const value = parseFloat(e.target.value);
+      saveProfileSetting(key, Number.isNaN(value) ? null : value);
+    } else {
+      saveProfileSetting(key, e.target.value || null);
+    }
+  });
+  document.getElementById('forecast-label-by-age')?.addEventListener('change', (e) => {
+    const settings = getForecastSettings();
+    settings.labelByAge = e.target.checked;
+    saveForecastSettings(settings);
+    renderHorizonMilestones();
+    updateForecastChart();
+  });
+
+  document.getElementById('income-stream-add')?.addEventListener('click', addIncomeStream);
+  document.getElementById('income-stream-list')?.addEventListener('change', (e) => {
+    const card = e.target.closest('[data-income-id]');
+    const key = e.target.getAttribute('data-income-field');
+    if (card && key) saveIncomeStreamField(card.dataset.incomeId, key, e.target.value.trim());
+  });
+  document.getElementById('income-stream-list')?.addEventListener('click', (e) => {
+    const card = e.target.closest('[data-income-id]');
+    if (card && e.target.closest('[data-income-remove]')) removeIncomeStream(card.dataset.incomeId);
+  });
+
+  document.getElementById('tax-bracket-list')?.addEventListener('change', (e) => {
+    const row = e.target.closest('[data-bracket-index]');
+    const field = e.target.getAttribute('data-bracket-field');
+    if (row && field) saveTaxBracket(Number(row.dataset.bracketIndex), field, e.target.value);
+  });
+  document.getElementById('tax-bracket-list')?.addEventListener('click', (e) => {
+    const row = e.target.closest('[data-bracket-index]');
+    if (row && e.target.closest('[data-bracket-remove]')) saveTaxBracket(Number(row.dataset.bracketIndex), 'remove');
+  });
+  document.getElementById('tax-bracket-add')?.addEventListener('click', () => saveTaxBracket(null));
+  document.getElementById('tax-reset')?.addEventListener('click', () => {
+    if (!confirm('Replace your tax settings with the 2025 single-filer defaults?')) return;
+    saveTaxSettings({});
+  });
+  ['tax-standard-deduction', 'tax-capital-gains'].forEach((elId) => {
+    document.getElementById(elId)?.addEventListener('change', (e) => {
+      const t = getTaxSettings();
+      const value = parseFloat(e.target.value);
+      if (elId === 'tax-standard-deduction') t.standardDeduction = Number.isNaN(value) ? null : value;
+      else t.capitalGainsPercent = Number.isNaN(value) ? null : value;
+      saveTaxSettings(t);
+    });
+  });
+
+  document.getElementById('drawdown-settings')?.addEventListener('change', (e) => {
+    const key = e.target.getAttribute('data-drawdown');
+    if (!key) return;
+    if (key === 'ratePercent') {
+      const value = parseFloat(e.target.value);
+      saveDrawdownSetting(key, Number.isNaN(value) ? null : value);
+    } else {
+      saveDrawdownSetting(key, e.target.value || null);
+    }
+  });
+
   document.body.addEventListener('click', (e) => {
     const btn = e.target.closest('.milestone-info');
     if (!btn) return;
     const id = btn.dataset.milestoneId;
-    const m = FIRE_MILESTONES.find((x) => x.id === id);
+    const m = getMilestoneSettings().list.find((x) => x.id === id);
     if (m) {
       const titleEl = document.getElementById('milestone-info-title');
       const bodyEl = document.getElementById('milestone-info-body');
       if (titleEl) titleEl.textContent = m.name;
-      if (bodyEl) bodyEl.textContent = m.description;
+      if (bodyEl) bodyEl.textContent = m.description || 'No description yet. Add one with Edit.';
       openModal('modal-milestone-info');
     }
   });
   document.getElementById('close-milestone-info')?.addEventListener('click', () => closeModal('modal-milestone-info', document.body));
 
+  document.getElementById('edit-milestones-btn')?.addEventListener('click', openEditMilestonesModal);
+  document.getElementById('milestone-edit-list')?.addEventListener('click', (e) => {
+    const card = e.target.closest('[data-milestone-index]');
+    const move = e.target.closest('[data-milestone-move]');
+    const remove = e.target.closest('[data-milestone-remove]');
+    if (!card || (!move && !remove)) return;
+    syncMilestoneDraft();
+    const i = Number(card.dataset.milestoneIndex);
+    if (remove) {
+      milestoneDraft.splice(i, 1);
+    } else {
+      const j = i + Number(move.dataset.milestoneMove);
+      if (j < 0 || j >= milestoneDraft.length) return;
+      [milestoneDraft[i], milestoneDraft[j]] = [milestoneDraft[j], milestoneDraft[i]];
+    }
+    renderMilestoneDraft();
+  });
+  document.getElementById('milestone-edit-list')?.addEventListener('change', (e) => {
+    if (e.target.dataset.milestoneField !== 'kind') return;
+    syncMilestoneDraft();
+    renderMilestoneDraft();
+  });
+  document.getElementById('milestone-add')?.addEventListener('click', () => {
+    syncMilestoneDraft();
+    milestoneDraft.push({ id: id(), name: '', kind: 'spending', multiple: 0.5, description: '' });
+    renderMilestoneDraft();
+    document.querySelector('#milestone-edit-list [data-milestone-index]:last-child [data-milestone-field="name"]')?.focus();
+  });
+  document.getElementById('milestone-reset')?.addEventListener('click', () => {
+    if (!confirm('Replace your milestones with the defaults?')) return;
+    milestoneDraft = DEFAULT_MILESTONES.map((m) => Object.assign({}, m));
+    renderMilestoneDraft();
+  });
+  document.getElementById('milestone-save')?.addEventListener('click', submitEditMilestones);
+  document.getElementById('close-edit-milestones')?.addEventListener('click', () => {
+    milestoneDraft = null;
+    closeModal('modal-edit-milestones', document.body);
+  });
+
+  document.getElementById('realized-gains-btn')?.addEventListener('click', () => {
+    renderRealizedGainsReport();
+    openModal('modal-realized-gains');
+  });
+  document.getElementById('realized-gains-year')?.addEventListener('change', renderRealizedGainsReport);
+  document.getElementById('export-csv-btn')?.addEventListener('click', () => exportReportCSV(document.getElementById('export-report')?.value || 'holdings'));
+  document.getElementById('export-xlsx-btn')?.addEventListener('click', exportReportXlsx);
+  document.getElementById('close-realized-gains')?.addEventListener('click', () => closeModal('modal-realized-gains', document.body));
+  ['amortization-extra-monthly', 'amortization-extra-monthly-from', 'amortization-extra-once', 'amortization-extra-once-date'].forEach((id) => {
+    document.getElementById(id)?.addEventListener('input', renderAmortization);
+  });
+  document.getElementById('close-amortization')?.addEventListener('click', () => closeModal('modal-amortization', document.body));
+
+  document.getElementById('base-currency')?.addEventListener('change', (e) => {
+    savePreferences(Object.assign(getPreferences(), { baseCurrency: e.target.value }));
+    render();
+    updateNetWorthChart();
+    renderSnapshotList();
+    fetchMissingFxRates();
+  });
+  document.getElementById('fx-rates-btn')?.addEventListener('click', () => {
+    renderFxRatesTable();
+    openModal('modal-fx-rates');
+  });
+  document.getElementById('fx-rates-table')?.addEventListener('change', (e) => {
+    const input = e.target.closest('[data-fx-rate]');
+    if (!input) return;
+    const value = parseFloat(input.value);
+    setManualFxRate(input.dataset.fxRate, value > 0 ? value : null);
+    renderFxRatesTable();
+  });
+  document.getElementById('fx-rates-fetch')?.addEventListener('click', async (e) => {
+    const btn = e.currentTarget;
+    btn.disabled = true;
+    try {
+      await fetchFxRates();
+      render();
+      renderFxRatesTable();
+    } catch (err) {
+      alert('Could not fetch exchange rates: ' + err.message);
+    } finally {
+      btn.disabled = false;
+    }
+  });
+  document.getElementById('close-fx-rates')?.addEventListener('click', () => closeModal('modal-fx-rates', document.body));
+
+  document.getElementById('export-backup-btn')?.addEventListener('click', exportBackup);
+  document.getElementById('restore-backup-btn')?.addEventListener('click', () => document.getElementById('restore-file-input')?.click());
+  document.getElementById('restore-file-input')?.addEventListener('change', (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const backup = JSON.parse(reader.result);
+        openRestoreModal(backup, parseBackup(backup));
+      } catch (err) {
+        alert('Could not restore backup:\n' + (err.message || err));
+      }
+      e.target.value = '';
+    };
+    reader.readAsText(file);
+  });
+  document.getElementById('form-restore-backup')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const mode = document.querySelector('input[name="restore-mode"]:checked')?.value || 'replace';
+    if (mode === 'replace' && !confirm('Replace all data in this browser with the backup? This cannot be undone.')) return;
+    applyRestore(mode);
+  });
+  document.getElementById('close-restore-backup')?.addEventListener('click', () => {
+    pendingRestore = null;
+    closeModal('modal-restore-backup', document.body);
+  });
+
   // Close modals on backdrop click
   document.querySelectorAll('[data-modal]').forEach(modal => {
     modal.addEventListener('click', () => {
       if (modal.id) closeModal(modal.id);
     });
   });
+
+  fetchMissingFxRates();
+  if (!refreshStalePrices()) takeScheduledSnapshot(); // otherwise taken once the sync finishes
 }
 
 const NET_WORTH_HISTORY_KEY = 'horizon60_netWorthHistory';
 const FORECAST_SETTINGS_KEY = 'horizon60_forecastSettings';
-/** Default contribution stop date: 60th birthday (April 21, 2055). Used when user has not set a stop date. */
-const DEFAULT_CONTRIBUTION_STOP_DATE = '2055-04-21';
+const PROFILE_KEY = 'horizon60_profile';
+
+// ——— Profile ———
+
+/** @returns {{ birthDate: string|null, retirementAge: number, lifeExpectancy: number, partnerBirthDate: string|null }} */
+function getProfile() {
+  const stored = readStoredJSON(PROFILE_KEY, {});
+  const p = stored && typeof stored === 'object' ? stored : {};
+  const date = (v) => (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) ? v : null);
+  const age = (v, fallback) => {
+    const n = Number(v);
+    return v != null && v !== '' && Number.isFinite(n) && n > 0 && n < 130 ? n : fallback;
+  };
+  return Object.assign({}, p, {
+    birthDate: date(p.birthDate),
+    retirementAge: age(p.retirementAge, 60),
+    lifeExpectancy: age(p.lifeExpectancy, 90),
+    partnerBirthDate: date(p.partnerBirthDate),
+  });
+}
+
+function saveProfile(profile) {
+  invalidateForecast();
+  try {
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+    queueRemoteSave('profile');
+  } catch (e) {
+    console.warn('Could not save profile', e);
+  }
+}
+
+/** Date (YYYY-MM-DD) someone born on birthDate reaches age (fractional ages round to the month). */
+function dateAtAge(birthDate, age) {
+  const d = new Date(birthDate + 'T12:00:00');
+  d.setMonth(d.getMonth() + Math.round(age * 12));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Retirement date from the profile's birthdate and retirement age, or null without a birthdate.
+ * Also where contributions stop when an account has no stop date; without either they run to the end of the horizon.
+ */
+function getRetirementDate() {
+  const p = getProfile();
+  return p.birthDate ? dateAtAge(p.birthDate, p.retirementAge) : null;
+}
+
+/** Whole-year age yearsFromNow (today = 0) for a birthdate, or null without one. */
+function ageAt(birthDate, yearsFromNow) {
+  if (!birthDate) return null;
+  const birth = new Date(birthDate + 'T12:00:00');
+  const then = new Date();
+  then.setMonth(then.getMonth() + Math.round(yearsFromNow * 12));
+  let age = then.getFullYear() - birth.getFullYear();
+  if (then.getMonth() < birth.getMonth() || (then.getMonth() === birth.getMonth() && then.getDate() < birth.getDate())) age--;
+  return age;
+}
+
+/** Whether forecasts are labelled by age: forecastSettings.labelByAge and a birthdate in the profile. */
+function isLabelledByAge() {
+  return !!getForecastSettings().labelByAge && !!getProfile().birthDate;
+}
+
+/** X-axis label for yearsFromNow: "Age 47" ("Age 47 / 45" with a partner) when labelling by age, else "Today" / "Year N". */
+function getForecastYearLabel(yearsFromNow) {
+  if (!isLabelledByAge()) return yearsFromNow === 0 ? 'Today' : `Year ${yearsFromNow}`;
+  const p = getProfile();
+  const partner = ageAt(p.partnerBirthDate, yearsFromNow);
+  return `Age ${ageAt(p.birthDate, yearsFromNow)}` + (partner != null ? ` / ${partner}` : '');
+}
+
+/** When something happens yearsFromNow, for milestone text: "at 47" by age, else "in 6y". */
+function describeForecastWhen(yearsFromNow) {
+  return isLabelledByAge() ? `at ${ageAt(getProfile().birthDate, yearsFromNow)}` : `in ${yearsFromNow}y`;
+}
+
+/** Fill the profile inputs and the line summarizing retirement and planning age. */
+function renderProfileSettings() {
+  const p = getProfile();
+  const set = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && document.activeElement !== el) el.value = value;
+  };
+  set('profile-birth-date', p.birthDate || '');
+  set('profile-retirement-age', String(p.retirementAge));
+  set('profile-life-expectancy', String(p.lifeExpectancy));
+  set('profile-partner-birth-date', p.partnerBirthDate || '');
+  const byAgeEl = document.getElementById('forecast-label-by-age');
+  if (byAgeEl) {
+    byAgeEl.checked = !!getForecastSettings().labelByAge;
+    byAgeEl.disabled = !p.birthDate;
+  }
+  const summaryEl = document.getElementById('profile-summary');
+  if (summaryEl) {
+    const retirement = getRetirementDate();
+    summaryEl.textContent = retirement
+      ? `You are ${ageAt(p.birthDate, 0)}. Retirement at ${p.retirementAge} is ${new Date(retirement + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}; planning to age ${p.lifeExpectancy} (${dateAtAge(p.birthDate, p.lifeExpectancy).slice(0, 4)}).`
+      : 'Enter your birthdate to stop contributions at your retirement age (until then accounts without a stop date contribute to the end of the forecast) and to label the forecast by age.';
+  }
+}
+
+/** Save one profile field from its input and refresh the forecast. */
+function saveProfileSetting(key, value) {
+  saveProfile(Object.assign(getProfile(), { [key]: value }));
+  renderForecastAccountSettings();
+  renderHorizonMilestones();
+  updateForecastChart();
+}
 
 // ——— Forecast: time value of money ———
 // FV of annuity (ordinary): FV = PMT * [((1+i)^n - 1) / i]. With initial PV: FV = PV*(1+i)^n + PMT*[((1+i)^n - 1)/i].
@@ -971,8 +3566,18 @@ function monthsUntil(stopDate) {
   return Math.ceil((end - start) / (30.44 * 24 * 60 * 60 * 1000)); // approximate month
 }
 
+/** Monthly interest rate of a loan. Loan rates are APRs, so interest accrues at rate / 12 a month. */
+function loanMonthlyRate(annualPercent) {
+  return (Number(annualPercent) || 0) / 1200;
+}
+
+/** Annual growth rate (%) that compounds monthly to a loan's APR / 12, for the forecast's annual-rate projections. */
+function loanEffectiveAnnualPercent(annualPercent) {
+  return (Math.pow(1 + loanMonthlyRate(annualPercent), 12) - 1) * 100;
+}
+
 /**
- * Months to pay off a loan with current balance pv, monthly payment pmt, and annual interest rate (e.g. 5 for 5%).
+ * Months to pay off a loan with current balance pv, monthly payment pmt, and annual interest rate (APR, e.g. 5 for 5%).
  * Returns null if loan never pays off (payment <= interest) or invalid inputs.
  */
 function monthsToPayoffLoan(pv, monthlyPmt, annualPercent) {
@@ -980,22 +3585,27 @@ function monthsToPayoffLoan(pv, monthlyPmt, annualPercent) {
   const pmtNum = Number(monthlyPmt) || 0;
   if (pvNum <= 0) return 0;
   if (pmtNum <= 0) return null;
-  const r = monthlyRateFromAnnual(annualPercent);
+  const r = loanMonthlyRate(annualPercent);
   const monthlyInterest = pvNum * r;
   if (pmtNum <= monthlyInterest) return null; // never pays off
-  const n = Math.log(pmtNum / (pmtNum - pvNum * r)) / Math.log(1 + r);
-  const months = Math.ceil(n);
+  const n = r === 0 ? pvNum / pmtNum : Math.log(pmtNum / (pmtNum - pvNum * r)) / Math.log(1 + r);
+  const months = Math.ceil(n - 1e-9);
   return months <= 0 ? null : months;
 }
 
-/** Last payment date (YYYY-MM-DD) for a debt account based on current balance, monthly payment, and interest rate. Returns null if no payoff. */
+/**
+ * Last payment date (YYYY-MM-DD) for a debt account: from its amortization schedule when the loan terms are set (at the
+ * entered monthly payment, if any), else from the current balance, monthly payment, and interest rate. Returns null if no payoff.
+ */
 function getDebtLastPaymentDate(accountId) {
   const account = state.accounts.find((a) => a.id === accountId);
   if (!account || account.type !== 'Debt') return null;
+  const monthlyPmt = getDebtMonthlyPayment(accountId);
+  const terms = getDebtTerms(accountId);
+  if (terms) return buildAmortizationSchedule(terms.principal, terms.annualPercent, monthlyPmt, terms.originationDate).payoffDate;
   const balance = getAccountBalance(account);
   const settings = getForecastSettings();
   const acc = settings.accounts[accountId] || {};
-  const monthlyPmt = Number(acc.monthlyContribution) || 0;
   const annual = Number(acc.annualReturnPercent) ?? 0;
   const months = monthsToPayoffLoan(balance, monthlyPmt, annual);
   if (months == null || months <= 0) return null;
@@ -1004,20 +3614,316 @@ function getDebtLastPaymentDate(accountId) {
   return d.toISOString().slice(0, 10);
 }
 
-/** Get forecast settings: { horizonYears, annualExpenses, annualExpenseGrowthPercent, accounts: { ... } } */
+// ——— Debt amortization ———
+
+/** Monthly payment of a debt account: the one entered on its forecast card, else the scheduled payment from its original terms. */
+function getDebtMonthlyPayment(accountId) {
+  const acc = getForecastSettings().accounts[accountId] || {};
+  if (acc.monthlyContribution != null) return Number(acc.monthlyContribution) || 0;
+  return getDebtTerms(accountId)?.payment || 0;
+}
+
+/** Level monthly payment that repays principal over `months`. */
+function amortizedPayment(principal, annualPercent, months) {
+  if (!(principal > 0) || !(months > 0)) return 0;
+  const r = loanMonthlyRate(annualPercent);
+  return r === 0 ? principal / months : (principal * r) / (1 - Math.pow(1 + r, -months));
+}
+
+/** YYYY-MM-DD `months` after date; the day is clamped to the end of a shorter month (Jan 31 + 1 month = Feb 28). */
+function addMonthsToDate(date, months) {
+  const [y, m, d] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(y, m + months, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + months, Math.min(d, lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * Original terms of a debt account from its forecast card: { principal, annualPercent, termMonths, originationDate, payment, paymentsMade, derived }.
+ * Payments fall monthly from a month after origination. Without an original amount the principal is worked back from
+ * today's balance, assuming the loan has been paid on schedule (derived: true). Null until the origination date and term are set.
+ */
+function getDebtTerms(accountId) {
+  const account = state.accounts.find((a) => a.id === accountId);
+  if (!account || account.type !== 'Debt') return null;
+  const acc = getForecastSettings().accounts[accountId] || {};
+  const termMonths = Math.floor(Number(acc.termMonths) || 0);
+  const originationDate = acc.loanOriginationDate;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(originationDate || '') || termMonths <= 0) return null;
+  const annualPercent = Number(acc.annualReturnPercent) || 0;
+  const today = new Date().toISOString().slice(0, 10);
+  let paymentsMade = (Number(today.slice(0, 4)) - Number(originationDate.slice(0, 4))) * 12 + Number(today.slice(5, 7)) - Number(originationDate.slice(5, 7));
+  if (paymentsMade > 0 && addMonthsToDate(originationDate, paymentsMade) > today) paymentsMade--;
+  paymentsMade = Math.max(0, Math.min(termMonths, paymentsMade));
+  let principal = Number(acc.originalPrincipal) || 0;
+  const derived = !(principal > 0);
+  if (derived) {
+    const balance = getAccountBalance(account);
+    if (paymentsMade >= termMonths || !(balance > 0)) return null;
+    const r = loanMonthlyRate(annualPercent);
+    const payment = amortizedPayment(balance, annualPercent, termMonths - paymentsMade);
+    principal = r === 0 ? payment * termMonths : (payment * (1 - Math.pow(1 + r, -termMonths))) / r;
+  }
+  return { principal, annualPercent, termMonths, originationDate, payment: amortizedPayment(principal, annualPercent, termMonths), paymentsMade, derived };
+}
+
+/**
+ * Month-by-month schedule of a loan: rows of { number, date, payment, interest, principal, extra, balance }, with totalInterest
+ * and payoffDate (null if the payment never clears the balance within maxMonths). extra.monthly is added to every payment
+ * dated on or after extra.monthlyFrom; extra.once ([{ date, amount }]) goes to the first payment on or after its date.
+ */
+function buildAmortizationSchedule(principal, annualPercent, payment, startDate, extra = {}, maxMonths = 1200) {
+  const r = loanMonthlyRate(annualPercent);
+  const once = (extra.once || []).filter((x) => x.amount > 0 && x.date);
+  const rows = [];
+  let balance = principal;
+  let totalInterest = 0;
+  let prevDate = null;
+  for (let n = 1; n <= maxMonths && balance > 0.005; n++) {
+    const date = addMonthsToDate(startDate, n);
+    const interest = balance * r;
+    const scheduled = Math.min(payment, balance + interest);
+    const principalPaid = scheduled - interest;
+    let extraPaid = extra.monthly > 0 && (!extra.monthlyFrom || date >= extra.monthlyFrom) ? extra.monthly : 0;
+    for (const x of once) if (x.date <= date && (prevDate == null || x.date > prevDate)) extraPaid += x.amount;
+    extraPaid = Math.max(0, Math.min(extraPaid, balance - principalPaid));
+    balance = Math.max(0, balance - principalPaid - extraPaid);
+    totalInterest += interest;
+    rows.push({ number: n, date, payment: scheduled, interest, principal: principalPaid, extra: extraPaid, balance });
+    prevDate = date;
+  }
+  return { rows, totalInterest, payoffDate: balance > 0.005 ? null : prevDate };
+}
+
+/** Debt account's schedule from its original terms, and the same loan with the what-if extra payments: { terms, baseline, whatIf, interestSaved, monthsSaved }. Null without terms. */
+function getDebtAmortization(accountId, extra) {
+  const terms = getDebtTerms(accountId);
+  if (!terms) return null;
+  const schedule = (x) => buildAmortizationSchedule(terms.principal, terms.annualPercent, terms.payment, terms.originationDate, x);
+  const baseline = schedule({});
+  const whatIf = extra && (extra.monthly > 0 || (extra.once || []).some((x) => x.amount > 0)) ? schedule(extra) : null;
+  return {
+    terms,
+    baseline,
+    whatIf,
+    interestSaved: whatIf ? baseline.totalInterest - whatIf.totalInterest : 0,
+    monthsSaved: whatIf ? baseline.rows.length - whatIf.rows.length : 0,
+  };
+}
+
+/** One line for the debt card: scheduled payment, progress and payoff date from the original terms. */
+function describeDebtTerms(accountId) {
+  const terms = getDebtTerms(accountId);
+  if (!terms) return 'Add the origination date and term to see the scheduled payment and amortization schedule.';
+  const payoff = addMonthsToDate(terms.originationDate, terms.termMonths);
+  return `Scheduled payment ${formatMoneyFull(terms.payment)} on ${formatMoneyFull(terms.principal)}${terms.derived ? ' (worked back from the current balance)' : ''} · ${terms.paymentsMade} of ${terms.termMonths} payments made · scheduled payoff ${formatShortDate(payoff)}`;
+}
+
+/** YYYY-MM-DD as e.g. "Mar 1, 2055". */
+function formatShortDate(date) {
+  return new Date(date + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+let amortizationAccountId = null;
+
+/** Open the amortization modal for a debt account with the what-if fields cleared. */
+function openAmortizationModal(accountId) {
+  if (!getDebtTerms(accountId)) {
+    alert('Add the loan origination date and term (months) first. Without an original amount, a current balance is needed too.');
+    return;
+  }
+  amortizationAccountId = accountId;
+  const today = new Date().toISOString().slice(0, 10);
+  const set = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value;
+  };
+  set('amortization-extra-monthly', '');
+  set('amortization-extra-monthly-from', today);
+  set('amortization-extra-once', '');
+  set('amortization-extra-once-date', today);
+  renderAmortization();
+  openModal('modal-amortization');
+}
+
+/** What-if extra payments from the modal's fields. */
+function readAmortizationExtra() {
+  const value = (id) => document.getElementById(id)?.value || '';
+  return {
+    monthly: parseFloat(value('amortization-extra-monthly')) || 0,
+    monthlyFrom: value('amortization-extra-monthly-from') || null,
+    once: [{ amount: parseFloat(value('amortization-extra-once')) || 0, date: value('amortization-extra-once-date') }],
+  };
+}
+
+/** Amortization modal: original terms, what-if result and the month-by-month table (with the extra payments when any are entered). */
+function renderAmortization() {
+  const account = state.accounts.find((a) => a.id === amortizationAccountId);
+  const titleEl = document.getElementById('modal-amortization-title');
+  const summaryEl = document.getElementById('amortization-summary');
+  const whatIfEl = document.getElementById('amortization-what-if-result');
+  const tableEl = document.getElementById('amortization-table');
+  if (!summaryEl || !whatIfEl || !tableEl) return;
+  const result = account ? getDebtAmortization(account.id, readAmortizationExtra()) : null;
+  if (!result) {
+    summaryEl.innerHTML = '';
+    whatIfEl.textContent = '';
+    tableEl.innerHTML = '<p class="text-white/40 text-sm">No loan terms for this account.</p>';
+    return;
+  }
+  const { terms, baseline, whatIf } = result;
+  if (titleEl) titleEl.textContent = `Amortization: ${account.name}`;
+  const scheduledToday = terms.paymentsMade > 0 ? baseline.rows[terms.paymentsMade - 1].balance : terms.principal;
+  const card = (label, value, note) => `
+    <div class="rounded-xl bg-white/5 border border-white/10 p-4">
+      <p class="text-[10px] uppercase tracking-wider text-white/50 font-bold">${label}</p>
+      <p class="text-lg font-bold text-white">${value}</p>
+      ${note ? `<p class="text-[11px] text-white/40">${note}</p>` : ''}
+    </div>`;
+  summaryEl.innerHTML =
+    card('Scheduled payment', formatMoneyFull(terms.payment), `${formatMoneyFull(terms.principal)} over ${terms.termMonths} months at ${terms.annualPercent}%`) +
+    card('Total interest', formatMoneyFull(baseline.totalInterest)) +
+    card('Payoff', baseline.payoffDate ? formatShortDate(baseline.payoffDate) : '—') +
+    card('Balance today', formatMoneyFull(scheduledToday), `Scheduled, after ${terms.paymentsMade} payments; account shows ${formatMoneyFull(getAccountBalance(account))}`);
+  if (!whatIf) {
+    whatIfEl.textContent = 'Enter an extra payment to see the interest saved and the new payoff date.';
+  } else {
+    const years = Math.floor(result.monthsSaved / 12);
+    const months = result.monthsSaved % 12;
+    const sooner = [years ? `${years} yr` : '', months ? `${months} mo` : ''].filter(Boolean).join(' ') || 'no time';
+    whatIfEl.innerHTML = `Interest saved <span class="text-primary font-bold">${formatMoneyFull(result.interestSaved)}</span> · paid off <span class="text-white font-bold">${whatIf.payoffDate ? formatShortDate(whatIf.payoffDate) : '—'}</span> (${sooner} sooner)`;
+  }
+  const rows = (whatIf || baseline).rows;
+  tableEl.innerHTML = `
+    <table class="w-full text-left text-sm">
+      <thead>
+        <tr class="text-white/50 border-b border-white/10">
+          <th class="py-2 px-3 font-semibold">#</th>
+          <th class="py-2 px-3 font-semibold">Date</th>
+          <th class="py-2 px-3 font-semibold">Payment</th>
+          <th class="py-2 px-3 font-semibold">Principal</th>
+          <th class="py-2 px-3 font-semibold">Interest</th>
+          <th class="py-2 px-3 font-semibold">Extra</th>
+          <th class="py-2 px-3 font-semibold">Balance</th>
+        </tr>
+      </thead>
+      <tbody>${rows.map((r) => `
+        <tr class="border-t border-white/10${r.number <= terms.paymentsMade ? ' opacity-50' : ''}${r.number === terms.paymentsMade + 1 ? ' bg-primary/10' : ''}">
+          <td class="py-2 px-3 text-white/50">${r.number}</td>
+          <td class="py-2 px-3 text-white/70">${formatShortDate(r.date)}</td>
+          <td class="py-2 px-3 text-white/70">${formatMoneyFull(r.payment + r.extra)}</td>
+          <td class="py-2 px-3 text-white/70">${formatMoneyFull(r.principal)}</td>
+          <td class="py-2 px-3 text-white/70">${formatMoneyFull(r.interest)}</td>
+          <td class="py-2 px-3 text-white/70">${r.extra ? formatMoneyFull(r.extra) : '—'}</td>
+          <td class="py-2 px-3 text-white font-medium">${formatMoneyFull(r.balance)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+/** Settings that belong to a scenario; everything else in forecastSettings (display toggles, milestones) is shared. */
+const SCENARIO_FIELDS = ['horizonYears', 'annualExpenses', 'annualExpenseGrowthPercent', 'inflationPercent', 'accounts', 'incomeStreams', 'monteCarlo', 'drawdown'];
+
+/**
+ * The stored forecastSettings document: shared fields plus { activeScenario, scenarios: [{ id, name, ...scenario fields }] }.
+ * A flat document from before scenarios becomes a single "Baseline" scenario.
+ */
+function normalizeForecastDocument(stored) {
+  const doc = stored && typeof stored === 'object' ? Object.assign({}, stored) : {};
+  let scenarios = Array.isArray(doc.scenarios) ? doc.scenarios.filter((x) => x && typeof x === 'object' && x.id) : [];
+  if (!scenarios.length) {
+    const baseline = { id: 'baseline', name: 'Baseline' };
+    SCENARIO_FIELDS.forEach((key) => {
+      if (doc[key] !== undefined) baseline[key] = doc[key];
+    });
+    scenarios = [baseline];
+  }
+  SCENARIO_FIELDS.forEach((key) => delete doc[key]);
+  doc.scenarios = scenarios;
+  if (!scenarios.some((x) => x.id === doc.activeScenario)) doc.activeScenario = scenarios[0].id;
+  return doc;
+}
+
+function readForecastDocument() {
+  return normalizeForecastDocument(readStoredJSON(FORECAST_SETTINGS_KEY, null));
+}
+
+function writeForecastDocument(doc) {
+  invalidateForecast();
+  try {
+    localStorage.setItem(FORECAST_SETTINGS_KEY, JSON.stringify(doc));
+    queueRemoteSave('forecastSettings');
+  } catch (e) {
+    console.warn('Could not save forecast settings', e);
+  }
+}
+
+/** Bumped whenever a forecast input (accounts, prices, FX rates, profile, forecast settings) may have changed. */
+let forecastVersion = 0;
+let forecastCache = { version: -1, entries: {} };
+
+function invalidateForecast() {
+  forecastVersion++;
+}
+
+/** compute()'s result for the current forecast version and scenario, computed once per change. */
+function cachedForForecast(name, compute) {
+  if (forecastCache.version !== forecastVersion) forecastCache = { version: forecastVersion, entries: {} };
+  const key = name + ':' + (forecastScenarioOverride || '');
+  if (!(key in forecastCache.entries)) forecastCache.entries[key] = compute();
+  return forecastCache.entries[key];
+}
+
+/** Scenario read by getForecastSettings instead of the active one, while withForecastScenario runs. */
+let forecastScenarioOverride = null;
+
+/** Run fn with every forecast function reading scenario id's settings (for comparisons); returns fn's result. */
+function withForecastScenario(id, fn) {
+  const previous = forecastScenarioOverride;
+  forecastScenarioOverride = id;
+  try {
+    return fn();
+  } finally {
+    forecastScenarioOverride = previous;
+  }
+}
+
+/**
+ * Get forecast settings for the active scenario (merged with the shared fields): { scenarioId, scenarioName,
+ * horizonYears, annualExpenses, annualExpenseGrowthPercent, inflationPercent, realDollars, inflateMilestones,
+ * labelByAge, accounts: { ... }, incomeStreams: [ ... ], monteCarlo: { ... }, drawdown: { ... }, milestones: { ... }, tax: { ... } }
+ */
 function getForecastSettings() {
+  const defaults = () => ({
+    scenarioId: 'baseline', scenarioName: 'Baseline',
+    horizonYears: 30, annualExpenses: 0, annualExpenseGrowthPercent: 3, inflationPercent: 2.5, realDollars: false,
+    inflateMilestones: false, labelByAge: false, accounts: {}, incomeStreams: [], monteCarlo: {}, drawdown: {}, milestones: {}, tax: {},
+  });
   try {
-    const raw = localStorage.getItem(FORECAST_SETTINGS_KEY);
-    if (!raw) return { horizonYears: 30, annualExpenses: 0, annualExpenseGrowthPercent: 3, accounts: {} };
-    const parsed = JSON.parse(raw);
+    if (!localStorage.getItem(FORECAST_SETTINGS_KEY)) return defaults();
+    const doc = readForecastDocument();
+    const scenario = doc.scenarios.find((x) => x.id === (forecastScenarioOverride || doc.activeScenario)) || doc.scenarios[0];
+    const parsed = Object.assign({}, doc, scenario);
+    const growth = Number(parsed.annualExpenseGrowthPercent);
+    const inflation = Number(parsed.inflationPercent);
     return {
+      scenarioId: scenario.id,
+      scenarioName: scenario.name || 'Untitled',
       horizonYears: Number(parsed.horizonYears) || 30,
       annualExpenses: Number(parsed.annualExpenses) || 0,
-      annualExpenseGrowthPercent: Number(parsed.annualExpenseGrowthPercent) ?? 3,
+      annualExpenseGrowthPercent: parsed.annualExpenseGrowthPercent != null && Number.isFinite(growth) ? growth : 3,
+      inflationPercent: parsed.inflationPercent != null && Number.isFinite(inflation) ? inflation : 2.5,
+      realDollars: parsed.realDollars === true,
+      inflateMilestones: parsed.inflateMilestones === true,
+      labelByAge: parsed.labelByAge === true,
       accounts: parsed.accounts && typeof parsed.accounts === 'object' ? parsed.accounts : {},
+      incomeStreams: Array.isArray(parsed.incomeStreams) ? parsed.incomeStreams : [],
+      monteCarlo: parsed.monteCarlo && typeof parsed.monteCarlo === 'object' ? parsed.monteCarlo : {},
+      drawdown: parsed.drawdown && typeof parsed.drawdown === 'object' ? parsed.drawdown : {},
+      milestones: parsed.milestones && typeof parsed.milestones === 'object' ? parsed.milestones : {},
+      tax: parsed.tax && typeof parsed.tax === 'object' ? parsed.tax : {},
     };
   } catch (e) {
-    return { horizonYears: 30, annualExpenses: 0, annualExpenseGrowthPercent: 3, accounts: {} };
+    return defaults();
   }
 }
 
@@ -1029,32 +3935,229 @@ function getProjectedExpenses(yearsFromNow) {
   return base * Math.pow(1 + growth / 100, yearsFromNow);
 }
 
+/**
+ * A nominal amount yearsFromNow as shown in forecasts: unchanged, or deflated to today's dollars by the inflation
+ * assumption when forecastSettings.realDollars is on.
+ */
+function toDisplayDollars(amount, yearsFromNow) {
+  const s = getForecastSettings();
+  if (!s.realDollars) return amount;
+  return amount / Math.pow(1 + s.inflationPercent / 100, yearsFromNow);
+}
+
+/**
+ * Nominal milestone target yearsFromNow: grown with inflation when inflateMilestones is on, and always when forecasts
+ * are shown in today's dollars (where a fixed target must mean today's dollars too).
+ */
+function getMilestoneTarget(target, yearsFromNow) {
+  const s = getForecastSettings();
+  return s.inflateMilestones || s.realDollars ? target * Math.pow(1 + s.inflationPercent / 100, yearsFromNow) : target;
+}
+
+/** Save settings from getForecastSettings: scenario fields go to its scenario (settings.scenarioId), the rest are shared. */
 function saveForecastSettings(settings) {
-  try {
-    localStorage.setItem(FORECAST_SETTINGS_KEY, JSON.stringify(settings));
-  } catch (e) {
-    console.warn('Could not save forecast settings', e);
+  const doc = readForecastDocument();
+  const scenario = doc.scenarios.find((x) => x.id === (settings.scenarioId || forecastScenarioOverride || doc.activeScenario)) || doc.scenarios[0];
+  for (const [key, value] of Object.entries(settings)) {
+    if (key === 'scenarioId' || key === 'scenarioName') continue;
+    if (SCENARIO_FIELDS.includes(key)) scenario[key] = value;
+    else doc[key] = value;
+  }
+  writeForecastDocument(doc);
+}
+
+// ——— Forecast scenarios ———
+
+/** @returns {Array<{ id: string, name: string }>} scenarios in the order they were created */
+function getScenarios() {
+  return readForecastDocument().scenarios.map((x) => ({ id: x.id, name: x.name || 'Untitled' }));
+}
+
+/** Scenario ids drawn in the Compare chart mode (forecastSettings.compareScenarios; all when unset). */
+function getComparedScenarioIds() {
+  const doc = readForecastDocument();
+  const ids = doc.scenarios.map((x) => x.id);
+  return Array.isArray(doc.compareScenarios) ? doc.compareScenarios.filter((x) => ids.includes(x)) : ids;
+}
+
+/** Make a scenario active (and redraw the Forecast tab). */
+function setActiveScenario(scenarioId) {
+  const doc = readForecastDocument();
+  if (!doc.scenarios.some((x) => x.id === scenarioId)) return;
+  doc.activeScenario = scenarioId;
+  writeForecastDocument(doc);
+  refreshForecastTab();
+}
+
+/** Add a scenario (a copy of fromId's assumptions, or the defaults) and make it active. */
+function createScenario(name, fromId) {
+  const doc = readForecastDocument();
+  const source = fromId && doc.scenarios.find((x) => x.id === fromId);
+  const scenario = source
+    ? Object.assign(JSON.parse(JSON.stringify(source)), { id: id(), name })
+    : { id: id(), name, horizonYears: 30, annualExpenses: 0, annualExpenseGrowthPercent: 3, accounts: {} };
+  doc.scenarios.push(scenario);
+  doc.activeScenario = scenario.id;
+  if (Array.isArray(doc.compareScenarios)) doc.compareScenarios.push(scenario.id);
+  writeForecastDocument(doc);
+  refreshForecastTab();
+}
+
+function renameScenario(scenarioId, name) {
+  const doc = readForecastDocument();
+  const scenario = doc.scenarios.find((x) => x.id === scenarioId);
+  if (!scenario) return;
+  scenario.name = name;
+  writeForecastDocument(doc);
+  refreshForecastTab();
+}
+
+function deleteScenario(scenarioId) {
+  const doc = readForecastDocument();
+  const scenario = doc.scenarios.find((x) => x.id === scenarioId);
+  if (!scenario) return;
+  if (doc.scenarios.length === 1) {
+    alert('This is your only scenario. Create another before deleting it.');
+    return;
+  }
+  if (!confirm('Delete the scenario "' + (scenario.name || 'Untitled') + '"? Its assumptions cannot be recovered.')) return;
+  doc.scenarios = doc.scenarios.filter((x) => x !== scenario);
+  if (Array.isArray(doc.compareScenarios)) doc.compareScenarios = doc.compareScenarios.filter((x) => x !== scenarioId);
+  if (doc.activeScenario === scenarioId) doc.activeScenario = doc.scenarios[0].id;
+  writeForecastDocument(doc);
+  refreshForecastTab();
+}
+
+/** Show or hide a scenario in the Compare chart. */
+function setScenarioCompared(scenarioId, shown) {
+  const doc = readForecastDocument();
+  const ids = getComparedScenarioIds().filter((x) => x !== scenarioId);
+  if (shown) ids.push(scenarioId);
+  doc.compareScenarios = doc.scenarios.map((x) => x.id).filter((x) => ids.includes(x));
+  writeForecastDocument(doc);
+  updateForecastChart();
+}
+
+function refreshForecastTab() {
+  renderForecastAccountSettings();
+  renderHorizonMilestones();
+  updateForecastChart();
+}
+
+/** Fill the scenario picker. */
+function renderScenarioPicker() {
+  const select = document.getElementById('scenario-select');
+  if (!select) return;
+  const active = getForecastSettings().scenarioId;
+  select.innerHTML = getScenarios().map((x) => '<option value="' + escapeHtml(x.id) + '"' + (x.id === active ? ' selected' : '') + '>' + escapeHtml(x.name) + '</option>').join('');
+  const deleteBtn = document.getElementById('scenario-delete');
+  if (deleteBtn) deleteBtn.disabled = getScenarios().length < 2;
+}
+
+/** What the name dialog is for: { action: 'new' | 'clone' | 'rename', scenarioId }. */
+let pendingScenarioAction = null;
+
+function openScenarioNameModal(action) {
+  const settings = getForecastSettings();
+  pendingScenarioAction = { action, scenarioId: settings.scenarioId };
+  const titles = { new: 'New scenario', clone: 'Clone scenario', rename: 'Rename scenario' };
+  const titleEl = document.getElementById('modal-scenario-name-title');
+  if (titleEl) titleEl.textContent = titles[action];
+  const input = document.getElementById('scenario-name-input');
+  if (input) input.value = action === 'rename' ? settings.scenarioName : action === 'clone' ? settings.scenarioName + ' (copy)' : '';
+  openModal('modal-scenario-name');
+  input?.focus();
+  input?.select();
+}
+
+function submitScenarioName() {
+  const name = document.getElementById('scenario-name-input')?.value.trim();
+  if (!name) {
+    alert('Enter a name for the scenario.');
+    return;
   }
+  const { action, scenarioId } = pendingScenarioAction || {};
+  pendingScenarioAction = null;
+  closeModal('modal-scenario-name', document.body);
+  if (action === 'rename') renameScenario(scenarioId, name);
+  else createScenario(name, action === 'clone' ? scenarioId : null);
+}
+
+/**
+ * FI year (first year net worth reaches 1× projected expenses ÷ the safe withdrawal rate) and ending net worth for each
+ * scenario: [{ id, name, horizon, fiYears (null = not within the horizon), ending (display dollars) }].
+ */
+function getScenarioComparison() {
+  const fi = DEFAULT_MILESTONES.find((m) => m.id === 'fire');
+  return getScenarios().map((x) => withForecastScenario(x.id, () => {
+    const horizon = getForecastSettings().horizonYears || 30;
+    return {
+      id: x.id,
+      name: x.name,
+      horizon,
+      fiYears: yearsToReachTarget((y) => getMilestoneTargetAt(fi, y)),
+      ending: toDisplayDollars(getProjectedTotalNetWorth(horizon), horizon),
+    };
+  }));
 }
 
-/** Projected balance for one account at yearsFromNow (0 = today). Returns amount in account terms (Debt = positive amount owed). */
+/** Comparison table under the chart in Compare mode, with a checkbox per scenario to show it on the chart. */
+function renderScenarioComparison() {
+  const el = document.getElementById('scenario-comparison');
+  if (!el) return;
+  el.classList.toggle('hidden', getForecastChartMode() !== 'compare');
+  if (getForecastChartMode() !== 'compare') return;
+  const thisYear = new Date().getFullYear();
+  const active = getForecastSettings().scenarioId;
+  const compared = getComparedScenarioIds();
+  const birthDate = getProfile().birthDate;
+  const when = (y) => String(thisYear + y) + (birthDate ? ' (age ' + ageAt(birthDate, y) + ')' : '');
+  const rows = getScenarioComparison().map((row) => `
+      <tr class="border-t border-white/5">
+        <td class="py-2 pr-3"><input type="checkbox" data-compare-scenario="${escapeHtml(row.id)}"${compared.includes(row.id) ? ' checked' : ''} class="rounded border-white/20 bg-white/10 text-primary focus:ring-primary" aria-label="Show on the chart"/></td>
+        <td class="py-2 pr-3 text-white${row.id === active ? ' font-bold' : ''}">${escapeHtml(row.name)}${row.id === active ? ' <span class="text-xs text-primary">(editing)</span>' : ''}</td>
+        <td class="py-2 pr-3 text-white/80">${row.fiYears === 0 ? 'Reached' : row.fiYears != null ? when(row.fiYears) : `Not within ${row.horizon} yrs`}</td>
+        <td class="py-2 text-right text-white/80">${formatMoneyFull(row.ending)} <span class="text-white/40 text-xs">in ${when(row.horizon)}</span></td>
+      </tr>`).join('');
+  el.innerHTML = `
+    <table class="w-full text-sm">
+      <thead><tr class="text-left text-xs text-white/50">
+        <th class="py-2 pr-3 font-semibold">Chart</th>
+        <th class="py-2 pr-3 font-semibold">Scenario</th>
+        <th class="py-2 pr-3 font-semibold" title="First year net worth covers your projected expenses at the safe withdrawal rate">FI date</th>
+        <th class="py-2 text-right font-semibold">Ending net worth</th>
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+/**
+ * Projected balance for one account at yearsFromNow (0 = today). Returns amount in account terms (Debt = positive amount owed).
+ * With a retirement start date, or required minimum distributions within the forecast, the year-by-year projection is
+ * used, since withdrawals depend on every account.
+ */
 function getProjectedAccountBalance(accountId, yearsFromNow) {
   const account = state.accounts.find((a) => a.id === accountId);
   if (!account) return 0;
+  if (isProjectedYearByYear()) {
+    const projection = getProjection();
+    const year = Math.max(0, Math.min(Math.floor(yearsFromNow), projection.balances.length - 1));
+    return Math.max(0, projection.balances[year][state.accounts.indexOf(account)]);
+  }
   const pv = getAccountBalance(account); // positive for both assets and debt (debt = amount owed)
   const settings = getForecastSettings();
   const acc = settings.accounts[accountId] || {};
   const horizonMonths = (settings.horizonYears || 30) * 12;
   const totalMonths = Math.min(yearsFromNow * 12, horizonMonths);
-  const monthlyPmt = Number(acc.monthlyContribution) || 0;
-  const annual = Number(acc.annualReturnPercent) || 0;
+  const monthlyPmt = account.type === 'Debt' ? getDebtMonthlyPayment(accountId) : Number(acc.monthlyContribution) || 0;
+  const annual = account.type === 'Debt' ? loanEffectiveAnnualPercent(acc.annualReturnPercent) : Number(acc.annualReturnPercent) || 0;
   let monthsContrib;
   if (account.type === 'Debt') {
-    const payoffMonths = monthsToPayoffLoan(pv, monthlyPmt, annual);
+    const payoffMonths = monthsToPayoffLoan(pv, monthlyPmt, acc.annualReturnPercent);
     monthsContrib = payoffMonths == null ? totalMonths : Math.min(payoffMonths, totalMonths);
   } else {
     monthsContrib = Math.min(
-      monthsUntil(acc.contributionStopDate || DEFAULT_CONTRIBUTION_STOP_DATE),
+      monthsUntil(acc.contributionStopDate || getRetirementDate()),
       totalMonths
     );
   }
@@ -1065,6 +4168,11 @@ function getProjectedAccountBalance(accountId, yearsFromNow) {
 
 /** Projected total net worth at yearsFromNow (sum of all accounts; debt subtracted). */
 function getProjectedTotalNetWorth(yearsFromNow) {
+  if (isProjectedYearByYear() && state.accounts.length) {
+    // Totals also hold distributed RMDs kept as cash when there is no taxable account
+    const projection = getProjection();
+    return projection.totals[Math.max(0, Math.min(Math.floor(yearsFromNow), projection.totals.length - 1))];
+  }
   let total = 0;
   for (const a of state.accounts) {
     const bal = getProjectedAccountBalance(a.id, yearsFromNow);
@@ -1073,7 +4181,7 @@ function getProjectedTotalNetWorth(yearsFromNow) {
   return total;
 }
 
-/** Number of months contributions/payments were made from year 0 up to and including year y. */
+/** Number of months contributions/payments were made from year 0 up to and including year y. Contributions stop at retirement. */
 function getContributionMonthsUpToYear(accountId, years) {
   const account = state.accounts.find((a) => a.id === accountId);
   if (!account) return 0;
@@ -1082,22 +4190,170 @@ function getContributionMonthsUpToYear(accountId, years) {
   const totalMonths = Math.min(years * 12, (settings.horizonYears || 30) * 12);
   if (account.type === 'Debt') {
     const pv = getAccountBalance(account);
-    const monthlyPmt = Number(acc.monthlyContribution) || 0;
+    const monthlyPmt = getDebtMonthlyPayment(accountId);
     const payoffMonths = monthsToPayoffLoan(pv, monthlyPmt, Number(acc.annualReturnPercent) || 0);
     return payoffMonths == null ? totalMonths : Math.min(totalMonths, payoffMonths);
   }
-  return Math.min(totalMonths, monthsUntil(acc.contributionStopDate || DEFAULT_CONTRIBUTION_STOP_DATE));
+  return Math.min(totalMonths, monthsUntil(acc.contributionStopDate || getRetirementDate()), monthsUntil(getDrawdownSettings().startDate));
 }
 
-/** Cumulative nominal contributions (assets) or payments (debt) from year 0 to year y, in dollars. */
+/** Cumulative nominal contributions (assets; your own, without the employer match) or payments (debt) from year 0 to year y, in dollars. */
 function getCumulativeContributions(accountId, years) {
   const account = state.accounts.find((a) => a.id === accountId);
   if (!account) return 0;
   const settings = getForecastSettings();
   const acc = settings.accounts[accountId] || {};
-  const monthlyPmt = Number(acc.monthlyContribution) || 0;
+  const monthlyPmt = account.type === 'Debt' ? getDebtMonthlyPayment(accountId) : Number(acc.monthlyContribution) || 0;
   const months = getContributionMonthsUpToYear(accountId, years);
-  return monthlyPmt * months;
+  const schedule = getContributionSchedule(accountId);
+  return schedule ? sumScheduleMonths(schedule.employee, months) : monthlyPmt * months;
+}
+
+/** Cumulative nominal employer match into an account from year 0 to year y. */
+function getCumulativeEmployerContributions(accountId, years) {
+  const schedule = getContributionSchedule(accountId);
+  return schedule ? sumScheduleMonths(schedule.employer, getContributionMonthsUpToYear(accountId, years)) : 0;
+}
+
+/** Total of the first `months` monthly slices of per-year annual amounts. */
+function sumScheduleMonths(annualByYear, months) {
+  let total = 0;
+  for (let y = 0; y < annualByYear.length && y * 12 < months; y++) total += (annualByYear[y] / 12) * Math.min(12, months - y * 12);
+  return total;
+}
+
+// ——— Forecast: salary, employer match and contribution limits ———
+
+/**
+ * 2025 IRS limits on your own contributions by plan kind (forecastSettings.accounts[id].contributionLimit), with the
+ * catch-up allowed from catchUpAge (401(k)s allow the larger SECURE 2.0 catch-up at 60–63). Future limits rise with
+ * the inflation assumption, rounded down to the IRS step; the HSA catch-up is fixed by law.
+ */
+const CONTRIBUTION_LIMITS = {
+  '401k': { name: '401(k) / 403(b) / 457', limit: 23500, catchUp: 7500, catchUpAge: 50, superCatchUp: 11250, step: 500 },
+  ira: { name: 'IRA', limit: 7000, catchUp: 1000, catchUpAge: 50, step: 500 },
+  hsa: { name: 'HSA (self-only)', limit: 4300, catchUp: 1000, catchUpAge: 55, step: 50, fixedCatchUp: true },
+};
+const CONTRIBUTION_LIMITS_YEAR = 2025;
+
+/** An account's contribution limit kind: its own setting ('none' for no limit), else by tax treatment. */
+function getContributionLimitKind(account) {
+  const chosen = (getForecastSettings().accounts[account.id] || {}).contributionLimit;
+  if (chosen === 'none' || CONTRIBUTION_LIMITS[chosen]) return chosen;
+  return { deferred: '401k', roth: 'ira', hsa: 'hsa' }[getAccountTaxTreatment(account)] || 'none';
+}
+
+/**
+ * Whether the account's limit caps its contributions: only once you enter a salary and contribution percent or an
+ * employer match, or pick the limit yourself. A plain monthly contribution saved before limits existed may already
+ * include an employer's share, so it is only warned about (see describeContributions).
+ */
+function isContributionLimitEnforced(accountId) {
+  const acc = getForecastSettings().accounts[accountId] || {};
+  if (acc.contributionLimit === 'none' || CONTRIBUTION_LIMITS[acc.contributionLimit]) return true;
+  return (Number(acc.salary) > 0 && Number(acc.contributionPercent) > 0) || (Array.isArray(acc.employerMatch) && acc.employerMatch.length > 0);
+}
+
+/** The IRS limit of a kind in forecast year y (1 = the year ahead), including the catch-up for your age then. */
+function getContributionLimit(kind, y, settings = getForecastSettings(), birthDate = getProfile().birthDate) {
+  const l = CONTRIBUTION_LIMITS[kind];
+  if (!l) return Infinity;
+  const inflation = settings.inflationPercent / 100;
+  const years = Math.max(0, new Date().getFullYear() - CONTRIBUTION_LIMITS_YEAR + y - 1);
+  const indexed = (amount) => Math.floor(amount * Math.pow(1 + inflation, years) / l.step) * l.step;
+  const age = ageAt(birthDate, y);
+  let catchUp = 0;
+  if (age != null && age >= l.catchUpAge) catchUp = l.superCatchUp && age >= 60 && age <= 63 ? l.superCatchUp : l.catchUp;
+  return indexed(l.limit) + (l.fixedCatchUp ? catchUp : indexed(catchUp));
+}
+
+/**
+ * Employer match formula, e.g. "100% up to 4%, 50% of the next 2%", as tiers [{ matchPercent, ofPercent }]: each pair
+ * of percentages is a match rate and the band of salary it applies to. Empty text is no match; null if it can't be read.
+ */
+function parseMatchFormula(text) {
+  const numbers = (String(text || '').match(/\d+(?:\.\d+)?(?=\s*%)/g) || []).map(Number);
+  if (!numbers.length) return String(text || '').trim() ? null : [];
+  if (numbers.length % 2) return null;
+  const tiers = [];
+  for (let i = 0; i < numbers.length; i += 2) tiers.push({ matchPercent: numbers[i], ofPercent: numbers[i + 1] });
+  return tiers;
+}
+
+function formatMatchFormula(tiers) {
+  return (tiers || []).map((t, i) => `${t.matchPercent}% ${i ? 'of the next' : 'up to'} ${t.ofPercent}%`).join(', ');
+}
+
+/** Employer match on a salary for an employee contribution of contributionPercent of it. */
+function getEmployerMatch(tiers, salary, contributionPercent) {
+  let remaining = contributionPercent;
+  let match = 0;
+  for (const t of tiers || []) {
+    const band = Math.max(0, Math.min(remaining, Number(t.ofPercent) || 0));
+    match += salary * (band / 100) * ((Number(t.matchPercent) || 0) / 100);
+    remaining -= band;
+  }
+  return match;
+}
+
+/**
+ * Yearly contributions into an asset account (index y - 1 = forecast year y): employee (salary × contribution % when
+ * both are set, else 12 × the monthly contribution; raised each year by the step-up, then capped at the IRS limit),
+ * employer (the match on the salary for what you put in), limit and whether the cap applied. Null for debt, and when
+ * none of this changes the flat monthly contribution.
+ */
+function getContributionSchedule(accountId, horizonYears) {
+  const account = state.accounts.find((a) => a.id === accountId);
+  if (!account || account.type === 'Debt') return null;
+  const settings = getForecastSettings();
+  const acc = settings.accounts[accountId] || {};
+  const horizon = horizonYears || settings.horizonYears || 30;
+  const salary = Number(acc.salary) || 0;
+  const percent = Number(acc.contributionPercent) || 0;
+  const fromSalary = salary > 0 && percent > 0;
+  const stepUp = (Number(acc.stepUpPercent) || 0) / 100;
+  const tiers = Array.isArray(acc.employerMatch) ? acc.employerMatch : [];
+  const kind = getContributionLimitKind(account);
+  const enforced = isContributionLimitEnforced(accountId);
+  const monthly = Number(acc.monthlyContribution) || 0;
+  if (!fromSalary && !stepUp && !tiers.length && (!enforced || !CONTRIBUTION_LIMITS[kind] || monthly * 12 <= CONTRIBUTION_LIMITS[kind].limit)) return null;
+  const birthDate = getProfile().birthDate;
+  const employee = [];
+  const employer = [];
+  const limit = [];
+  const capped = [];
+  for (let y = 1; y <= horizon; y++) {
+    const raise = Math.pow(1 + stepUp, y - 1);
+    const wanted = (fromSalary ? salary * percent / 100 : monthly * 12) * raise;
+    const cap = getContributionLimit(kind, y, settings, birthDate);
+    const own = enforced ? Math.min(wanted, cap) : wanted;
+    const pay = salary * raise;
+    employee.push(own);
+    employer.push(pay > 0 ? getEmployerMatch(tiers, pay, (own / pay) * 100) : 0);
+    limit.push(cap);
+    capped.push(enforced && wanted > cap);
+  }
+  const flat = !fromSalary && !stepUp && employer.every((v) => !v) && capped.every((v) => !v);
+  return flat ? null : { employee, employer, limit, capped };
+}
+
+/** The line under an asset account's salary fields: the year ahead's contributions against the limit, and the employer total. */
+function describeContributions(accountId) {
+  const account = state.accounts.find((a) => a.id === accountId);
+  if (!account) return '';
+  const kind = getContributionLimitKind(account);
+  const limitText = CONTRIBUTION_LIMITS[kind] ? `${CONTRIBUTION_LIMITS[kind].name} limit ${formatMoneyFull(getContributionLimit(kind, 1))}` : 'No contribution limit';
+  const schedule = getContributionSchedule(accountId);
+  const yearAhead = schedule ? schedule.employee[0] : (Number((getForecastSettings().accounts[accountId] || {}).monthlyContribution) || 0) * 12;
+  const warning = CONTRIBUTION_LIMITS[kind] && !isContributionLimitEnforced(accountId) && yearAhead > getContributionLimit(kind, 1)
+    ? ` Warning: ${formatMoneyFull(yearAhead)} a year is over the ${CONTRIBUTION_LIMITS[kind].name} limit of ${formatMoneyFull(getContributionLimit(kind, 1))}. It is not capped, in case it includes an employer match; choose the limit under Contribution limit to cap it.`
+    : '';
+  if (!schedule) return limitText + '.' + warning;
+  const horizon = getForecastSettings().horizonYears || 30;
+  const employerTotal = getCumulativeEmployerContributions(accountId, horizon);
+  const employer = schedule.employer[0] ? ` + employer ${formatMoneyFull(schedule.employer[0])}` : '';
+  const total = employerTotal ? ` · Employer match through ${new Date().getFullYear() + horizon}: ${formatMoneyFull(toDisplayDollars(employerTotal, horizon))}` : '';
+  return `Year ahead: you ${formatMoneyFull(schedule.employee[0])}${employer} · ${limitText}${schedule.capped[0] ? ' (you hit it)' : ''}${total}.${warning}`;
 }
 
 /** Cumulative interest earned (assets) or interest cost (debt, returned as negative) from year 0 to year y.
@@ -1123,57 +4379,170 @@ function getTotalInterestEarnedAtYear(y) {
   return total;
 }
 
-/** First year (from now) when projected net worth reaches or exceeds target, or null. */
-function yearsToReachTarget(target) {
-  const current = getTotalNetWorth();
-  if (current >= target) return 0;
+/** First year (from now) when projected net worth reaches or exceeds targetAt(year) (nominal; null = unreachable), or null. */
+function yearsToReachTarget(targetAt) {
+  const first = targetAt(0);
+  if (first != null && getTotalNetWorth() >= first) return 0;
   const settings = getForecastSettings();
   const horizon = settings.horizonYears || 30;
   for (let y = 1; y <= horizon; y++) {
-    if (getProjectedTotalNetWorth(y) >= target) return y;
+    const target = targetAt(y);
+    if (target != null && getProjectedTotalNetWorth(y) >= target) return y;
   }
   return null;
 }
 
-/** FIRE milestone definitions for Horizon Milestones card (target = typical nest-egg goal). */
-const FIRE_MILESTONES = [
+/** How a milestone's target is set (milestone.kind). */
+const MILESTONE_KINDS = {
+  spending: 'Multiple of expenses',
+  coast: 'Coast (multiple of expenses at retirement)',
+  amount: 'Fixed amount',
+};
+
+/**
+ * Default milestones (used until the list is edited). Spending and coast targets are multiple × projected expenses ÷
+ * the safe withdrawal rate; fallback is the target used until annual expenses are entered.
+ */
+const DEFAULT_MILESTONES = [
   {
     id: 'coast',
     name: 'Coast FIRE',
-    target: 500000,
-    description: 'You’ve saved enough that, without adding more, your investments will grow to your full retirement number by retirement age. You can "coast" by covering only current expenses (e.g. with part-time or lower-stress work) while your nest egg compounds.',
+    kind: 'coast',
+    multiple: 1,
+    fallback: 1250000,
+    description: 'You’ve saved enough that, without adding more, your investments will grow to your FIRE number by retirement. The target is your FIRE number at retirement discounted back by your expected return, so it rises every year until then. You can "coast" by covering only current expenses (e.g. with part-time or lower-stress work) while your nest egg compounds.',
   },
   {
     id: 'lean',
     name: 'Lean FIRE',
-    target: 875000,
-    description: 'Financial independence on a minimal budget (~$35k/year). Your passive income covers essential expenses only. Typically uses the 4% rule: 25× annual spending (e.g. $875k for $35k/year). Fastest path to leaving the workforce but requires frugality.',
+    kind: 'spending',
+    multiple: 0.7,
+    fallback: 875000,
+    description: 'Financial independence on a minimal budget: your portfolio covers about 70% of your current expenses at the safe withdrawal rate (25× spending at 4%). Fastest path to leaving the workforce but requires frugality.',
+  },
+  {
+    id: 'fire',
+    name: 'FIRE',
+    kind: 'spending',
+    multiple: 1,
+    fallback: 1250000,
+    description: 'Financial independence: your portfolio covers your projected expenses at the safe withdrawal rate, so work becomes optional.',
   },
   {
     id: 'fat',
     name: 'Fat FIRE',
-    target: 2500000,
-    description: 'Financial independence with a comfortable or luxurious lifestyle (~$100k+/year). Requires a larger nest egg (e.g. $2.5M+ at 4%) and more aggressive saving, but allows a high standard of living in retirement.',
+    kind: 'spending',
+    multiple: 1.5,
+    fallback: 2500000,
+    description: 'Financial independence with a comfortable or luxurious lifestyle: your portfolio covers 1.5× your current expenses at the safe withdrawal rate. Requires a larger nest egg and more aggressive saving, but allows a high standard of living in retirement.',
   },
 ];
 
+/** Milestone settings (forecastSettings.milestones): { withdrawalRatePercent, list } with defaults filled in. */
+function getMilestoneSettings() {
+  const m = getForecastSettings().milestones || {};
+  const rate = Number(m.withdrawalRatePercent);
+  const list = Array.isArray(m.list) ? m.list.filter((x) => x && typeof x.name === 'string' && MILESTONE_KINDS[x.kind]) : null;
+  return {
+    withdrawalRatePercent: Number.isFinite(rate) && rate > 0 ? rate : 4,
+    list: list || DEFAULT_MILESTONES.map((x) => Object.assign({}, x)),
+  };
+}
+
+/** Years until retirement: the drawdown start date if set, else the profile's retirement date; null without either. */
+function getRetirementYears() {
+  const date = getDrawdownSettings().startDate || getRetirementDate();
+  return date ? monthsUntil(date) / 12 : null;
+}
+
+/** Balance-weighted mean of the asset accounts' predicted annual returns (%). */
+function getExpectedPortfolioReturn() {
+  const settings = getForecastSettings();
+  let total = 0;
+  let weighted = 0;
+  for (const a of state.accounts) {
+    const balance = getAccountBalance(a);
+    if (a.type === 'Debt' || balance <= 0) continue;
+    total += balance;
+    weighted += balance * (Number((settings.accounts[a.id] || {}).annualReturnPercent) || 0);
+  }
+  return total > 0 ? weighted / total : 0;
+}
+
+/**
+ * Nominal target of a milestone yearsFromNow, or null when it depends on expenses and none are entered (and it has no
+ * fallback). Expense-based targets cover the spending left after income streams paying by then. Coast FIRE is the FIRE
+ * number at retirement discounted by the expected return over the years left.
+ */
+function getMilestoneTargetAt(milestone, yearsFromNow) {
+  const { withdrawalRatePercent } = getMilestoneSettings();
+  const expenses = Number(getForecastSettings().annualExpenses) || 0;
+  const fiNumber = (y) => {
+    if (milestone.kind === 'amount') return getMilestoneTarget(Number(milestone.amount) || 0, y);
+    if (expenses > 0) return Math.max(0, (Number(milestone.multiple) || 0) * getProjectedExpenses(y) - getProjectedIncome(y)) / (withdrawalRatePercent / 100);
+    return milestone.fallback != null ? getMilestoneTarget(milestone.fallback, y) : null;
+  };
+  if (milestone.kind !== 'coast') return fiNumber(yearsFromNow);
+  const retire = getRetirementYears();
+  if (retire == null) return null;
+  if (yearsFromNow >= retire) return fiNumber(yearsFromNow);
+  const atRetirement = fiNumber(retire);
+  if (atRetirement == null) return null;
+  return atRetirement / Math.pow(1 + getExpectedPortfolioReturn() / 100, retire - yearsFromNow);
+}
+
+/** Short explanation of how a milestone's target is computed, shown under its progress bar. */
+function describeMilestoneTarget(milestone) {
+  const rate = getMilestoneSettings().withdrawalRatePercent;
+  const expenses = Number(getForecastSettings().annualExpenses) || 0;
+  if (milestone.kind === 'amount') return getForecastSettings().inflateMilestones || getForecastSettings().realDollars ? 'in today\'s dollars' : '';
+  if (!expenses) return milestone.fallback != null ? 'default; enter annual expenses to personalize' : '';
+  const base = `${milestone.multiple}× expenses${getIncomeStreams().length ? ' less income' : ''} at ${rate}%`;
+  if (milestone.kind !== 'coast') return base;
+  const retire = getRetirementYears();
+  if (retire == null) return base;
+  const year = new Date().getFullYear() + Math.round(retire);
+  return `grows to ${formatMoney(toDisplayDollars(getMilestoneTargetAt(milestone, retire), retire))} (${base}) by ${year}`;
+}
+
 function renderHorizonMilestones() {
   const container = document.getElementById('horizon-milestones-list');
   if (!container) return;
   const current = getTotalNetWorth();
   const settings = getForecastSettings();
+  const inflateEl = document.getElementById('milestones-inflate');
+  if (inflateEl) {
+    inflateEl.checked = settings.inflateMilestones || settings.realDollars;
+    inflateEl.disabled = settings.realDollars;
+  }
   const horizon = settings.horizonYears || 30;
-  const projected = getProjectedTotalNetWorth(horizon);
-  container.innerHTML = FIRE_MILESTONES.map((m) => {
-    const pct = m.target > 0 ? Math.min(100, (current / m.target) * 100) : 0;
-    const years = yearsToReachTarget(m.target);
-    const statusStr = years === 0 ? 'Reached' : years != null ? `~${years} yrs` : `Projected $${(projected / 1e6).toFixed(2)}M in ${horizon}y`;
+  const projected = toDisplayDollars(getProjectedTotalNetWorth(horizon), horizon);
+  const mc = getMonteCarloResult();
+  const thisYear = new Date().getFullYear();
+  const oddsYear = Math.min(thisYear + horizon, Math.max(thisYear, getMonteCarloSettings().milestoneYear || thisYear + horizon));
+  const milestones = getMilestoneSettings().list;
+  if (!milestones.length) {
+    container.innerHTML = '<p class="text-xs text-white/50">No milestones. Use Edit to add one.</p>';
+    return;
+  }
+  container.innerHTML = milestones.map((m, i) => {
+    const target = getMilestoneTargetAt(m, 0);
+    const odds = mc && mc.reachedBy[i] ? mc.reachedBy[i][oddsYear - thisYear] : null;
+    const pct = target > 0 ? Math.min(100, (current / target) * 100) : 0;
+    const years = yearsToReachTarget((y) => getMilestoneTargetAt(m, y));
+    // Coast FIRE discounts to retirement, so it needs a birthdate (or a drawdown start) as well as expenses
+    const needsRetirement = m.kind === 'coast' && getRetirementYears() == null;
+    const statusStr = target == null ? (needsRetirement ? 'Needs birthdate' : 'Needs expenses') : years === 0 ? 'Reached' : years != null ? (isLabelledByAge() ? `Age ${ageAt(getProfile().birthDate, years)}` : `~${years} yrs`) : `Projected $${(projected / 1e6).toFixed(2)}M ${describeForecastWhen(horizon)}`;
     const statusClass = years === 0 ? 'text-primary' : 'text-white/70';
+    const how = describeMilestoneTarget(m);
+    const detail = target == null
+      ? (needsRetirement ? 'Enter your birthdate in the profile, or a drawdown start date, to set this target' : 'Enter annual expenses above to set this target')
+      : `Target ${formatMoneyFull(toDisplayDollars(target, 0))}${how ? ` (${escapeHtml(how)})` : ''} · ${years === 0 ? 'Reached' : years != null ? `Projected ${formatMoney(toDisplayDollars(getProjectedTotalNetWorth(years), years))} ${describeForecastWhen(years)}` : `Projected ${formatMoney(projected)} ${describeForecastWhen(horizon)}`}`;
     return `
     <div class="flex items-center justify-between gap-2">
       <span class="text-xs text-white/80 flex items-center gap-1">
         ${escapeHtml(m.name)}
-        <button type="button" class="milestone-info rounded-full p-0.5 text-white/40 hover:text-primary hover:bg-white/10 focus:outline-none focus:ring-1 focus:ring-primary" data-milestone-id="${m.id}" aria-label="What is ${escapeHtml(m.name)}?">
+        <button type="button" class="milestone-info rounded-full p-0.5 text-white/40 hover:text-primary hover:bg-white/10 focus:outline-none focus:ring-1 focus:ring-primary" data-milestone-id="${escapeHtml(m.id)}" aria-label="What is ${escapeHtml(m.name)}?">
           <span class="material-symbols-outlined text-sm">info</span>
         </button>
       </span>
@@ -1182,11 +4551,98 @@ function renderHorizonMilestones() {
     <div class="w-full h-1.5 bg-white/5 rounded-full overflow-hidden -mt-1">
       <div class="h-full bg-primary transition-all duration-300" style="width: ${pct}%"></div>
     </div>
-    <p class="text-[10px] text-white/40 -mt-2">Target ${formatMoneyFull(m.target)} · ${years === 0 ? 'Reached' : years != null ? `Projected ${formatMoney(getProjectedTotalNetWorth(years))} in ${years}y` : `Projected ${formatMoney(projected)} in ${horizon}y`}</p>`;
+    <p class="text-[10px] text-white/40 -mt-2">${detail}</p>
+    ${odds != null && years !== 0 ? `<p class="text-[10px] text-accent/80 -mt-2" title="Share of Monte Carlo runs that reach the target by then">${Math.round(odds * 100)}% chance by ${oddsYear}</p>` : ''}`;
   }).join('');
 }
 
-/** @returns {Array<{ date: string, totalNetWorth: number, accounts: Array<{ id: string, name: string, balance: number }> }>} */
+/** Working copy of the milestone list while the edit dialog is open. */
+let milestoneDraft = null;
+
+function openEditMilestonesModal() {
+  const { withdrawalRatePercent, list } = getMilestoneSettings();
+  milestoneDraft = list.map((m) => Object.assign({}, m));
+  const rateEl = document.getElementById('milestone-swr');
+  if (rateEl) rateEl.value = String(withdrawalRatePercent);
+  renderMilestoneDraft();
+  openModal('modal-edit-milestones');
+}
+
+/** One editable card per draft milestone: name, kind, multiple or amount, description, and move/remove buttons. */
+function renderMilestoneDraft() {
+  const list = document.getElementById('milestone-edit-list');
+  if (!list) return;
+  const field = 'w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-white text-sm placeholder-white/40 focus:border-primary focus:ring-1 focus:ring-primary';
+  const iconBtn = 'p-1 rounded-lg text-white/50 hover:text-white hover:bg-white/10 disabled:opacity-30';
+  list.innerHTML = milestoneDraft.map((m, i) => {
+    const kinds = Object.keys(MILESTONE_KINDS).map((k) => `<option value="${k}"${m.kind === k ? ' selected' : ''}>${MILESTONE_KINDS[k]}</option>`).join('');
+    const value = m.kind === 'amount' ? m.amount ?? '' : m.multiple ?? '';
+    return `
+    <div class="rounded-xl bg-white/5 border border-white/10 p-4 space-y-3" data-milestone-index="${i}">
+      <div class="flex items-center gap-2">
+        <input type="text" data-milestone-field="name" value="${escapeHtml(m.name)}" placeholder="e.g. Barista FIRE" class="${field}"/>
+        <button type="button" data-milestone-move="-1" class="${iconBtn}" aria-label="Move up"${i === 0 ? ' disabled' : ''}><span class="material-symbols-outlined text-base">arrow_upward</span></button>
+        <button type="button" data-milestone-move="1" class="${iconBtn}" aria-label="Move down"${i === milestoneDraft.length - 1 ? ' disabled' : ''}><span class="material-symbols-outlined text-base">arrow_downward</span></button>
+        <button type="button" data-milestone-remove class="${iconBtn} hover:text-red-400" aria-label="Remove"><span class="material-symbols-outlined text-base">delete</span></button>
+      </div>
+      <div class="grid grid-cols-2 gap-3">
+        <select data-milestone-field="kind" class="${field}">${kinds}</select>
+        <input type="number" min="0" step="${m.kind === 'amount' ? '1000' : '0.1'}" data-milestone-field="value" value="${value}" placeholder="${m.kind === 'amount' ? 'e.g. 1000000' : 'e.g. 0.5'}" class="${field}"/>
+      </div>
+      <textarea data-milestone-field="description" rows="2" placeholder="Shown in the info dialog" class="${field}">${escapeHtml(m.description || '')}</textarea>
+    </div>`;
+  }).join('') || '<p class="text-white/50 text-sm">No milestones.</p>';
+}
+
+/** Copy the dialog's inputs back into the draft (before reordering, adding or saving). */
+function syncMilestoneDraft() {
+  document.querySelectorAll('#milestone-edit-list [data-milestone-index]').forEach((card) => {
+    const m = milestoneDraft[Number(card.dataset.milestoneIndex)];
+    if (!m) return;
+    const get = (key) => card.querySelector(`[data-milestone-field="${key}"]`)?.value ?? '';
+    const kind = MILESTONE_KINDS[get('kind')] ? get('kind') : m.kind;
+    const value = parseFloat(get('value'));
+    m.name = get('name').trim();
+    m.description = get('description').trim();
+    if (kind === 'amount') m.amount = Number.isNaN(value) ? null : value;
+    else m.multiple = Number.isNaN(value) ? null : value;
+    if (kind !== m.kind) {
+      // Switching between amounts and multiples: the old number would be meaningless
+      if ((kind === 'amount') !== (m.kind === 'amount')) {
+        m.amount = null;
+        m.multiple = null;
+      }
+      m.kind = kind;
+      delete m.fallback;
+    }
+  });
+}
+
+function submitEditMilestones() {
+  syncMilestoneDraft();
+  const rate = parseFloat(document.getElementById('milestone-swr')?.value);
+  if (Number.isNaN(rate) || rate <= 0 || rate > 20) {
+    alert('Enter a safe withdrawal rate between 0 and 20%.');
+    return;
+  }
+  const invalid = milestoneDraft.find((m) => !m.name || !((m.kind === 'amount' ? m.amount : m.multiple) > 0));
+  if (invalid) {
+    alert('Each milestone needs a name and a ' + (invalid.kind === 'amount' ? 'target amount' : 'multiple of expenses') + ' above zero.');
+    return;
+  }
+  const settings = getForecastSettings();
+  settings.milestones = { withdrawalRatePercent: rate, list: milestoneDraft };
+  saveForecastSettings(settings);
+  milestoneDraft = null;
+  closeModal('modal-edit-milestones', document.body);
+  renderHorizonMilestones();
+}
+
+/**
+ * Snapshots oldest first. source is 'manual' or 'auto' (missing on older entries, which were all manual);
+ * derived marks points rebuilt from price history.
+ * @returns {Array<{ date: string, totalNetWorth: number, currency?: string, source?: 'manual'|'auto', derived?: boolean, accounts: Array<{ id: string, name: string, balance: number }> }>}
+ */
 function getNetWorthHistory() {
   try {
     const raw = localStorage.getItem(NET_WORTH_HISTORY_KEY);
@@ -1201,13 +4657,49 @@ function getNetWorthHistory() {
 function saveNetWorthHistory(history) {
   try {
     localStorage.setItem(NET_WORTH_HISTORY_KEY, JSON.stringify(history));
+    queueRemoteSave('netWorthHistory');
   } catch (e) {
     console.warn('Could not save net worth history', e);
   }
 }
 
-/** Record current total net worth and each account balance with today's date (YYYY-MM-DD). */
-function recordSnapshot() {
+/** Snapshot schedule options (preferences.snapshotSchedule) and their labels. */
+const SNAPSHOT_SCHEDULES = {
+  off: 'Off',
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+};
+
+function getSnapshotSchedule() {
+  const schedule = getPreferences().snapshotSchedule;
+  return SNAPSHOT_SCHEDULES[schedule] ? schedule : 'off';
+}
+
+/** Whether the schedule calls for a snapshot today, judged from the latest recorded (non-derived) snapshot. */
+function isSnapshotDue(schedule) {
+  if (schedule === 'off') return false;
+  const today = new Date().toISOString().slice(0, 10);
+  const recorded = getNetWorthHistory().filter(s => !s.derived);
+  const last = recorded.length ? recorded[recorded.length - 1].date : null;
+  if (!last) return true;
+  if (schedule === 'daily') return last < today;
+  if (schedule === 'weekly') return (toUnixSeconds(today) - toUnixSeconds(last)) / 86400 >= 7;
+  return last.slice(0, 7) < today.slice(0, 7);
+}
+
+/** Record an automatic snapshot if one is due. Runs on load and after every price sync. */
+function takeScheduledSnapshot() {
+  if (!state.accounts.length || !isSnapshotDue(getSnapshotSchedule())) return;
+  recordSnapshot('auto');
+  renderSnapshotList();
+}
+
+/**
+ * Record current total net worth and each account balance with today's date (YYYY-MM-DD).
+ * source is 'manual' (button) or 'auto' (schedule); any entry already dated today is replaced, not duplicated.
+ */
+function recordSnapshot(source) {
   const date = new Date().toISOString().slice(0, 10);
   const totalNetWorth = getTotalNetWorth();
   const accounts = state.accounts.map(a => ({
@@ -1215,13 +4707,20 @@ function recordSnapshot() {
     name: a.name,
     balance: a.type === 'Debt' ? -getAccountBalance(a) : getAccountBalance(a),
   }));
-  const history = getNetWorthHistory();
-  history.push({ date, totalNetWorth, accounts });
+  const history = getNetWorthHistory().filter(s => s.date !== date);
+  history.push({ date, totalNetWorth, currency: getBaseCurrency(), accounts, source: source === 'auto' ? 'auto' : 'manual' });
   history.sort((a, b) => a.date.localeCompare(b.date));
   saveNetWorthHistory(history);
   updateNetWorthChart();
 }
 
+/** Snapshot amount in today's base currency (snapshots without a currency were recorded in USD). */
+function snapshotAmount(snapshot, amount) {
+  if (amount == null) return null;
+  const converted = convertCurrency(amount, snapshot.currency || 'USD', getBaseCurrency());
+  return converted != null ? converted : amount;
+}
+
 let netWorthChartInstance = null;
 
 /** Build or update the net worth chart from stored history. Call when History tab is shown or after recording. */
@@ -1239,16 +4738,21 @@ function updateNetWorthChart() {
     '#0df20d', // primary - total
     '#00d4ff', '#e07a7a', '#fbbf24', '#a78bfa', '#34d399', '#f472b6', '#60a5fa',
   ];
+  // Derived (backfilled) points: no dot, dashed line into them; recorded snapshots keep the default dot
+  const derivedStyle = {
+    pointRadius: history.map(s => (s.derived ? 0 : 3)),
+    segment: { borderDash: (c) => (history[c.p1DataIndex]?.derived ? [4, 4] : undefined) },
+  };
   const datasets = [];
   if (labels.length) {
-    datasets.push({
+    datasets.push(Object.assign({
       label: 'Total net worth',
-      data: history.map(s => s.totalNetWorth),
+      data: history.map(s => snapshotAmount(s, s.totalNetWorth)),
       borderColor: colors[0],
       backgroundColor: colors[0] + '20',
       fill: false,
       tension: 0.2,
-    });
+    }, derivedStyle));
     const accountIds = new Set();
     for (const s of history) {
       for (const a of s.accounts || []) accountIds.add(a.id);
@@ -1258,16 +4762,16 @@ function updateNetWorthChart() {
       const color = colors[(i + 1) % colors.length];
       const values = history.map(s => {
         const row = (s.accounts || []).find(a => a.id === acc.id);
-        return row ? row.balance : null;
+        return row ? snapshotAmount(s, row.balance) : null;
       });
-      datasets.push({
+      datasets.push(Object.assign({
         label: acc.name,
         data: values,
         borderColor: color,
         backgroundColor: color + '20',
         fill: false,
         tension: 0.2,
-      });
+      }, derivedStyle));
     });
   }
   const ctx = canvas.getContext('2d');
@@ -1279,6 +4783,11 @@ function updateNetWorthChart() {
       maintainAspectRatio: false,
       plugins: {
         legend: { position: 'top' },
+        tooltip: {
+          callbacks: {
+            title: (items) => (items.length ? labels[items[0].dataIndex] + (history[items[0].dataIndex].derived ? ' · derived from price history' : '') : ''),
+          },
+        },
       },
       scales: {
         x: {
@@ -1299,6 +4808,8 @@ function updateNetWorthChart() {
 
 /** Render the snapshot list in the History tab; each row has Edit and Delete. */
 function renderSnapshotList() {
+  const scheduleEl = document.getElementById('snapshot-schedule');
+  if (scheduleEl) scheduleEl.value = getSnapshotSchedule();
   const container = document.getElementById('snapshot-list');
   if (!container) return;
   const history = getNetWorthHistory();
@@ -1306,13 +4817,30 @@ function renderSnapshotList() {
     container.innerHTML = '<p class="text-white/40 text-sm">No snapshots yet. Record a snapshot to track over time.</p>';
     return;
   }
-  container.innerHTML = history
+  // Derived points are listed as one summary row; indices stay those of the full history for edit/delete
+  const derived = history.filter(s => s.derived);
+  const derivedRow = derived.length ? `
+    <div class="rounded-xl border border-dashed border-white/20 p-4 flex flex-wrap items-center justify-between gap-3">
+      <div class="text-sm text-white/60">
+        <span class="text-white font-semibold">${derived.length} derived point${derived.length === 1 ? '' : 's'}</span>
+        from ${derived[0].date} to ${derived[derived.length - 1].date}, rebuilt from price history (dashed on the chart).
+      </div>
+      <button type="button" id="remove-derived-history" class="text-white/70 hover:text-red-400 hover:bg-red-500/10 px-3 py-1.5 rounded-lg text-sm font-semibold flex items-center gap-1">
+        <span class="material-symbols-outlined text-sm">delete_sweep</span> Remove
+      </button>
+    </div>` : '';
+  container.innerHTML = derivedRow + history
+    .map((s, i) => ({ s, i }))
+    .filter(({ s }) => !s.derived)
     .map(
-      (s, i) => `
+      ({ s, i }) => `
     <div class="glass-panel rounded-xl p-4 flex flex-wrap items-center justify-between gap-3">
       <div class="flex items-center gap-4">
         <span class="text-white font-semibold">${s.date}</span>
-        <span class="text-primary font-bold">${formatMoneyFull(s.totalNetWorth)}</span>
+        <span class="text-primary font-bold">${formatMoneyFull(s.totalNetWorth, s.currency || 'USD')}</span>
+        ${s.source === 'auto'
+          ? '<span class="text-[10px] uppercase tracking-wider font-bold px-2 py-0.5 rounded-full bg-accent-blue/15 text-accent-blue" title="Taken by the snapshot schedule">Auto</span>'
+          : '<span class="text-[10px] uppercase tracking-wider font-bold px-2 py-0.5 rounded-full bg-white/10 text-white/60" title="Recorded by hand">Manual</span>'}
       </div>
       <div class="flex items-center gap-2">
         <button type="button" data-snapshot-edit="${i}" class="text-white/70 hover:text-primary hover:bg-white/10 px-3 py-1.5 rounded-lg text-sm font-semibold flex items-center gap-1">
@@ -1331,6 +4859,9 @@ function renderSnapshotList() {
   container.querySelectorAll('[data-snapshot-delete]').forEach(btn => {
     btn.addEventListener('click', () => deleteSnapshot(parseInt(btn.dataset.snapshotDelete, 10)));
   });
+  document.getElementById('remove-derived-history')?.addEventListener('click', () => {
+    if (confirm('Remove all ' + derived.length + ' derived points? Recorded snapshots are kept.')) removeDerivedHistory();
+  });
 }
 
 function openEditSnapshotModal(index) {
@@ -1345,7 +4876,7 @@ function openEditSnapshotModal(index) {
     .map(
       (a) => `
     <div>
-      <label class="block text-sm font-semibold text-white/80 mb-1">${escapeHtml(a.name)} ($)</label>
+      <label class="block text-sm font-semibold text-white/80 mb-1">${escapeHtml(a.name)} (${escapeHtml(s.currency || 'USD')})</label>
       <input type="number" step="0.01" data-account-id="${escapeHtml(a.id)}" value="${a.balance ?? 0}" class="edit-snapshot-balance w-full rounded-lg bg-white/10 border border-white/20 px-4 py-2.5 text-white focus:border-primary focus:ring-1 focus:ring-primary"/>
     </div>`
     )
@@ -1378,7 +4909,7 @@ function saveEditedSnapshot() {
     const date = document.getElementById('edit-snapshot-date')?.value;
     const total = parseFloat(document.getElementById('edit-snapshot-total')?.value) || 0;
     if (!date) return;
-    history[index] = { date, totalNetWorth: total, accounts: [] };
+    history[index] = { date, totalNetWorth: total, currency: s?.currency || 'USD', source: s?.source || 'manual', accounts: [] };
   } else {
     const date = document.getElementById('edit-snapshot-date')?.value;
     const total = parseFloat(document.getElementById('edit-snapshot-total')?.value) || 0;
@@ -1387,7 +4918,7 @@ function saveEditedSnapshot() {
       const balance = input ? parseFloat(input.value) : a.balance;
       return { id: a.id, name: a.name, balance: Number.isNaN(balance) ? a.balance : balance };
     });
-    history[index] = { date, totalNetWorth: total, accounts };
+    history[index] = { date, totalNetWorth: total, currency: s.currency || 'USD', source: s.source || 'manual', accounts };
   }
   history.sort((a, b) => a.date.localeCompare(b.date));
   saveNetWorthHistory(history);
@@ -1396,6 +4927,157 @@ function saveEditedSnapshot() {
   renderSnapshotList();
 }
 
+// ——— History backfill ———
+
+/** Days between reconstructed points. */
+const BACKFILL_INTERVALS = { daily: 1, weekly: 7 };
+
+/** YYYY-MM-DD dates from `from` up to yesterday, `step` days apart, always ending on yesterday. */
+function getBackfillDates(from, step) {
+  const dates = [];
+  const start = toUnixSeconds(from) / 86400;
+  const yesterday = toUnixSeconds(new Date().toISOString().slice(0, 10)) / 86400 - 1;
+  for (let day = yesterday; day >= start; day -= step) dates.unshift(new Date(day * 86400000).toISOString().slice(0, 10));
+  return dates;
+}
+
+/** Earliest transaction date across all holdings, for the backfill start default. */
+function getEarliestTransactionDate() {
+  let earliest = null;
+  for (const a of state.accounts) {
+    for (const h of a.holdings || []) {
+      for (const t of h.transactions || []) if (t.date && (!earliest || t.date < earliest)) earliest = t.date;
+    }
+  }
+  return earliest;
+}
+
+/** Last close on or before date from closes sorted oldest first, or null. */
+function closeOn(closes, date) {
+  let lo = 0;
+  let hi = closes.length - 1;
+  let found = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (closes[mid].date <= date) {
+      found = closes[mid].close;
+      lo = mid + 1;
+    } else hi = mid - 1;
+  }
+  return found;
+}
+
+/**
+ * Rebuild net worth history from daily closes: security quantities come from each ledger as of the date
+ * (or today's quantity when a holding has no ledger); cash and debt stay at today's balances; FX uses today's rates.
+ * Points are flagged derived: true, never replace a manual snapshot's date, and replace earlier derived points in the range.
+ * Resolves to { points, failed: Array<{ symbol, error }> }.
+ */
+async function backfillNetWorthHistory(options) {
+  const step = BACKFILL_INTERVALS[options.interval] || BACKFILL_INTERVALS.weekly;
+  const dates = getBackfillDates(options.from, step);
+  if (!dates.length) return { points: 0, failed: [] };
+  const histories = {};
+  const failed = [];
+  const tickers = Object.entries(getTickersToSync());
+  let done = 0;
+  await runPool(tickers, SYNC_CONCURRENCY, async ([symbol, assetClass]) => {
+    try {
+      histories[symbol] = await resolveHistory(symbol, assetClass, dates[0], dates[dates.length - 1]);
+    } catch (error) {
+      failed.push({ symbol, error });
+    }
+    if (options.onProgress) options.onProgress(++done, tickers.length);
+  });
+
+  const base = getBaseCurrency();
+  const points = dates.map(date => {
+    const accounts = state.accounts.map(a => {
+      let native = 0;
+      for (const h of a.holdings || []) {
+        let value;
+        const currency = getHoldingCurrency(h, a);
+        if (isSecurityType(a.type)) {
+          const history = histories[h.ticker?.trim().toUpperCase()];
+          const close = history ? closeOn(history.closes, date) : null;
+          // Before a ticker's history starts (or if it failed) fall back to cost, as the live view does without a quote
+          const price = close != null ? convertCurrency(close, history.currency, currency) : getPurchasePrice(h);
+          value = price != null ? getHoldingQuantityOn(h, date) * price : 0;
+        } else {
+          value = Number(h.balance) || 0;
+        }
+        native += convertCurrency(value, currency, getAccountCurrency(a)) || 0;
+      }
+      const balance = convertCurrency(native, getAccountCurrency(a), base) || 0;
+      return { id: a.id, name: a.name, balance: a.type === 'Debt' ? -balance : balance };
+    });
+    return { date, totalNetWorth: accounts.reduce((sum, a) => sum + a.balance, 0), currency: base, accounts, derived: true };
+  });
+
+  const first = dates[0];
+  const last = dates[dates.length - 1];
+  const history = getNetWorthHistory().filter(s => !s.derived || s.date < first || s.date > last);
+  const manualDates = new Set(history.filter(s => !s.derived).map(s => s.date));
+  const added = points.filter(p => !manualDates.has(p.date));
+  saveNetWorthHistory(history.concat(added).sort((a, b) => a.date.localeCompare(b.date)));
+  failed.sort((a, b) => a.symbol.localeCompare(b.symbol));
+  return { points: added.length, failed };
+}
+
+function removeDerivedHistory() {
+  saveNetWorthHistory(getNetWorthHistory().filter(s => !s.derived));
+  updateNetWorthChart();
+  renderSnapshotList();
+}
+
+function openBackfillModal() {
+  const fromEl = document.getElementById('backfill-from');
+  if (fromEl && !fromEl.value) {
+    const yearAgo = new Date(Date.now() - 365 * 86400000).toISOString().slice(0, 10);
+    fromEl.value = getEarliestTransactionDate() || yearAgo;
+  }
+  const statusEl = document.getElementById('backfill-status');
+  if (statusEl) statusEl.textContent = '';
+  openModal('modal-backfill');
+}
+
+async function runBackfillFromModal() {
+  const from = document.getElementById('backfill-from')?.value;
+  const interval = document.getElementById('backfill-interval')?.value;
+  const statusEl = document.getElementById('backfill-status');
+  const runBtn = document.getElementById('backfill-run');
+  if (!from) return;
+  if (needsApiKeyForSync()) {
+    closeModal('modal-backfill');
+    openPriceSourceModal();
+    return;
+  }
+  if (runBtn) runBtn.disabled = true;
+  try {
+    const result = await backfillNetWorthHistory({
+      from,
+      interval,
+      onProgress: (done, total) => { if (statusEl) statusEl.textContent = 'Fetching price history… ' + done + '/' + total; },
+    });
+    updateNetWorthChart();
+    renderSnapshotList();
+    if (statusEl) {
+      // Group failed tickers by reason so e.g. a free Finnhub key reads as one plan problem, not a list of bad symbols
+      const reasons = {};
+      for (const { symbol, error } of result.failed) {
+        const reason = error.message || PRICE_ERROR_LABELS[error.code] || 'Failed';
+        (reasons[reason] = reasons[reason] || []).push(symbol);
+      }
+      statusEl.textContent = 'Added ' + result.points + ' derived point' + (result.points === 1 ? '' : 's') + '.' +
+        Object.entries(reasons).map(([reason, symbols]) => ' No history for ' + symbols.join(', ') + ' (valued at cost): ' + reason + '.').join('');
+    }
+  } catch (e) {
+    if (statusEl) statusEl.textContent = 'Backfill failed: ' + e.message;
+  } finally {
+    if (runBtn) runBtn.disabled = false;
+  }
+}
+
 /** Render per-account forecast settings in the Forecast tab. */
 function renderForecastAccountSettings() {
   const container = document.getElementById('forecast-account-settings');
@@ -1416,6 +5098,7 @@ function renderForecastAccountSettings() {
   }
   const expensesEl = document.getElementById('forecast-annual-expenses');
   const growthEl = document.getElementById('forecast-expense-growth');
+  const inflationEl = document.getElementById('forecast-inflation');
   if (expensesEl) {
     expensesEl.value = settings.annualExpenses ? String(settings.annualExpenses) : '';
     expensesEl.onchange = () => {
@@ -1436,6 +5119,22 @@ function renderForecastAccountSettings() {
       updateForecastChart();
     };
   }
+  if (inflationEl) {
+    inflationEl.value = String(settings.inflationPercent);
+    inflationEl.onchange = () => {
+      const v = parseFloat(inflationEl.value);
+      const s = getForecastSettings();
+      s.inflationPercent = Number.isNaN(v) ? 2.5 : v;
+      saveForecastSettings(s);
+      renderForecastAccountSettings();
+      renderHorizonMilestones();
+      updateForecastChart();
+    };
+  }
+  renderProfileSettings();
+  renderIncomeStreams();
+  renderTaxSettings();
+  renderDrawdownSettings();
   if (!state.accounts.length) {
     container.innerHTML = '<p class="text-white/50 text-sm">Add accounts on the Overview tab to set contributions and returns here.</p>';
     return;
@@ -1448,35 +5147,83 @@ function renderForecastAccountSettings() {
       const stop = s.contributionStopDate ?? '';
       const loanDate = s.loanOriginationDate ?? '';
       const termMonths = s.termMonths ?? '';
-      const proj = getProjectedAccountBalance(acc.id, settings.horizonYears ?? 30);
+      const proj = toDisplayDollars(getProjectedAccountBalance(acc.id, settings.horizonYears ?? 30), settings.horizonYears ?? 30);
       const projLabel = acc.type === 'Debt' ? 'Projected balance owed' : 'Projected balance';
       const isDebt = acc.type === 'Debt';
       const lastPaymentDate = isDebt ? getDebtLastPaymentDate(acc.id) : null;
-      const lastPaymentStr = lastPaymentDate ? new Date(lastPaymentDate + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '—';
+      const debtTerms = isDebt ? getDebtTerms(acc.id) : null;
+      const lastPaymentStr = lastPaymentDate ? formatShortDate(lastPaymentDate) : '—';
       const cardClass = isDebt ? 'rounded-xl border border-red-500/20 bg-red-500/5 p-4 space-y-4' : 'rounded-xl border border-white/10 bg-white/5 p-4 space-y-4';
       const badgeClass = isDebt ? 'text-xs px-2 py-0.5 rounded-full bg-red-500/20 text-red-400' : 'text-xs px-2 py-0.5 rounded-full bg-white/10 text-white/70';
       const projClass = isDebt ? 'text-red-400 font-bold text-sm' : 'text-primary font-bold text-sm';
       const debtExtraFields = isDebt ? `
       <div class="pt-2 border-t border-red-500/10">
         <p class="text-xs font-semibold text-red-300/80 mb-2">Last payment date: <span class="text-red-200 font-bold" data-last-payment-date>${lastPaymentStr}</span></p>
-        <p class="text-[10px] text-red-300/60 mb-3">Based on current balance, monthly payment, and interest rate.</p>
-        <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <p class="text-[10px] text-red-300/60 mb-3">From the loan terms below when set, else the current balance, monthly payment, and interest rate.</p>
+        <div class="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label class="block text-xs font-semibold text-red-300/80 mb-1">Loan origination date</label>
+            <input type="date" value="${loanDate}" data-forecast="loanOriginationDate" class="w-full rounded-lg bg-white/10 border border-red-500/20 px-3 py-2 text-white text-sm focus:border-red-400 focus:ring-1 focus:ring-red-400"/>
+          </div>
+          <div>
+            <label class="block text-xs font-semibold text-red-300/80 mb-1">Term (months)</label>
+            <input type="number" min="1" step="1" placeholder="e.g. 360" value="${termMonths}" data-forecast="termMonths" class="w-full rounded-lg bg-white/10 border border-red-500/20 px-3 py-2 text-white text-sm focus:border-red-400 focus:ring-1 focus:ring-red-400"/>
+          </div>
+          <div>
+            <label class="block text-xs font-semibold text-red-300/80 mb-1">Original amount (${escapeHtml(getBaseCurrency())})</label>
+            <input type="number" min="0" step="100" placeholder="From current balance" value="${s.originalPrincipal ?? ''}" data-forecast="originalPrincipal" class="w-full rounded-lg bg-white/10 border border-red-500/20 px-3 py-2 text-white text-sm focus:border-red-400 focus:ring-1 focus:ring-red-400" title="Amount borrowed; blank works it back from the current balance, assuming payments were made on schedule"/>
+          </div>
+        </div>
+        <div class="flex flex-wrap items-center justify-between gap-2 mt-3">
+          <p class="text-[11px] text-red-300/70" data-debt-terms>${escapeHtml(describeDebtTerms(acc.id))}</p>
+          <button type="button" data-amortization class="px-3 py-1.5 rounded-lg border border-red-500/30 text-red-200 hover:bg-red-500/10 text-xs font-semibold">Amortization schedule</button>
+        </div>
+      </div>` : '';
+      const returnLabel = isDebt ? 'Interest rate (%)' : 'Predicted annual return (%)';
+      const stopDateField = isDebt ? '' : `
+        <div>
+          <label class="block text-xs font-semibold text-white/60 mb-1">Contribution stop date</label>
+          <input type="date" value="${stop || getRetirementDate() || ''}" data-forecast="contributionStopDate" class="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-white text-sm focus:border-primary focus:ring-1 focus:ring-primary" title="Default: your retirement age from the profile (the end of the forecast without a birthdate)"/>
+        </div>`;
+      const volatilityField = isDebt ? '' : `
+        <div>
+          <label class="block text-xs font-semibold text-white/60 mb-1">Volatility (%/yr)</label>
+          <input type="number" min="0" step="0.5" max="200" placeholder="${getMonteCarloSettings().volatility[acc.type]}" value="${s.volatilityPercent ?? ''}" data-forecast="volatilityPercent" class="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-white text-sm focus:border-primary focus:ring-1 focus:ring-primary" title="Standard deviation of yearly returns for Monte Carlo; blank uses the default for ${acc.type}"/>
+        </div>`;
+      const limitKind = isDebt ? null : getContributionLimitKind(acc);
+      const limitChosen = s.contributionLimit === 'none' || !!CONTRIBUTION_LIMITS[s.contributionLimit];
+      const inputClass = 'w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-white text-sm focus:border-primary focus:ring-1 focus:ring-primary';
+      const contributionFields = isDebt ? '' : `
+      <div class="pt-2 border-t border-white/10">
+        <p class="text-xs font-semibold text-white/60 mb-3">Salary &amp; employer match <span class="font-normal text-white/40">· optional; a salary and contribution % replace the monthly contribution</span></p>
+        <div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+          <div>
+            <label class="block text-xs font-semibold text-white/60 mb-1">Salary (${escapeHtml(getBaseCurrency())}/yr)</label>
+            <input type="number" min="0" step="1000" placeholder="e.g. 120000" value="${s.salary ?? ''}" data-forecast="salary" class="${inputClass}"/>
+          </div>
+          <div>
+            <label class="block text-xs font-semibold text-white/60 mb-1">You contribute (% of salary)</label>
+            <input type="number" min="0" max="100" step="0.5" placeholder="e.g. 10" value="${s.contributionPercent ?? ''}" data-forecast="contributionPercent" class="${inputClass}"/>
+          </div>
           <div>
-            <label class="block text-xs font-semibold text-red-300/80 mb-1">Loan origination date</label>
-            <input type="date" value="${loanDate}" data-forecast="loanOriginationDate" class="w-full rounded-lg bg-white/10 border border-red-500/20 px-3 py-2 text-white text-sm focus:border-red-400 focus:ring-1 focus:ring-red-400"/>
+            <label class="block text-xs font-semibold text-white/60 mb-1">Employer match</label>
+            <input type="text" placeholder="100% up to 4%, 50% of the next 2%" value="${escapeHtml(formatMatchFormula(s.employerMatch))}" data-forecast="employerMatch" class="${inputClass}" title="Match rate and the band of salary it applies to, e.g. 100% up to 4%, 50% of the next 2%"/>
           </div>
           <div>
-            <label class="block text-xs font-semibold text-red-300/80 mb-1">Term (months)</label>
-            <input type="number" min="1" step="1" placeholder="e.g. 360" value="${termMonths}" data-forecast="termMonths" class="w-full rounded-lg bg-white/10 border border-red-500/20 px-3 py-2 text-white text-sm focus:border-red-400 focus:ring-1 focus:ring-red-400"/>
+            <label class="block text-xs font-semibold text-white/60 mb-1">Raise / step-up (%/yr)</label>
+            <input type="number" min="-20" max="50" step="0.5" placeholder="0" value="${s.stepUpPercent ?? ''}" data-forecast="stepUpPercent" class="${inputClass}" title="Yearly increase of the salary, or of the monthly contribution without a salary"/>
+          </div>
+          <div>
+            <label class="block text-xs font-semibold text-white/60 mb-1">Contribution limit</label>
+            <select data-forecast="contributionLimit" class="${inputClass}" title="The default caps contributions only with a salary or employer match; otherwise it just warns">
+              <option value=""${limitChosen ? '' : ' selected'}>Default (${CONTRIBUTION_LIMITS[limitKind] ? CONTRIBUTION_LIMITS[limitKind].name : 'no limit'})</option>
+              ${['401k', 'ira', 'hsa'].map((k) => `<option value="${k}"${limitChosen && limitKind === k ? ' selected' : ''}>${CONTRIBUTION_LIMITS[k].name}</option>`).join('')}
+              <option value="none"${limitChosen && limitKind === 'none' ? ' selected' : ''}>No limit</option>
+            </select>
           </div>
         </div>
-      </div>` : '';
-      const returnLabel = isDebt ? 'Interest rate (%)' : 'Predicted annual return (%)';
-      const stopDateField = isDebt ? '' : `
-        <div>
-          <label class="block text-xs font-semibold text-white/60 mb-1">Contribution stop date</label>
-          <input type="date" value="${stop || DEFAULT_CONTRIBUTION_STOP_DATE}" data-forecast="contributionStopDate" class="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-white text-sm focus:border-primary focus:ring-1 focus:ring-primary" title="Default: 60th birthday"/>
-        </div>`;
+        <p class="text-[11px] text-white/50 mt-2" data-contribution-summary>${describeContributions(acc.id)}</p>
+      </div>`;
       return `
     <div class="${cardClass}" data-account-id="${acc.id}">
       <div class="flex flex-wrap items-center justify-between gap-2">
@@ -1486,17 +5233,19 @@ function renderForecastAccountSettings() {
         </div>
         <span class="${projClass}" data-projected-value>${projLabel}: ${formatMoneyFull(acc.type === 'Debt' ? -proj : proj)}</span>
       </div>
-      <div class="grid grid-cols-1 sm:grid-cols-3 gap-4">
+      <div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
         <div>
-          <label class="block text-xs font-semibold text-white/60 mb-1">Monthly ${isDebt ? 'payment' : 'contribution'} ($)</label>
-          <input type="number" min="0" step="1" placeholder="0" value="${monthly}" data-forecast="monthlyContribution" class="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-white text-sm focus:border-primary focus:ring-1 focus:ring-primary"/>
+          <label class="block text-xs font-semibold text-white/60 mb-1">Monthly ${isDebt ? 'payment' : 'contribution'} (${escapeHtml(getBaseCurrency())})</label>
+          <input type="number" min="0" step="1" placeholder="${debtTerms ? Math.round(debtTerms.payment) : 0}" value="${monthly}" data-forecast="monthlyContribution" class="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-white text-sm focus:border-primary focus:ring-1 focus:ring-primary"/>
         </div>
         <div>
           <label class="block text-xs font-semibold text-white/60 mb-1">${returnLabel}</label>
           <input type="number" min="-20" step="0.1" max="50" placeholder="e.g. 8" value="${annual}" data-forecast="annualReturnPercent" class="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-white text-sm focus:border-primary focus:ring-1 focus:ring-primary"/>
         </div>
         ${stopDateField}
+        ${volatilityField}
       </div>
+      ${contributionFields}
       ${debtExtraFields}
     </div>`;
     })
@@ -1506,29 +5255,43 @@ function renderForecastAccountSettings() {
     const accountId = card.dataset.accountId;
     card.querySelectorAll('[data-forecast]').forEach((input) => {
       const key = input.dataset.forecast;
-      const handler = () => {
+      const handler = (e) => {
         const settings = getForecastSettings();
         if (!settings.accounts[accountId]) settings.accounts[accountId] = {};
-        if (key === 'monthlyContribution' || key === 'annualReturnPercent' || key === 'termMonths') {
+        if (key === 'employerMatch') {
+          if (e.type !== 'change') return;
+          const tiers = parseMatchFormula(input.value);
+          if (!tiers) {
+            alert('Could not read the employer match. Write it like "100% up to 4%, 50% of the next 2%".');
+            return;
+          }
+          settings.accounts[accountId].employerMatch = tiers;
+        } else if (['monthlyContribution', 'annualReturnPercent', 'termMonths', 'originalPrincipal', 'volatilityPercent', 'salary', 'contributionPercent', 'stepUpPercent'].includes(key)) {
           const num = parseFloat(input.value);
           settings.accounts[accountId][key] = Number.isNaN(num) ? undefined : num;
         } else {
           settings.accounts[accountId][key] = input.value.trim() || null;
         }
         saveForecastSettings(settings);
-        const proj = getProjectedAccountBalance(accountId, settings.horizonYears ?? 30);
+        const proj = toDisplayDollars(getProjectedAccountBalance(accountId, settings.horizonYears ?? 30), settings.horizonYears ?? 30);
         const acc = state.accounts.find((a) => a.id === accountId);
         const labelEl = card.querySelector('[data-projected-value]');
         if (labelEl && acc) {
           const projLabel = acc.type === 'Debt' ? 'Projected balance owed' : 'Projected balance';
           labelEl.textContent = `${projLabel}: ${formatMoneyFull(acc.type === 'Debt' ? -proj : proj)}`;
         }
+        const contributionEl = card.querySelector('[data-contribution-summary]');
+        if (contributionEl) contributionEl.textContent = describeContributions(accountId);
         if (acc && acc.type === 'Debt') {
           const lastDateEl = card.querySelector('[data-last-payment-date]');
           if (lastDateEl) {
             const d = getDebtLastPaymentDate(accountId);
-            lastDateEl.textContent = d ? new Date(d + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '—';
+            lastDateEl.textContent = d ? formatShortDate(d) : '—';
           }
+          const termsEl = card.querySelector('[data-debt-terms]');
+          if (termsEl) termsEl.textContent = describeDebtTerms(accountId);
+          const paymentEl = card.querySelector('[data-forecast="monthlyContribution"]');
+          if (paymentEl) paymentEl.placeholder = String(Math.round(getDebtTerms(accountId)?.payment || 0));
         }
         renderHorizonMilestones();
         updateForecastChart();
@@ -1536,18 +5299,30 @@ function renderForecastAccountSettings() {
       input.addEventListener('input', handler);
       input.addEventListener('change', handler);
     });
+    card.querySelector('[data-amortization]')?.addEventListener('click', () => openAmortizationModal(accountId));
   });
 }
 
 let forecastChartInstance = null;
 
-/** Current forecast chart mode: 'balances' | 'interest'. */
+/** Current forecast chart mode: 'balances' | 'interest' | 'montecarlo' | 'compare'. */
 function getForecastChartMode() {
   const active = document.querySelector('.forecast-chart-mode.bg-primary');
   return active?.dataset.mode || 'balances';
 }
 
-/** Build or update the Forecast tab chart: net worth + each account + expenses, or interest earned + expenses. */
+/** Highlight the Nominal / Today's dollars toggle from forecastSettings.realDollars. */
+function renderForecastDollarsToggle() {
+  const real = getForecastSettings().realDollars;
+  document.querySelectorAll('.forecast-dollars').forEach((b) => {
+    const active = (b.dataset.dollars === 'real') === real;
+    b.classList.toggle('bg-primary', active);
+    b.classList.toggle('text-background-dark', active);
+    b.classList.toggle('text-white/60', !active);
+  });
+}
+
+/** Build or update the Forecast tab chart: net worth + each account, interest earned, Monte Carlo percentile bands or each scenario's net worth; plus expenses. */
 function updateForecastChart() {
   const canvas = document.getElementById('forecast-chart');
   if (!canvas) return;
@@ -1556,19 +5331,59 @@ function updateForecastChart() {
     forecastChartInstance = null;
   }
   const settings = getForecastSettings();
-  const horizon = settings.horizonYears || 30;
   const mode = getForecastChartMode();
+  const compared = mode === 'compare' ? getComparedScenarioIds() : [];
+  const horizon = mode === 'compare'
+    ? Math.max(settings.horizonYears || 30, ...compared.map((sid) => withForecastScenario(sid, () => getForecastSettings().horizonYears || 30)))
+    : settings.horizonYears || 30;
+  renderForecastDollarsToggle();
+  renderScenarioPicker();
+  renderScenarioComparison();
+  renderMonteCarloSettings();
+  renderDrawdownSummary();
   const labels = [];
-  for (let y = 0; y <= horizon; y++) labels.push(y === 0 ? 'Today' : `Year ${y}`);
+  for (let y = 0; y <= horizon; y++) labels.push(getForecastYearLabel(y));
   const colors = [
     '#0df20d',
     '#00d4ff', '#e07a7a', '#fbbf24', '#a78bfa', '#34d399', '#f472b6', '#60a5fa',
   ];
   const datasets = [];
 
-  if (mode === 'interest') {
+  if (mode === 'compare') {
+    getScenarios().forEach((scenario, i) => {
+      if (!compared.includes(scenario.id)) return;
+      const color = colors[i % colors.length];
+      const values = withForecastScenario(scenario.id, () => {
+        const own = getForecastSettings().horizonYears || 30;
+        const out = [];
+        for (let y = 0; y <= horizon; y++) out.push(y <= own ? toDisplayDollars(getProjectedTotalNetWorth(y), y) : null);
+        return out;
+      });
+      datasets.push({
+        label: scenario.name,
+        data: values,
+        borderColor: color,
+        backgroundColor: color + '20',
+        borderWidth: scenario.id === settings.scenarioId ? 3 : 2,
+        fill: false,
+        tension: 0.2,
+      });
+    });
+  } else if (mode === 'montecarlo') {
+    const mc = getMonteCarloResult();
+    if (mc) {
+      const band = { borderWidth: 1, pointRadius: 0, tension: 0.2, borderColor: colors[0] + '40' };
+      const real = (series) => series.map((v, y) => toDisplayDollars(v, y));
+      datasets.push(Object.assign({ label: '90th percentile', data: real(mc.percentiles.p90), fill: false }, band));
+      datasets.push(Object.assign({ label: '10th percentile', data: real(mc.percentiles.p10), fill: '-1', backgroundColor: colors[0] + '20' }, band));
+      datasets.push({ label: 'Median (50th)', data: real(mc.percentiles.p50), borderColor: colors[0], backgroundColor: colors[0], fill: false, tension: 0.2, pointRadius: 0 });
+    }
+    const fixed = [];
+    for (let y = 0; y <= horizon; y++) fixed.push(toDisplayDollars(getProjectedTotalNetWorth(y), y));
+    datasets.push({ label: 'Fixed-return projection', data: fixed, borderColor: colors[1], borderDash: [4, 4], backgroundColor: 'transparent', fill: false, tension: 0.2, pointRadius: 0 });
+  } else if (mode === 'interest') {
     const totalInterestData = [];
-    for (let y = 0; y <= horizon; y++) totalInterestData.push(getTotalInterestEarnedAtYear(y));
+    for (let y = 0; y <= horizon; y++) totalInterestData.push(toDisplayDollars(getTotalInterestEarnedAtYear(y), y));
     datasets.push({
       label: 'Total interest earned',
       data: totalInterestData,
@@ -1580,7 +5395,7 @@ function updateForecastChart() {
     state.accounts.forEach((acc, i) => {
       const color = colors[(i + 1) % colors.length];
       const values = [];
-      for (let y = 0; y <= horizon; y++) values.push(getInterestEarnedAtYear(acc.id, y));
+      for (let y = 0; y <= horizon; y++) values.push(toDisplayDollars(getInterestEarnedAtYear(acc.id, y), y));
       datasets.push({
         label: acc.name + (acc.type === 'Debt' ? ' (interest cost)' : ''),
         data: values,
@@ -1592,7 +5407,7 @@ function updateForecastChart() {
     });
   } else {
     const nwData = [];
-    for (let y = 0; y <= horizon; y++) nwData.push(getProjectedTotalNetWorth(y));
+    for (let y = 0; y <= horizon; y++) nwData.push(toDisplayDollars(getProjectedTotalNetWorth(y), y));
     datasets.push({
       label: 'Total net worth',
       data: nwData,
@@ -1605,58 +5420,1037 @@ function updateForecastChart() {
       const color = colors[(i + 1) % colors.length];
       const values = [];
       for (let y = 0; y <= horizon; y++) {
-        const bal = getProjectedAccountBalance(acc.id, y);
+        const bal = toDisplayDollars(getProjectedAccountBalance(acc.id, y), y);
         values.push(acc.type === 'Debt' ? -bal : bal);
       }
-      datasets.push({
-        label: acc.name,
-        data: values,
-        borderColor: color,
-        backgroundColor: color + '20',
-        fill: false,
-        tension: 0.2,
-      });
-    });
+      datasets.push({
+        label: acc.name,
+        data: values,
+        borderColor: color,
+        backgroundColor: color + '20',
+        fill: false,
+        tension: 0.2,
+      });
+    });
+    if (getDrawdownSettings().startDate && state.accounts.length) {
+      datasets.push({
+        label: 'Withdrawals',
+        data: getProjection().withdrawals.map((v, y) => toDisplayDollars(v, y)),
+        borderColor: '#fb923c',
+        borderDash: [2, 3],
+        backgroundColor: 'transparent',
+        fill: false,
+        tension: 0.2,
+      });
+    }
+    const projection = isProjectedYearByYear() && state.accounts.length ? getProjection() : null;
+    if (projection && projection.taxes.some((v) => v > 0)) {
+      datasets.push({
+        label: 'Taxes on withdrawals',
+        data: projection.taxes.map((v, y) => toDisplayDollars(v, y)),
+        borderColor: '#f87171',
+        borderDash: [2, 3],
+        backgroundColor: 'transparent',
+        fill: false,
+        tension: 0.2,
+      });
+    }
+    if (projection && projection.rmds.some((v) => v > 0)) {
+      datasets.push({
+        label: 'Required minimum distributions',
+        data: projection.rmds.map((v, y) => toDisplayDollars(v, y)),
+        borderColor: '#c084fc',
+        borderDash: [2, 3],
+        backgroundColor: 'transparent',
+        fill: false,
+        tension: 0.2,
+      });
+    }
+    if (projection && projection.rmdCash.some((v) => v > 0)) {
+      datasets.push({
+        label: 'Distributed RMDs (cash)',
+        data: projection.rmdCash.map((v, y) => toDisplayDollars(v, y)),
+        borderColor: '#e9d5ff',
+        backgroundColor: 'transparent',
+        fill: false,
+        tension: 0.2,
+      });
+    }
+  }
+
+  const annualExpenses = Number(settings.annualExpenses) || 0;
+  if (getIncomeStreams().length && mode !== 'compare') {
+    const incomeData = [];
+    for (let y = 0; y <= horizon; y++) incomeData.push(toDisplayDollars(getProjectedIncome(y), y));
+    datasets.push({
+      label: 'Income streams',
+      data: incomeData,
+      borderColor: '#38bdf8',
+      borderDash: [4, 3],
+      backgroundColor: 'transparent',
+      fill: false,
+      stepped: true,
+    });
+  }
+
+  if (annualExpenses > 0 && mode !== 'compare') {
+    const expData = [];
+    for (let y = 0; y <= horizon; y++) expData.push(toDisplayDollars(getProjectedExpenses(y), y));
+    datasets.push({
+      label: 'Annual expenses (projected)',
+      data: expData,
+      borderColor: 'rgba(255,255,255,0.4)',
+      borderDash: [8, 4],
+      backgroundColor: 'transparent',
+      fill: false,
+      tension: 0.2,
+    });
+  }
+
+  const ctx = canvas.getContext('2d');
+  forecastChartInstance = new Chart(ctx, {
+    type: 'line',
+    data: { labels, datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { legend: { position: 'top' } },
+      scales: {
+        x: {
+          grid: { color: 'rgba(255,255,255,0.06)' },
+          ticks: { color: 'rgba(255,255,255,0.6)', maxRotation: 45 },
+        },
+        y: {
+          grid: { color: 'rgba(255,255,255,0.06)' },
+          title: { display: true, text: settings.realDollars ? 'Today\'s dollars' : 'Nominal dollars', color: 'rgba(255,255,255,0.4)' },
+          ticks: {
+            color: 'rgba(255,255,255,0.6)',
+            callback: (v) => (v >= 1e6 ? (v / 1e6).toFixed(1) + 'M' : v >= 1e3 ? (v / 1e3).toFixed(0) + 'k' : v),
+          },
+        },
+      },
+    },
+  });
+}
+
+// ——— Income streams ———
+
+/**
+ * Income streams (forecastSettings.incomeStreams) with defaults filled in: [{ id, name, owner ('self' | 'partner'),
+ * startAge, startDate, endDate, amount (annual, in the first year paid), colaPercent, survivorPercent }].
+ * A start date wins over a start age.
+ */
+function getIncomeStreams() {
+  const list = getForecastSettings().incomeStreams;
+  if (!Array.isArray(list)) return [];
+  const num = (v) => (v === '' || v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+  return list.filter((x) => x && typeof x === 'object').map((x) => ({
+    id: x.id,
+    name: typeof x.name === 'string' ? x.name : '',
+    owner: x.owner === 'partner' ? 'partner' : 'self',
+    startAge: num(x.startAge),
+    startDate: typeof x.startDate === 'string' && x.startDate ? x.startDate : null,
+    endDate: typeof x.endDate === 'string' && x.endDate ? x.endDate : null,
+    amount: num(x.amount) || 0,
+    colaPercent: num(x.colaPercent) || 0,
+    survivorPercent: num(x.survivorPercent) || 0,
+  }));
+}
+
+/**
+ * When a stream is paid, in months from now: { startMonth, endMonth, deathMonth, survivorEndMonth } (Infinity = open).
+ * Null when it starts at an age and the owner's birthdate is missing. The owner's payments stop at their life
+ * expectancy; the survivor's share runs from then until the other person's.
+ */
+function getIncomeStreamSchedule(stream) {
+  const profile = getProfile();
+  const own = stream.owner === 'partner' ? profile.partnerBirthDate : profile.birthDate;
+  const other = stream.owner === 'partner' ? profile.birthDate : profile.partnerBirthDate;
+  let startMonth;
+  if (stream.startDate) startMonth = monthsUntil(stream.startDate);
+  else if (stream.startAge != null && own) startMonth = monthsUntil(dateAtAge(own, stream.startAge));
+  else return null;
+  return {
+    startMonth,
+    endMonth: stream.endDate ? monthsUntil(stream.endDate) : Infinity,
+    deathMonth: own ? monthsUntil(dateAtAge(own, profile.lifeExpectancy)) : Infinity,
+    survivorEndMonth: other ? monthsUntil(dateAtAge(other, profile.lifeExpectancy)) : 0,
+  };
+}
+
+/** Nominal annual amount of one stream yearsFromNow (0 when not paid then). COLA raises it once a year after it starts. */
+function getIncomeStreamAmountAt(stream, yearsFromNow) {
+  return incomeStreamAmountInMonth(stream, getIncomeStreamSchedule(stream), yearsFromNow * 12);
+}
+
+function incomeStreamAmountInMonth(stream, when, month) {
+  if (!when || month < when.startMonth || month >= when.endMonth) return 0;
+  let share = 1;
+  if (month >= when.deathMonth) {
+    if (month >= when.survivorEndMonth) return 0;
+    share = stream.survivorPercent / 100;
+  }
+  const raises = Math.floor((month - when.startMonth) / 12);
+  return stream.amount * share * Math.pow(1 + stream.colaPercent / 100, raises);
+}
+
+/** Total nominal annual income from all streams yearsFromNow; it offsets projected expenses from the year each begins. */
+function getProjectedIncome(yearsFromNow) {
+  return getIncomeStreams().reduce((sum, x) => sum + getIncomeStreamAmountAt(x, yearsFromNow), 0);
+}
+
+/** One card per income stream with its fields; edits save as they are made. */
+function renderIncomeStreams() {
+  const container = document.getElementById('income-stream-list');
+  if (!container) return;
+  const streams = getIncomeStreams();
+  const profile = getProfile();
+  if (!streams.length) {
+    container.innerHTML = '<p class="text-white/50 text-sm">No income streams. Add Social Security, a pension, rental income or anything else that pays you in retirement.</p>';
+    return;
+  }
+  const field = (label, key, value, attrs) => `
+        <div>
+          <label class="block text-xs font-semibold text-white/60 mb-1">${label}</label>
+          <input ${attrs} value="${value ?? ''}" data-income-field="${key}" class="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-white text-sm focus:border-primary focus:ring-1 focus:ring-primary"/>
+        </div>`;
+  const thisYear = new Date().getFullYear();
+  container.innerHTML = streams.map((x) => {
+    const when = getIncomeStreamSchedule(x);
+    const startYear = when ? Math.max(0, Math.ceil(when.startMonth / 12)) : null;
+    const status = !when
+      ? (x.startAge != null ? `Add ${x.owner === 'partner' ? 'your partner\'s' : 'your'} birthdate to the profile to start this at an age.` : 'Set a start age or date.')
+      : `${formatMoneyFull(toDisplayDollars(getIncomeStreamAmountAt(x, startYear), startYear))}/yr from ${thisYear + startYear}`;
+    return `
+    <div class="rounded-xl border border-white/10 bg-white/5 p-4 space-y-4" data-income-id="${escapeHtml(x.id)}">
+      <div class="flex flex-wrap items-center justify-between gap-2">
+        <input type="text" value="${escapeHtml(x.name)}" placeholder="e.g. Social Security" data-income-field="name" aria-label="Name" class="flex-1 min-w-[10rem] rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-white text-sm font-bold focus:border-primary focus:ring-1 focus:ring-primary"/>
+        <span class="text-xs text-white/50" data-income-status>${status}</span>
+        <button type="button" data-income-remove class="text-xs font-semibold text-white/50 hover:text-red-400">Remove</button>
+      </div>
+      <div class="grid grid-cols-2 sm:grid-cols-4 gap-4">
+        <div>
+          <label class="block text-xs font-semibold text-white/60 mb-1">Paid to</label>
+          <select data-income-field="owner" class="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-white text-sm focus:border-primary focus:ring-1 focus:ring-primary">
+            <option value="self"${x.owner === 'self' ? ' selected' : ''}>You</option>
+            <option value="partner"${x.owner === 'partner' ? ' selected' : ''}${profile.partnerBirthDate ? '' : ' disabled'}>Partner</option>
+          </select>
+        </div>
+        ${field('Starts at age', 'startAge', x.startAge, 'type="number" min="0" max="120" step="1" placeholder="e.g. 67"')}
+        ${field('or on date', 'startDate', x.startDate, 'type="date" title="Overrides the start age"')}
+        ${field('End date (optional)', 'endDate', x.endDate, 'type="date" title="Blank: paid for life"')}
+        ${field(`Annual amount (${escapeHtml(getBaseCurrency())})`, 'amount', x.amount || '', 'type="number" min="0" step="100" placeholder="e.g. 24000" title="What it pays in the first year"')}
+        ${field('COLA (%/yr)', 'colaPercent', x.colaPercent || '', 'type="number" min="-5" max="20" step="0.1" placeholder="0" title="Cost-of-living raise each year after it starts"')}
+        ${field('Survivor (%)', 'survivorPercent', x.survivorPercent || '', `type="number" min="0" max="100" step="1" placeholder="0" title="Share that keeps being paid to the other person after the recipient's life expectancy"${profile.partnerBirthDate ? '' : ' disabled'}`)}
+      </div>
+    </div>`;
+  }).join('');
+}
+
+/** Save the income stream list and refresh what depends on it. */
+function saveIncomeStreams(streams) {
+  const settings = getForecastSettings();
+  settings.incomeStreams = streams;
+  saveForecastSettings(settings);
+  renderHorizonMilestones();
+  updateForecastChart();
+}
+
+function addIncomeStream() {
+  const streams = getIncomeStreams();
+  streams.push({ id: id(), name: streams.length ? '' : 'Social Security', owner: 'self', startAge: 67, startDate: null, endDate: null, amount: 0, colaPercent: 2.5, survivorPercent: 0 });
+  saveIncomeStreams(streams);
+  renderIncomeStreams();
+  document.querySelector('#income-stream-list [data-income-id]:last-child [data-income-field="amount"]')?.focus();
+}
+
+function removeIncomeStream(streamId) {
+  saveIncomeStreams(getIncomeStreams().filter((x) => x.id !== streamId));
+  renderIncomeStreams();
+}
+
+/** Save one field from an income stream card. */
+function saveIncomeStreamField(streamId, key, value) {
+  const streams = getIncomeStreams();
+  const stream = streams.find((x) => x.id === streamId);
+  if (!stream) return;
+  if (key === 'name' || key === 'owner') stream[key] = value;
+  else if (key === 'startDate' || key === 'endDate') stream[key] = value || null;
+  else {
+    const num = parseFloat(value);
+    stream[key] = Number.isNaN(num) ? null : num;
+  }
+  saveIncomeStreams(streams);
+  if (key !== 'name') renderIncomeStreams();
+}
+
+// ——— Taxes ———
+
+/** How withdrawals from an account are taxed (account.taxTreatment). HSA money is assumed to go to qualified medical costs. */
+const TAX_TREATMENTS = {
+  taxable: 'Taxable (brokerage, bank)',
+  deferred: 'Tax-deferred (traditional 401(k) / IRA)',
+  roth: 'Roth (tax-free)',
+  hsa: 'HSA (tax-free for medical)',
+};
+
+/** An account's tax treatment: its own, else tax-deferred for Retirement and taxable otherwise; null for Debt. */
+function getAccountTaxTreatment(account) {
+  if (!account || account.type === 'Debt') return null;
+  if (TAX_TREATMENTS[account.taxTreatment]) return account.taxTreatment;
+  return account.type === 'Retirement' ? 'deferred' : 'taxable';
+}
+
+/** 2025 US federal brackets for a single filer, with the standard deduction and the 15% long-term capital gains rate. */
+const DEFAULT_TAX_SETTINGS = {
+  brackets: [
+    { upTo: 11925, ratePercent: 10 },
+    { upTo: 48475, ratePercent: 12 },
+    { upTo: 103350, ratePercent: 22 },
+    { upTo: 197300, ratePercent: 24 },
+    { upTo: 250525, ratePercent: 32 },
+    { upTo: 626350, ratePercent: 35 },
+    { upTo: null, ratePercent: 37 },
+  ],
+  standardDeduction: 15750,
+  capitalGainsPercent: 15,
+};
+
+/** IRS Uniform Lifetime Table divisors from age 72; 2.0 from 120 on. */
+const RMD_DIVISORS = [
+  27.4, 26.5, 25.5, 24.6, 23.7, 22.9, 22.0, 21.1, 20.2, 19.4, 18.5, 17.7, 16.8, 16.0, 15.2, 14.4, 13.7, 12.9, 12.2, 11.5,
+  10.8, 10.1, 9.5, 8.9, 8.4, 7.8, 7.3, 6.8, 6.4, 6.0, 5.6, 5.2, 4.9, 4.6, 4.3, 4.1, 3.9, 3.7, 3.5, 3.4, 3.3, 3.1, 3.0,
+  2.9, 2.8, 2.7, 2.5, 2.3,
+];
+
+/** Tax settings (forecastSettings.tax): { brackets (ascending, the last open-ended), standardDeduction, capitalGainsPercent }. */
+function getTaxSettings() {
+  const t = getForecastSettings().tax || {};
+  const num = (v, fallback) => (v === '' || v == null || !Number.isFinite(Number(v)) ? fallback : Number(v));
+  const rows = Array.isArray(t.brackets) ? t.brackets.filter((b) => b && Number.isFinite(Number(b.ratePercent))) : [];
+  const brackets = rows.length
+    ? rows.map((b) => ({ upTo: b.upTo == null || b.upTo === '' ? null : Number(b.upTo), ratePercent: Number(b.ratePercent) }))
+      .sort((a, b) => (a.upTo == null ? Infinity : a.upTo) - (b.upTo == null ? Infinity : b.upTo))
+    : DEFAULT_TAX_SETTINGS.brackets.map((b) => Object.assign({}, b));
+  return {
+    brackets,
+    standardDeduction: Math.max(0, num(t.standardDeduction, DEFAULT_TAX_SETTINGS.standardDeduction)),
+    capitalGainsPercent: Math.max(0, num(t.capitalGainsPercent, DEFAULT_TAX_SETTINGS.capitalGainsPercent)),
+  };
+}
+
+/**
+ * Tax rules as the projection uses them: { brackets: [{ upTo (null = no limit), rate }], deduction, gainsRate,
+ * rmdDivisors (per forecast year: the Uniform Lifetime divisor once required minimum distributions apply, else null) }.
+ */
+function buildTaxInput(horizon) {
+  const t = getTaxSettings();
+  const birthDate = getProfile().birthDate;
+  const rmdAge = getRmdAge(birthDate);
+  const rmdDivisors = [null];
+  for (let y = 1; y <= horizon; y++) {
+    const age = birthDate ? ageAt(birthDate, y - 1) : null;
+    rmdDivisors.push(age != null && age >= rmdAge ? RMD_DIVISORS[Math.min(age - 72, RMD_DIVISORS.length)] || 2 : null);
+  }
+  return {
+    brackets: t.brackets.map((b) => ({ upTo: b.upTo, rate: b.ratePercent / 100 })),
+    deduction: t.standardDeduction,
+    gainsRate: t.capitalGainsPercent / 100,
+    rmdDivisors,
+  };
+}
+
+/** Age required minimum distributions start (SECURE 2.0): 75 for those born in 1960 or later, else 73. */
+function getRmdAge(birthDate) {
+  return birthDate && Number(birthDate.slice(0, 4)) >= 1960 ? 75 : 73;
+}
+
+/** Federal tax on ordinary income after the deduction, by bracket. Self-contained: it is also part of the Monte Carlo worker. */
+function incomeTax(tax, income) {
+  const taxable = Math.max(0, income - tax.deduction);
+  let owed = 0;
+  let lower = 0;
+  for (const b of tax.brackets) {
+    const upper = b.upTo == null ? Infinity : b.upTo;
+    if (taxable > lower) owed += (Math.min(taxable, upper) - lower) * b.rate;
+    lower = upper;
+  }
+  return owed;
+}
+
+/** Cost basis of an account in the base currency; holdings with an unknown basis count at their value (no gain). */
+function getAccountTaxBasis(account) {
+  if (!isSecurityType(account.type)) return getAccountBalance(account);
+  let total = 0;
+  for (const h of account.holdings) {
+    const value = getHoldingValueInAccountCurrency(h, account);
+    const basis = convertCurrency(getHoldingCostBasis(h, account.type), getHoldingCurrency(h, account), getAccountCurrency(account));
+    total += basis != null && !Number.isNaN(basis) ? basis : value || 0;
+  }
+  const converted = convertCurrency(total, getAccountCurrency(account), getBaseCurrency());
+  return converted != null ? converted : 0;
+}
+
+/**
+ * Average tax rate on tax-deferred money: the bracket tax on a year's withdrawal of your annual expenses (or 4% of the
+ * tax-deferred balances without expenses) divided by that withdrawal.
+ */
+function getDeferredTaxRate() {
+  const tax = buildTaxInput(0);
+  const expenses = Number(getForecastSettings().annualExpenses) || 0;
+  const deferred = state.accounts.filter((a) => getAccountTaxTreatment(a) === 'deferred').reduce((sum, a) => sum + getAccountBalance(a), 0);
+  const income = expenses > 0 ? expenses : deferred * 0.04;
+  return income > 0 ? incomeTax(tax, income) / income : 0;
+}
+
+/**
+ * Net worth after the tax due if everything were withdrawn: tax-deferred balances less the average deferred rate,
+ * taxable accounts less capital gains tax on their unrealized gains; Roth and HSA count in full, debt is subtracted.
+ */
+function getAfterTaxNetWorth() {
+  const deferredRate = getDeferredTaxRate();
+  const gainsRate = getTaxSettings().capitalGainsPercent / 100;
+  let total = 0;
+  for (const a of state.accounts) {
+    const bal = getAccountBalance(a);
+    const treatment = getAccountTaxTreatment(a);
+    if (a.type === 'Debt') total -= bal;
+    else if (treatment === 'deferred') total += bal * (1 - deferredRate);
+    else if (treatment === 'taxable') total += bal - gainsRate * Math.max(0, bal - getAccountTaxBasis(a));
+    else total += bal;
+  }
+  return total;
+}
+
+/** Fill the bracket table, deduction and capital gains rate. */
+function renderTaxSettings() {
+  const t = getTaxSettings();
+  const list = document.getElementById('tax-bracket-list');
+  if (list) {
+    let lower = 0;
+    list.innerHTML = t.brackets.map((b, i) => {
+      const from = formatMoney(lower);
+      lower = b.upTo == null ? lower : b.upTo;
+      return `
+      <div class="grid grid-cols-[1fr_1fr_1fr_auto] items-center gap-2" data-bracket-index="${i}">
+        <span class="text-xs text-white/50">From ${from}</span>
+        <input type="number" min="0" step="1" value="${b.upTo ?? ''}" placeholder="No limit" data-bracket-field="upTo" aria-label="Up to" class="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-white text-sm focus:border-primary focus:ring-1 focus:ring-primary"/>
+        <input type="number" min="0" max="100" step="0.1" value="${b.ratePercent}" data-bracket-field="ratePercent" aria-label="Rate (%)" class="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-white text-sm focus:border-primary focus:ring-1 focus:ring-primary"/>
+        <button type="button" data-bracket-remove class="text-xs font-semibold text-white/50 hover:text-red-400"${t.brackets.length < 2 ? ' disabled' : ''}>Remove</button>
+      </div>`;
+    }).join('');
+  }
+  const set = (elId, value) => {
+    const el = document.getElementById(elId);
+    if (el && document.activeElement !== el) el.value = value;
+  };
+  set('tax-standard-deduction', String(t.standardDeduction));
+  set('tax-capital-gains', String(t.capitalGainsPercent));
+  const rmdEl = document.getElementById('tax-rmd-note');
+  if (rmdEl) {
+    const birthDate = getProfile().birthDate;
+    rmdEl.textContent = birthDate
+      ? `Required minimum distributions from tax-deferred accounts start at ${getRmdAge(birthDate)} (${dateAtAge(birthDate, getRmdAge(birthDate)).slice(0, 4)}).`
+      : 'Add your birthdate to the profile to include required minimum distributions.';
+  }
+}
+
+/** Save tax settings and refresh what depends on them. */
+function saveTaxSettings(tax) {
+  const settings = getForecastSettings();
+  settings.tax = tax;
+  saveForecastSettings(settings);
+  renderTaxSettings();
+  renderSummaryCards();
+  updateForecastChart();
+}
+
+/** Save one bracket field, one bracket removal (field 'remove') or a new bracket above the last limit (index null). */
+function saveTaxBracket(index, field, value) {
+  const t = getTaxSettings();
+  if (index == null) {
+    const last = t.brackets[t.brackets.length - 1];
+    const prev = t.brackets[t.brackets.length - 2];
+    last.upTo = (prev && prev.upTo != null ? prev.upTo : 0) + 100000;
+    t.brackets.push({ upTo: null, ratePercent: last.ratePercent });
+  } else if (field === 'remove') {
+    t.brackets.splice(index, 1);
+    t.brackets[t.brackets.length - 1].upTo = null;
+  } else {
+    const num = parseFloat(value);
+    if (field === 'upTo') t.brackets[index].upTo = Number.isNaN(num) ? null : num;
+    else t.brackets[index].ratePercent = Number.isNaN(num) ? 0 : num;
+  }
+  saveTaxSettings(t);
+}
+
+// ——— Retirement drawdown ———
+
+/** Withdrawal strategies (forecastSettings.drawdown.strategy) with the explanation shown under the picker. */
+const DRAWDOWN_STRATEGIES = {
+  constant: {
+    name: 'Constant dollar (4% rule)',
+    description: 'Spend your projected expenses at retirement (or withdraw the withdrawal rate × the portfolio if no expenses are set), then raise it every year with expense growth. Income streams pay part of it once they start.',
+  },
+  percent: {
+    name: 'Percent of portfolio',
+    description: 'Withdraw the withdrawal rate × the portfolio every year. Spending follows the markets, so it never runs out but can fall.',
+  },
+  guardrails: {
+    name: 'Guyton-Klinger guardrails',
+    description: 'Start like constant dollar. Skip the yearly raise after a losing year, cut spending 10% when the withdrawal rate drifts 20% above where it started and raise it 10% when it drifts 20% below.',
+  },
+  vpw: {
+    name: 'Variable percentage (VPW)',
+    description: 'Withdraw the percentage that would spend the portfolio down evenly by your life expectancy (or the end of the forecast without a birthdate) at its expected real return. The percentage rises every year.',
+  },
+};
+
+/** Drawdown settings (forecastSettings.drawdown) with defaults: no start date means no withdrawals. */
+function getDrawdownSettings() {
+  const d = getForecastSettings().drawdown || {};
+  const rate = Number(d.ratePercent);
+  return {
+    startDate: typeof d.startDate === 'string' && d.startDate ? d.startDate : null,
+    strategy: DRAWDOWN_STRATEGIES[d.strategy] ? d.strategy : 'constant',
+    ratePercent: Number.isFinite(rate) && rate > 0 && d.ratePercent !== '' && d.ratePercent != null ? rate : 4,
+  };
+}
+
+/**
+ * Projection input: each account's tax treatment, starting balance and cost basis (base currency), monthly
+ * contribution and how many months it is paid, and mean return; the tax rules; plus the drawdown plan when a retirement start date is set. The plan ends (endMonth) at the
+ * profile's life expectancy, else with the forecast; VPW assumes the asset-weighted mean return less expense growth.
+ * income[m] (null without income streams) is their annual total in month m.
+ */
+function buildProjectionInput() {
+  const settings = getForecastSettings();
+  const horizon = settings.horizonYears || 30;
+  const accounts = state.accounts.map((a) => {
+    const acc = settings.accounts[a.id] || {};
+    const schedule = getContributionSchedule(a.id, horizon);
+    return {
+      isDebt: a.type === 'Debt',
+      treatment: getAccountTaxTreatment(a),
+      balance: getAccountBalance(a),
+      basis: getAccountTaxTreatment(a) === 'taxable' ? getAccountTaxBasis(a) : 0,
+      monthly: a.type === 'Debt' ? getDebtMonthlyPayment(a.id) : Number(acc.monthlyContribution) || 0,
+      monthlyByYear: schedule ? schedule.employee.map((v, i) => (v + schedule.employer[i]) / 12) : null,
+      contributionMonths: getContributionMonthsUpToYear(a.id, horizon),
+      mean: a.type === 'Debt' ? loanEffectiveAnnualPercent(acc.annualReturnPercent) : Number(acc.annualReturnPercent) || 0,
+    };
+  });
+  const dd = getDrawdownSettings();
+  let drawdown = null;
+  if (dd.startDate) {
+    const streams = getIncomeStreams().map((x) => [x, getIncomeStreamSchedule(x)]);
+    const startMonth = monthsUntil(dd.startDate);
+    const growth = Number(settings.annualExpenseGrowthPercent) || 0;
+    const birthDate = getProfile().birthDate;
+    drawdown = {
+      startMonth,
+      endMonth: birthDate ? monthsUntil(dateAtAge(birthDate, getProfile().lifeExpectancy)) : horizon * 12,
+      strategy: dd.strategy,
+      rate: dd.ratePercent,
+      initial: settings.annualExpenses > 0 ? getProjectedExpenses(startMonth / 12) : null,
+      growth,
+      vpwReturn: getExpectedPortfolioReturn() - growth,
+      income: streams.length
+        ? Array.from({ length: horizon * 12 }, (_, m) => streams.reduce((sum, [x, when]) => sum + incomeStreamAmountInMonth(x, when, m), 0))
+        : null,
+    };
+  }
+  return { horizon, accounts, drawdown, tax: buildTaxInput(horizon) };
+}
+
+/**
+ * One year's withdrawal under the plan's strategy, decided at each anniversary of the retirement start. c is
+ * { year (0 = first year of retirement), portfolio, previous (last year's withdrawal), initialRate, lastReturn, yearsLeft }.
+ * Self-contained: it is also part of the Monte Carlo worker.
+ */
+function planWithdrawal(plan, c) {
+  const rate = plan.rate / 100;
+  const raise = 1 + plan.growth / 100;
+  if (plan.strategy === 'percent') return c.portfolio * rate;
+  if (plan.strategy === 'vpw') {
+    const r = plan.vpwReturn / 100;
+    const n = Math.max(1, Math.ceil(c.yearsLeft - 1e-9));
+    return c.portfolio * (Math.abs(r) < 1e-9 ? 1 / n : r / (1 - Math.pow(1 + r, -n)));
+  }
+  if (c.year === 0) return plan.initial != null ? plan.initial : c.portfolio * rate;
+  if (plan.strategy !== 'guardrails') return c.previous * raise;
+  const current = c.portfolio > 0 ? c.previous / c.portfolio : Infinity;
+  let w = c.lastReturn < 0 && current > c.initialRate ? c.previous : c.previous * raise;
+  const after = c.portfolio > 0 ? w / c.portfolio : Infinity;
+  if (after > c.initialRate * 1.2 && c.yearsLeft > 15) w *= 0.9; // capital preservation (not in the last 15 years)
+  else if (after < c.initialRate * 0.8) w *= 1.1; // prosperity
+  return w;
+}
+
+/**
+ * One projection path, month by month: growth, contributions for each account's contributionMonths (monthlyByYear
+ * when salary, step-ups, limits or an employer match make them vary by year), then (with a
+ * drawdown plan) the year's withdrawal taken in monthly slices, pro rata from the asset accounts. When the plan spends
+ * set expenses (constant dollar and guardrails), income streams pay part of it and the rest is withdrawn, grossed up
+ * for tax. Withdrawals are taxed by account treatment (input.tax): tax-deferred money as ordinary income, the gain share
+ * of taxable money at the capital gains rate, Roth and HSA money not at all. Once required minimum distributions apply,
+ * any shortfall in the year's tax-deferred withdrawals is taken at year end, taxed, and the rest moved to the taxable
+ * accounts (or a cash bucket counted in totals when there are none). logReturn(y, i) is account i's continuously compounded return in year y. Self-contained apart from
+ * incomeTax: both are also part of the Monte Carlo worker.
+ * Returns { balances (per year, per account; debt = amount owed), totals (net worth per year), withdrawals (per year,
+ * including their tax), taxes (per year), rmds (per year: tax-deferred money distributed beyond the withdrawals),
+ * rmdCash (per year: the cash bucket's balance),
+ * startPortfolio and firstWithdrawal (assets and the first year's withdrawal when drawdown began, or null),
+ * depletedYear (year the assets ran out, or null) }.
+ */
+function simulatePortfolioPath(input, logReturn) {
+  const { horizon, tax } = input;
+  const count = input.accounts.length;
+  // Without a taxable account, distributed RMDs land in a cash bucket (no return) so they stay in net worth
+  const needsBucket = !!tax && tax.rmdDivisors.some(Boolean) && !input.accounts.some((a) => a.treatment === 'taxable');
+  const accounts = needsBucket
+    ? input.accounts.concat([{ isDebt: false, treatment: 'taxable', balance: 0, basis: 0, monthly: 0, monthlyByYear: null, contributionMonths: 0 }])
+    : input.accounts;
+  const plan = input.drawdown;
+  const spendsExpenses = !!plan && plan.initial != null && (plan.strategy === 'constant' || plan.strategy === 'guardrails');
+  const b = accounts.map((a) => a.balance);
+  const basis = accounts.map((a) => (a.treatment === 'taxable' ? a.basis : 0));
+  const netWorth = () => b.reduce((sum, v, i) => sum + (accounts[i].isDebt ? -v : v), 0);
+  const sumOf = (treatment) => b.reduce((sum, v, i) => sum + (accounts[i].treatment === treatment && v > 0 ? v : 0), 0);
+  const balances = [b.slice(0, count)];
+  const totals = [netWorth()];
+  const withdrawals = [0];
+  const taxes = [0];
+  const rmds = [0];
+  const rmdCash = [0];
+  let annual = 0;
+  let initialRate = 0;
+  let lastPortfolio = 0;
+  let startPortfolio = null;
+  let firstWithdrawal = null;
+  let depletedYear = null;
+  // Shares of the portfolio taxed as ordinary income and as capital gains, set at each anniversary of the plan
+  let deferredShare = 0;
+  let gainShare = 0;
+  const taxOn = (gross) => (tax ? incomeTax(tax, gross * deferredShare) + tax.gainsRate * gross * gainShare : 0);
+  const grossUp = (net) => {
+    if (!tax || net <= 0) return Math.max(0, net);
+    let lo = net;
+    let hi = net * 2;
+    while (hi - taxOn(hi) < net && hi < net * 64) hi *= 2;
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      if (mid - taxOn(mid) < net) lo = mid;
+      else hi = mid;
+    }
+    return hi;
+  };
+  let need = null;
+  let gross = 0;
+  for (let y = 1; y <= horizon; y++) {
+    const growth = accounts.map((a, i) => (i < count ? Math.exp(logReturn(y, i) / 12) : 1));
+    const divisor = tax && tax.rmdDivisors[y];
+    const rmdDue = divisor ? sumOf('deferred') / divisor : 0;
+    let deferredTaken = 0;
+    let withdrawn = 0;
+    let taxed = 0;
+    let distributed = 0;
+    for (let month = (y - 1) * 12; month < y * 12; month++) {
+      let assets = 0;
+      for (let i = 0; i < accounts.length; i++) {
+        const a = accounts[i];
+        b[i] *= growth[i];
+        if (month < a.contributionMonths) {
+          const monthly = a.monthlyByYear ? a.monthlyByYear[y - 1] : a.monthly;
+          b[i] += a.isDebt ? -monthly : monthly;
+          if (a.treatment === 'taxable') basis[i] += monthly;
+        }
+        if (a.isDebt) b[i] = Math.max(0, b[i]);
+        else if (b[i] > 0) assets += b[i];
+      }
+      if (plan && month >= plan.startMonth) {
+        const elapsed = month - plan.startMonth;
+        if (elapsed % 12 === 0) {
+          const year = elapsed / 12;
+          if (year === 0) startPortfolio = assets;
+          const lastReturn = year === 0 || lastPortfolio <= 0 ? 0 : (assets + annual) / lastPortfolio - 1;
+          annual = planWithdrawal(plan, { year, portfolio: assets, previous: annual, initialRate, lastReturn, yearsLeft: (plan.endMonth - month) / 12 });
+          if (year === 0) initialRate = assets > 0 ? annual / assets : 0;
+          lastPortfolio = assets;
+          deferredShare = assets > 0 ? sumOf('deferred') / assets : 0;
+          gainShare = assets > 0 ? b.reduce((sum, v, i) => sum + (accounts[i].treatment === 'taxable' && v > 0 ? Math.max(0, v - basis[i]) : 0), 0) / assets : 0;
+          need = null;
+        }
+        const spending = spendsExpenses ? Math.max(0, annual - (plan.income ? plan.income[month] : 0)) : annual;
+        if (spending !== need) {
+          need = spending;
+          gross = spendsExpenses ? grossUp(need) : need;
+        }
+        if (firstWithdrawal == null) firstWithdrawal = gross;
+        const take = Math.min(gross / 12, assets);
+        if (take > 0) {
+          for (let i = 0; i < accounts.length; i++) {
+            if (accounts[i].isDebt || b[i] <= 0) continue;
+            const part = take * b[i] / assets;
+            if (accounts[i].treatment === 'taxable') basis[i] *= 1 - part / b[i];
+            if (accounts[i].treatment === 'deferred') deferredTaken += part;
+            b[i] -= part;
+          }
+          taxed += gross > 0 ? take * taxOn(gross) / gross : 0;
+        }
+        withdrawn += take;
+        if (depletedYear == null && gross > 0 && assets - take <= 1e-6) depletedYear = y;
+      }
+      if (month % 12 === 11 && rmdDue > deferredTaken) {
+        const deferred = sumOf('deferred');
+        const extra = Math.min(rmdDue - deferredTaken, deferred);
+        if (extra > 0) {
+          const due = incomeTax(tax, deferredTaken + extra) - incomeTax(tax, deferredTaken);
+          const taxable = accounts.map((a, i) => i).filter((i) => accounts[i].treatment === 'taxable');
+          const taxableTotal = sumOf('taxable');
+          for (let i = 0; i < accounts.length; i++) {
+            if (accounts[i].treatment === 'deferred' && b[i] > 0) b[i] -= extra * b[i] / deferred;
+          }
+          for (const i of taxable) {
+            const part = (extra - due) * (taxableTotal > 0 ? Math.max(0, b[i]) / taxableTotal : 1 / taxable.length);
+            b[i] += part;
+            basis[i] += part;
+          }
+          taxed += due;
+          distributed += extra;
+        }
+      }
+    }
+    balances.push(b.slice(0, count));
+    totals.push(netWorth());
+    withdrawals.push(withdrawn);
+    taxes.push(taxed);
+    rmds.push(distributed);
+    rmdCash.push(needsBucket ? b[count] : 0);
+  }
+  return { balances, totals, withdrawals, taxes, rmds, rmdCash, startPortfolio, firstWithdrawal, depletedYear };
+}
+
+/** The path with every account earning exactly its mean return. */
+function runFixedReturnPath(input) {
+  const rates = input.accounts.map((a) => Math.log(Math.max(1e-9, 1 + a.mean / 100)));
+  return simulatePortfolioPath(input, (y, i) => rates[i]);
+}
+
+/**
+ * Whether projections need the year-by-year path: a retirement start date, contributions that vary by year, or a
+ * tax-deferred balance reaching RMD age within the forecast.
+ */
+function isProjectedYearByYear() {
+  return cachedForForecast('yearByYear', () => {
+    if (getDrawdownSettings().startDate) return true;
+    if (state.accounts.some((a) => getContributionSchedule(a.id))) return true;
+    const birthDate = getProfile().birthDate;
+    if (!birthDate || !state.accounts.some((a) => getAccountTaxTreatment(a) === 'deferred' && getAccountBalance(a) > 0)) return false;
+    return monthsUntil(dateAtAge(birthDate, getRmdAge(birthDate))) < (getForecastSettings().horizonYears || 30) * 12;
+  });
+}
+
+/** Fixed-return projection for the current inputs, run once per forecast change since the chart, milestones and export ask for it account by account. */
+function getProjection() {
+  return cachedForForecast('projection', () => runFixedReturnPath(buildProjectionInput()));
+}
+
+/**
+ * Highest first-year constant-dollar spending (rising with expense growth, partly paid by income streams) that lasts
+ * to the end of the forecast, found by bisection. Returns { amount, startPortfolio, ratePercent } or null without a retirement start inside the horizon.
+ */
+function getSustainableSpending() {
+  const input = buildProjectionInput();
+  if (!input.drawdown || input.drawdown.startMonth >= input.horizon * 12) return null;
+  const run = (initial) => runFixedReturnPath(Object.assign({}, input, {
+    drawdown: Object.assign({}, input.drawdown, { strategy: 'constant', initial }),
+  }));
+  const startPortfolio = run(0).startPortfolio;
+  if (!(startPortfolio > 0)) return null;
+  let lo = 0;
+  let hi = startPortfolio + Math.max(0, ...(input.drawdown.income || []));
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (run(mid).depletedYear == null) lo = mid;
+    else hi = mid;
+  }
+  return { amount: lo, startPortfolio, ratePercent: (lo / startPortfolio) * 100 };
+}
+
+/** Fill the drawdown settings (start date, strategy, withdrawal rate). */
+function renderDrawdownSettings() {
+  const dd = getDrawdownSettings();
+  const set = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && document.activeElement !== el) el.value = value;
+  };
+  set('drawdown-start-date', dd.startDate || '');
+  set('drawdown-strategy', dd.strategy);
+  set('drawdown-rate', String(dd.ratePercent));
+  const hint = document.getElementById('drawdown-strategy-hint');
+  if (hint) hint.textContent = DRAWDOWN_STRATEGIES[dd.strategy].description;
+  renderDrawdownSummary();
+}
+
+/** First-year withdrawal, the year money runs out (or that it lasts) and the sustainable spending level. */
+function renderDrawdownSummary() {
+  const el = document.getElementById('drawdown-summary');
+  if (!el) return;
+  const dd = getDrawdownSettings();
+  const horizon = getForecastSettings().horizonYears || 30;
+  const thisYear = new Date().getFullYear();
+  if (!dd.startDate) {
+    el.innerHTML = '<p class="text-white/50">Set a retirement start date to draw your expenses from your accounts.</p>';
+    return;
+  }
+  const projection = state.accounts.length ? getProjection() : null;
+  if (!projection || projection.startPortfolio == null) {
+    el.innerHTML = `<p class="text-white/50">Retirement starts after the ${horizon}-year forecast; raise the horizon to see withdrawals.</p>`;
+    return;
+  }
+  const startYear = new Date(dd.startDate + 'T12:00:00').getFullYear();
+  const birthDate = getProfile().birthDate;
+  const ageSuffix = (y) => (birthDate ? ` (age ${ageAt(birthDate, y)})` : '');
+  const atStart = (amount) => formatMoneyFull(toDisplayDollars(amount, buildProjectionInput().drawdown.startMonth / 12));
+  const firstRate = projection.startPortfolio > 0 ? (projection.firstWithdrawal / projection.startPortfolio) * 100 : 0;
+  const lines = [`<p class="text-white/70">Withdrawals start in ${startYear} from ${atStart(projection.startPortfolio)} in assets: ${atStart(projection.firstWithdrawal)} in the first year (${firstRate.toFixed(1)}%, before tax).</p>`];
+  lines.push(projection.depletedYear != null
+    ? `<p class="font-bold text-red-400">Money runs out in ${thisYear + projection.depletedYear}${ageSuffix(projection.depletedYear)}.</p>`
+    : `<p class="font-bold text-primary">Money lasts through ${thisYear + horizon}${ageSuffix(horizon)} (end of forecast).</p>`);
+  const taxes = projection.taxes.reduce((sum, v, y) => sum + toDisplayDollars(v, y), 0);
+  if (taxes > 0) {
+    const rmdYear = projection.rmds.findIndex((v) => v > 0);
+    const rmdNote = rmdYear > 0 ? `; required minimum distributions add to withdrawals from ${thisYear + rmdYear}${ageSuffix(rmdYear)}` : '';
+    lines.push(`<p class="text-white/70">Taxes on withdrawals: ${formatMoneyFull(taxes)} through ${thisYear + horizon}${rmdNote}.</p>`);
+  }
+  const sustainable = getSustainableSpending();
+  if (sustainable) {
+    const fromIncome = getIncomeStreams().length ? ', including income streams' : '';
+    lines.push(`<p class="text-white/70">Sustainable spending: ${atStart(sustainable.amount)}/yr after tax from ${startYear}, rising with expense growth${fromIncome} (${sustainable.ratePercent.toFixed(1)}% of the portfolio).</p>`);
+  }
+  el.innerHTML = lines.join('');
+}
+
+/** Save one drawdown setting from its input and refresh what depends on it. */
+function saveDrawdownSetting(key, value) {
+  const settings = getForecastSettings();
+  settings.drawdown = Object.assign({}, settings.drawdown, { [key]: value });
+  saveForecastSettings(settings);
+  renderDrawdownSettings();
+  renderForecastAccountSettings();
+  renderHorizonMilestones();
+  updateForecastChart();
+}
+
+// ——— Monte Carlo ———
+
+/** Default annual volatility (standard deviation, %) by account type when an account sets none. */
+const MONTE_CARLO_VOLATILITY = { Cash: 0, Retirement: 15, Crypto: 60, Debt: 0 };
+const MONTE_CARLO_RUNS = [1000, 2000, 5000, 10000];
+
+/** Monte Carlo settings (forecastSettings.monteCarlo) with defaults filled in. */
+function getMonteCarloSettings() {
+  const mc = getForecastSettings().monteCarlo || {};
+  const runs = Number(mc.runs);
+  const correlation = Number(mc.correlation);
+  return {
+    runs: MONTE_CARLO_RUNS.includes(runs) ? runs : 2000,
+    correlation: Number.isFinite(correlation) && mc.correlation !== '' && mc.correlation != null ? Math.min(1, Math.max(0, correlation)) : 0.7,
+    volatility: Object.assign({}, MONTE_CARLO_VOLATILITY, mc.volatility || {}),
+    milestoneYear: Number(mc.milestoneYear) || null,
+  };
+}
+
+/** Annual volatility (%) for an account: its own setting, else the default for its type. */
+function getAccountVolatility(account) {
+  if (account.type === 'Debt') return 0;
+  const own = Number((getForecastSettings().accounts[account.id] || {}).volatilityPercent);
+  if (Number.isFinite(own) && own >= 0) return own;
+  return Number(getMonteCarloSettings().volatility[account.type]) || 0;
+}
+
+/** Simulation input: the projection input plus each account's volatility and each milestone's nominal target per year (null = unset). */
+function buildMonteCarloInput() {
+  const mc = getMonteCarloSettings();
+  const input = buildProjectionInput();
+  input.accounts.forEach((a, i) => { a.volatility = getAccountVolatility(state.accounts[i]); });
+  return Object.assign(input, {
+    runs: mc.runs,
+    correlation: mc.correlation,
+    seed: 20260101,
+    targets: getMilestoneSettings().list.map((m) => {
+      const perYear = [];
+      for (let y = 0; y <= input.horizon; y++) perYear.push(getMilestoneTargetAt(m, y));
+      return perYear;
+    }),
+  });
+}
+
+/**
+ * Run the simulation: simulatePortfolioPath per run (so withdrawals follow the drawdown plan) with a seeded PRNG and
+ * lognormal annual returns per account, one shared factor giving the pairwise correlation. Self-contained apart from
+ * simulatePortfolioPath, planWithdrawal and incomeTax (together they make up the Web Worker's source).
+ * Returns { percentiles: { p10, p50, p90 } (net worth per year), reachedBy: [per target: share of runs reached by each year],
+ * depleted: share of runs whose assets ran out }.
+ */
+function simulateMonteCarlo(input) {
+  const { accounts, horizon, runs, targets } = input;
+  const rho = Math.min(1, Math.max(0, Number(input.correlation) || 0));
+  let seed = input.seed >>> 0;
+  const random = () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const normal = () => {
+    let u = 0;
+    while (!u) u = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+  };
+  // Arithmetic mean m and volatility s → lognormal parameters with the same mean and variance
+  const params = accounts.map((a) => {
+    const m = a.mean / 100;
+    const s = a.volatility / 100;
+    const variance = Math.log(1 + (s * s) / ((1 + m) * (1 + m)));
+    return { mu: Math.log(Math.max(1e-9, 1 + m)) - variance / 2, sigma: Math.sqrt(variance) };
+  });
+  const totals = [];
+  for (let y = 0; y <= horizon; y++) totals.push(new Float64Array(runs));
+  const firstHit = targets.map(() => new Int32Array(runs).fill(-1));
+  let depleted = 0;
+  let common = 0;
+  // simulatePortfolioPath asks for every account's return year by year, account 0 first
+  const logReturn = (y, i) => {
+    if (i === 0) common = normal();
+    const z = Math.sqrt(rho) * common + Math.sqrt(1 - rho) * normal();
+    return params[i].mu + params[i].sigma * z;
+  };
+  for (let r = 0; r < runs; r++) {
+    const path = simulatePortfolioPath(input, logReturn);
+    if (path.depletedYear != null) depleted++;
+    for (let y = 0; y <= horizon; y++) {
+      const total = path.totals[y];
+      totals[y][r] = total;
+      for (let t = 0; t < targets.length; t++) {
+        if (firstHit[t][r] === -1 && targets[t][y] != null && total >= targets[t][y]) firstHit[t][r] = y;
+      }
+    }
   }
+  const percentiles = { p10: [], p50: [], p90: [] };
+  for (let y = 0; y <= horizon; y++) {
+    const sorted = totals[y].sort();
+    const at = (p) => sorted[Math.min(runs - 1, Math.floor(p * runs))];
+    percentiles.p10.push(at(0.1));
+    percentiles.p50.push(at(0.5));
+    percentiles.p90.push(at(0.9));
+  }
+  const reachedBy = firstHit.map((hits) => {
+    const counts = new Array(horizon + 1).fill(0);
+    hits.forEach((y) => { if (y >= 0) counts[y]++; });
+    let cumulative = 0;
+    return counts.map((c) => (cumulative += c) / runs);
+  });
+  return { percentiles, reachedBy, depleted: depleted / runs };
+}
 
-  const annualExpenses = Number(settings.annualExpenses) || 0;
-  if (annualExpenses > 0) {
-    const expData = [];
-    for (let y = 0; y <= horizon; y++) expData.push(getProjectedExpenses(y));
-    datasets.push({
-      label: 'Annual expenses (projected)',
-      data: expData,
-      borderColor: 'rgba(255,255,255,0.4)',
-      borderDash: [8, 4],
-      backgroundColor: 'transparent',
-      fill: false,
-      tension: 0.2,
-    });
+/** Cancels the run in progress; a new run calls it, since the old result would be discarded anyway. */
+let cancelMonteCarloRun = null;
+
+/**
+ * Run simulateMonteCarlo in a Web Worker built from its source; falls back to the main thread without Worker support.
+ * Resolves to null when a newer run replaces this one.
+ */
+function runMonteCarloInWorker(input) {
+  if (typeof Worker === 'undefined' || typeof URL.createObjectURL !== 'function') {
+    return Promise.resolve(simulateMonteCarlo(input));
   }
+  if (cancelMonteCarloRun) cancelMonteCarloRun();
+  return new Promise((resolve) => {
+    const source = [incomeTax, planWithdrawal, simulatePortfolioPath, simulateMonteCarlo].map((fn) => fn.toString()).join('\n') +
+      '\nself.onmessage = (e) => self.postMessage(simulateMonteCarlo(e.data));';
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    const finish = (result) => {
+      if (cancelMonteCarloRun === cancel) cancelMonteCarloRun = null;
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      resolve(result);
+    };
+    const cancel = () => finish(null);
+    cancelMonteCarloRun = cancel;
+    worker.onmessage = (e) => finish(e.data);
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      console.warn('Monte Carlo worker failed, running on the main thread', e.message);
+      finish(simulateMonteCarlo(input));
+    };
+    worker.postMessage(input);
+  });
+}
 
-  const ctx = canvas.getContext('2d');
-  forecastChartInstance = new Chart(ctx, {
-    type: 'line',
-    data: { labels, datasets },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      plugins: { legend: { position: 'top' } },
-      scales: {
-        x: {
-          grid: { color: 'rgba(255,255,255,0.06)' },
-          ticks: { color: 'rgba(255,255,255,0.6)', maxRotation: 45 },
-        },
-        y: {
-          grid: { color: 'rgba(255,255,255,0.06)' },
-          ticks: {
-            color: 'rgba(255,255,255,0.6)',
-            callback: (v) => (v >= 1e6 ? (v / 1e6).toFixed(1) + 'M' : v >= 1e3 ? (v / 1e3).toFixed(0) + 'k' : v),
-          },
-        },
-      },
-    },
+/** Latest simulation, keyed by its input so edits to balances or settings trigger a new run. */
+let monteCarlo = { key: null, result: null, running: false };
+
+/** Cached result for the current inputs, or null while a run (started here if needed) is in progress. */
+function getMonteCarloResult() {
+  if (!state.accounts.length) return null;
+  const input = buildMonteCarloInput();
+  const key = JSON.stringify(input);
+  if (monteCarlo.key === key) return monteCarlo.result;
+  monteCarlo = { key, result: null, running: true };
+  renderMonteCarloStatus();
+  runMonteCarloInWorker(input).then((result) => {
+    if (!result || monteCarlo.key !== key) return; // cancelled, or inputs changed while this run was going
+    monteCarlo = { key, result, running: false };
+    renderMonteCarloStatus();
+    renderHorizonMilestones();
+    if (getForecastChartMode() === 'montecarlo') updateForecastChart();
   });
+  return null;
+}
+
+function renderMonteCarloStatus() {
+  const el = document.getElementById('monte-carlo-status');
+  if (!el) return;
+  const { runs, correlation } = getMonteCarloSettings();
+  el.textContent = getForecastChartMode() !== 'montecarlo' ? '' : monteCarlo.running
+    ? 'Running ' + runs.toLocaleString() + ' simulations…'
+    : monteCarlo.result ? runs.toLocaleString() + ' simulations · correlation ' + correlation + ' · shaded band is the 10th–90th percentile' +
+      (getDrawdownSettings().startDate ? ' · money runs out in ' + Math.round(monteCarlo.result.depleted * 100) + '% of runs' : '') : '';
+}
+
+/** Fill the Monte Carlo settings row (shown with the Monte Carlo chart mode). */
+function renderMonteCarloSettings() {
+  const wrap = document.getElementById('monte-carlo-settings');
+  if (!wrap) return;
+  wrap.classList.toggle('hidden', getForecastChartMode() !== 'montecarlo');
+  const mc = getMonteCarloSettings();
+  const set = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && document.activeElement !== el) el.value = value;
+  };
+  set('monte-carlo-runs', String(mc.runs));
+  set('monte-carlo-correlation', String(mc.correlation));
+  set('monte-carlo-vol-retirement', String(mc.volatility.Retirement));
+  set('monte-carlo-vol-crypto', String(mc.volatility.Crypto));
+  set('monte-carlo-vol-cash', String(mc.volatility.Cash));
+  set('monte-carlo-milestone-year', mc.milestoneYear ? String(mc.milestoneYear) : '');
+  renderMonteCarloStatus();
+}
+
+/** Save one Monte Carlo setting from its input and refresh what depends on it. */
+function saveMonteCarloSetting(key, value) {
+  const settings = getForecastSettings();
+  const mc = Object.assign({}, settings.monteCarlo);
+  if (key.startsWith('volatility.')) mc.volatility = Object.assign({}, mc.volatility, { [key.slice(11)]: value });
+  else mc[key] = value;
+  settings.monteCarlo = mc;
+  saveForecastSettings(settings);
+  renderForecastAccountSettings();
+  renderHorizonMilestones();
+  updateForecastChart();
 }
 
 function showTab(tabId) {
@@ -1685,22 +6479,705 @@ function showTab(tabId) {
   }
 }
 
-// Load persisted state from localStorage if present
-function loadState() {
+// ——— Report exports ———
+
+/**
+ * Report sheets are { name, rows } where rows[0] is the header row. Numbers stay numbers (rounded to cents)
+ * so spreadsheets can total them; blanks are null.
+ */
+function roundCents(n) {
+  return n == null || Number.isNaN(n) ? null : Math.round(n * 100) / 100;
+}
+
+/** One row per holding: quantity, price, cost, market value and P/L in the holding's currency, plus value in base. */
+function buildHoldingsSheet() {
+  const base = getBaseCurrency();
+  const rows = [['Account', 'Type', 'Institution', 'Asset', 'Currency', 'Quantity', 'Price', 'Avg cost', 'Cost basis',
+    'Market value', 'P/L', 'P/L %', 'Market value (' + base + ')', 'Weight in account %']];
+  for (const account of state.accounts) {
+    const isSecurity = isSecurityType(account.type);
+    const accountTotal = Math.abs(getAccountBalanceNative(account));
+    for (const h of account.holdings) {
+      const currency = getHoldingCurrency(h, account);
+      const value = getHoldingValue(h, account.type);
+      const baseValue = value != null ? convertCurrency(value, currency, base) : null;
+      const pct = isSecurity ? getHoldingProfitLossPct(h, account.type) : null;
+      rows.push([
+        account.name,
+        account.type,
+        account.institution || '',
+        isSecurity ? h.ticker || '' : account.type,
+        currency,
+        isSecurity ? getHoldingQuantity(h) : null,
+        isSecurity ? getCurrentPrice(h) : null,
+        isSecurity ? roundCents(getPurchasePrice(h)) : null,
+        isSecurity ? roundCents(getHoldingCostBasis(h, account.type)) : null,
+        roundCents(account.type === 'Debt' && value != null ? -value : value),
+        isSecurity ? roundCents(getHoldingProfitLossDollar(h, account.type)) : null,
+        pct != null ? Math.round(pct * 100) / 100 : null,
+        roundCents(account.type === 'Debt' && baseValue != null ? -baseValue : baseValue),
+        accountTotal > 0 ? Math.round((getHoldingValueInAccountCurrency(h, account) || 0) / accountTotal * 10000) / 100 : null,
+      ]);
+    }
+  }
+  return { name: 'Holdings', rows };
+}
+
+/** One row per snapshot with each account's balance in its own column (accounts matched by id across snapshots). */
+function buildSnapshotsSheet() {
+  const history = getNetWorthHistory();
+  const columns = [];
+  const seen = {};
+  for (const s of history) {
+    for (const a of s.accounts || []) {
+      if (seen[a.id] == null) {
+        seen[a.id] = columns.length;
+        columns.push(a.name);
+      }
+    }
+  }
+  const rows = [['Date', 'Source', 'Currency', 'Total net worth'].concat(columns)];
+  for (const s of history) {
+    const balances = columns.map(() => null);
+    (s.accounts || []).forEach((a) => { balances[seen[a.id]] = roundCents(a.balance); });
+    const source = s.derived ? 'Derived' : s.source === 'auto' ? 'Auto' : 'Manual';
+    rows.push([s.date, source, s.currency || 'USD', roundCents(s.totalNetWorth)].concat(balances));
+  }
+  return { name: 'Snapshots', rows };
+}
+
+/**
+ * Year-by-year forecast per account: balance, cumulative contributions and cumulative interest, in the base currency
+ * (in today's dollars when the forecast is shown that way; the header says which).
+ */
+function buildForecastSheet() {
+  const settings = getForecastSettings();
+  const horizon = settings.horizonYears || 30;
+  const thisYear = new Date().getFullYear();
+  const unit = settings.realDollars ? ', today\'s dollars' : '';
+  const rows = [['Year', 'Calendar year', 'Account', 'Type', settings.realDollars ? 'Balance (today\'s dollars)' : 'Balance',
+    'Contributions (cumulative' + unit + ')', 'Employer match (cumulative' + unit + ')', 'Interest (cumulative' + unit + ')']];
+  for (let y = 0; y <= horizon; y++) {
+    const money = (amount) => roundCents(toDisplayDollars(amount, y));
+    for (const account of state.accounts) {
+      const balance = getProjectedAccountBalance(account.id, y);
+      rows.push([y, thisYear + y, account.name, account.type, money(account.type === 'Debt' ? -balance : balance),
+        money(getCumulativeContributions(account.id, y)), money(getCumulativeEmployerContributions(account.id, y)), money(getInterestEarnedAtYear(account.id, y))]);
+    }
+    rows.push([y, thisYear + y, 'Total net worth', '', money(getProjectedTotalNetWorth(y)), null, null, money(getTotalInterestEarnedAtYear(y))]);
+  }
+  return { name: 'Forecast', rows };
+}
+
+const REPORT_SHEETS = {
+  holdings: buildHoldingsSheet,
+  snapshots: buildSnapshotsSheet,
+  forecast: buildForecastSheet,
+};
+
+/** RFC 4180 CSV. Text that a spreadsheet would run as a formula (=, +, -, @) is prefixed with an apostrophe. */
+function toCSV(rows) {
+  return rows.map((row) => row.map((v) => {
+    if (v == null) return '';
+    if (typeof v === 'number') return String(v);
+    let s = String(v);
+    if (/^[=+\-@]/.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) || s !== s.trim() ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+/** CRC-32 (IEEE), as zip entries need it. */
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/** Uncompressed (stored) zip of [{ name, text }] — all an XLSX needs, without pulling in a library. */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.text);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true);
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014B50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    chunks.push(new Uint8Array(local.buffer), name, data);
+    central.push(new Uint8Array(entry.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+  const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  const parts = chunks.concat(central, [new Uint8Array(end.buffer)]);
+  const out = new Uint8Array(offset + centralSize + 22);
+  let at = 0;
+  for (const p of parts) {
+    out.set(p, at);
+    at += p.length;
+  }
+  return out;
+}
+
+function escapeXml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/** A1-style column letters for a 0-based index. */
+function xlsxColumn(index) {
+  let s = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+function buildXlsxSheetXml(sheet) {
+  const rows = sheet.rows.map((row, r) => '<row r="' + (r + 1) + '">' + row.map((v, c) => {
+    if (v == null || v === '') return '';
+    const ref = xlsxColumn(c) + (r + 1);
+    const style = r === 0 ? ' s="1"' : '';
+    if (typeof v === 'number') return '<c r="' + ref + '"' + style + '><v>' + v + '</v></c>';
+    return '<c r="' + ref + '" t="inlineStr"' + style + '><is><t xml:space="preserve">' + escapeXml(v) + '</t></is></c>';
+  }).join('') + '</row>').join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    '<sheetData>' + rows + '</sheetData></worksheet>';
+}
+
+/** Workbook bytes with one worksheet per sheet; the header row is bold and frozen. */
+function buildXlsx(sheets) {
+  const ns = 'http://schemas.openxmlformats.org/';
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="' + ns + 'package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map((s, i) => '<Override PartName="/xl/worksheets/sheet' + (i + 1) + '.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="' + ns + 'package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="' + ns + 'officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="' + ns + 'spreadsheetml/2006/main" xmlns:r="' + ns + 'officeDocument/2006/relationships"><sheets>' +
+        sheets.map((s, i) => '<sheet name="' + escapeXml(s.name.slice(0, 31)) + '" sheetId="' + (i + 1) + '" r:id="rId' + (i + 1) + '"/>').join('') +
+        '</sheets></workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="' + ns + 'package/2006/relationships">' +
+        sheets.map((s, i) => '<Relationship Id="rId' + (i + 1) + '" Type="' + ns + 'officeDocument/2006/relationships/worksheet" Target="worksheets/sheet' + (i + 1) + '.xml"/>').join('') +
+        '<Relationship Id="rId' + (sheets.length + 1) + '" Type="' + ns + 'officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>',
+    },
+    {
+      name: 'xl/styles.xml',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><styleSheet xmlns="' + ns + 'spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '</styleSheet>',
+    },
+  ].concat(sheets.map((s, i) => ({ name: 'xl/worksheets/sheet' + (i + 1) + '.xml', text: buildXlsxSheetXml(s) })));
+  return createZip(files);
+}
+
+/** Download one report as CSV. */
+function exportReportCSV(report) {
+  const sheet = REPORT_SHEETS[report]();
+  downloadFile('horizon60-' + report + '-' + new Date().toISOString().slice(0, 10) + '.csv', toCSV(sheet.rows), 'text/csv');
+}
+
+/** Download Holdings, Snapshots and Forecast as one workbook. */
+function exportReportXlsx() {
+  const sheets = Object.keys(REPORT_SHEETS).map((key) => REPORT_SHEETS[key]());
+  const blob = new Blob([buildXlsx(sheets)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  downloadFile('horizon60-report-' + new Date().toISOString().slice(0, 10) + '.xlsx', blob);
+}
+
+// ——— Schema version, migrations, backup & restore ———
+
+const ACCOUNTS_KEY = 'horizon60_accounts';
+const API_KEY_KEY = 'horizon60_apiKey';
+const SCHEMA_VERSION_KEY = 'horizon60_schemaVersion';
+const BACKUP_FORMAT = 'horizon60-backup';
+
+/**
+ * Migrations over the full data bundle { accounts, netWorthHistory, forecastSettings, preferences, fxRates, priceCache, profile }.
+ * MIGRATIONS[n] upgrades version n to n + 1; version 0 is data saved before versioning existed.
+ * Never edit a shipped migration — append a new one and SCHEMA_VERSION follows.
+ */
+const MIGRATIONS = [
+  // 0 → 1: security holdings store a per-unit purchasePrice instead of the legacy total costBasis
+  function migrateLegacyCostBasis(data) {
+    for (const a of data.accounts) {
+      if (!Array.isArray(a.holdings)) a.holdings = [];
+      for (const h of a.holdings) {
+        if (!h.id) h.id = id();
+        if (h.costBasis == null) continue;
+        const qty = Number(h.quantity) || 0;
+        if (h.purchasePrice == null && h.costBasis > 0 && qty > 0) h.purchasePrice = h.costBasis / qty;
+        delete h.costBasis;
+      }
+    }
+    return data;
+  },
+  // 1 → 2: security holdings keep a transaction ledger; the flat quantity/purchasePrice becomes an opening transfer-in
+  function migrateToTransactionLedger(data) {
+    for (const a of data.accounts) {
+      if (!isSecurityType(a.type)) continue;
+      for (const h of a.holdings) {
+        if (Array.isArray(h.transactions)) continue;
+        const qty = Number(h.quantity) || 0;
+        h.transactions = qty > 0 ? [{
+          id: id(),
+          type: 'transfer_in',
+          date: null,
+          quantity: qty,
+          price: h.purchasePrice != null && !Number.isNaN(h.purchasePrice) ? h.purchasePrice : null,
+          note: 'Opening balance',
+        }] : [];
+        delete h.quantity;
+        delete h.purchasePrice;
+      }
+    }
+    return data;
+  },
+  // 2 → 3: forecast settings hold named scenarios; the flat settings become the "Baseline" scenario
+  function migrateToForecastScenarios(data) {
+    data.forecastSettings = normalizeForecastDocument(data.forecastSettings);
+    return data;
+  },
+  // 3 → 4: contributions without a stop date used to stop on 2055-04-21; without a birthdate that date is now pinned
+  // on each asset account so existing forecasts don't change (new accounts contribute to the end of the horizon)
+  function migratePinnedContributionStopDate(data) {
+    if (data.profile.birthDate) return data;
+    // v3 data saved by hand or by an older build may still be flat, so normalize before walking the scenarios
+    data.forecastSettings = normalizeForecastDocument(data.forecastSettings);
+    for (const scenario of data.forecastSettings.scenarios) {
+      scenario.accounts = scenario.accounts && typeof scenario.accounts === 'object' ? scenario.accounts : {};
+      for (const a of data.accounts) {
+        if (a.type === 'Debt') continue;
+        const acc = scenario.accounts[a.id] = scenario.accounts[a.id] || {};
+        if (!acc.contributionStopDate) acc.contributionStopDate = '2055-04-21';
+      }
+    }
+    return data;
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+function readStoredJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    console.warn('Could not read ' + key, e);
+    return fallback;
+  }
+}
+
+/** Schema version of the data in localStorage (0 = unversioned legacy data). */
+function getStoredSchemaVersion() {
+  const v = parseInt(localStorage.getItem(SCHEMA_VERSION_KEY), 10);
+  return Number.isNaN(v) ? 0 : v;
+}
+
+/** Run every migration from fromVersion up to SCHEMA_VERSION. Mutates and returns data. */
+function migrateData(data, fromVersion) {
+  data.accounts = Array.isArray(data.accounts) ? data.accounts : [];
+  data.netWorthHistory = Array.isArray(data.netWorthHistory) ? data.netWorthHistory : [];
+  data.forecastSettings = data.forecastSettings && typeof data.forecastSettings === 'object' ? data.forecastSettings : {};
+  data.preferences = data.preferences && typeof data.preferences === 'object' ? data.preferences : {};
+  data.fxRates = data.fxRates && typeof data.fxRates === 'object' ? data.fxRates : {};
+  data.priceCache = data.priceCache && typeof data.priceCache === 'object' && !Array.isArray(data.priceCache) ? data.priceCache : {};
+  data.profile = data.profile && typeof data.profile === 'object' ? data.profile : {};
+  for (let v = Math.max(0, fromVersion); v < SCHEMA_VERSION; v++) {
+    data = MIGRATIONS[v](data) || data;
+  }
+  return data;
+}
+
+/** Everything that makes up a user's Horizon 60 data, as stored. */
+function readStoredData() {
+  const accounts = readStoredJSON(ACCOUNTS_KEY, []);
+  return {
+    accounts: Array.isArray(accounts) ? accounts : [],
+    netWorthHistory: getNetWorthHistory(),
+    forecastSettings: readForecastDocument(),
+    preferences: readStoredJSON(PREFERENCES_KEY, {}),
+    fxRates: getFxRates(),
+    priceCache: readStoredJSON(PRICE_CACHE_KEY, {}),
+    profile: readStoredJSON(PROFILE_KEY, {}),
+  };
+}
+
+function writeStoredData(data) {
+  state.accounts = data.accounts;
+  saveState();
+  saveNetWorthHistory(data.netWorthHistory);
+  writeForecastDocument(normalizeForecastDocument(data.forecastSettings));
+  savePreferences(data.preferences || {});
+  saveFxRates(data.fxRates || {});
+  state.priceCache = data.priceCache || {};
+  savePriceCache();
+  saveProfile(data.profile || {});
+  localStorage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+  queueRemoteSave('schemaVersion');
+}
+
+/** Trigger a browser download of text content. */
+function downloadFile(filename, content, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType || 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Versioned backup of all data. The Finnhub key is only included when includeApiKey is true. */
+function buildBackup(includeApiKey) {
+  const data = readStoredData();
+  data.accounts = state.accounts;
+  data.apiKey = includeApiKey ? state.apiKey || '' : null;
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data,
+  };
+}
+
+function exportBackup() {
+  const includeKey = !!state.apiKey && confirm('Include your Finnhub API key in the backup file?');
+  const backup = buildBackup(includeKey);
+  downloadFile('horizon60-backup-' + backup.exportedAt.slice(0, 10) + '.json', JSON.stringify(backup, null, 2), 'application/json');
+}
+
+/**
+ * Validate a parsed backup file and migrate it to the current schema.
+ * Throws an Error listing every problem found; returns the migrated data bundle.
+ */
+function parseBackup(obj) {
+  if (!obj || typeof obj !== 'object' || obj.format !== BACKUP_FORMAT) {
+    throw new Error('Not a Horizon 60 backup file.');
+  }
+  const version = obj.schemaVersion;
+  if (!Number.isInteger(version) || version < 0) throw new Error('Backup has no valid schema version.');
+  if (version > SCHEMA_VERSION) {
+    throw new Error('Backup was made by a newer version of Horizon 60 (schema ' + version + '). Update the app first.');
+  }
+  if (!obj.data || typeof obj.data !== 'object') throw new Error('Backup has no data.');
+  const data = migrateData(JSON.parse(JSON.stringify(obj.data)), version);
+  const problems = [];
+  data.accounts.forEach((a, i) => {
+    const where = 'Account ' + (i + 1) + (a && a.name ? ' (' + a.name + ')' : '');
+    if (!a || typeof a !== 'object') { problems.push(where + ': not an object'); return; }
+    if (!a.id) problems.push(where + ': missing id');
+    if (!a.name) problems.push(where + ': missing name');
+    if (!ACCOUNT_TYPES.includes(a.type)) problems.push(where + ': unknown type "' + a.type + '"');
+    if (!Array.isArray(a.holdings)) problems.push(where + ': holdings must be a list');
+  });
+  data.netWorthHistory.forEach((s, i) => {
+    if (!s || !/^\d{4}-\d{2}-\d{2}$/.test(s.date) || typeof s.totalNetWorth !== 'number') {
+      problems.push('Snapshot ' + (i + 1) + ': needs a YYYY-MM-DD date and a numeric total');
+    }
+  });
+  if (problems.length) throw new Error(problems.slice(0, 10).join('\n') + (problems.length > 10 ? '\n…and ' + (problems.length - 10) + ' more' : ''));
+  data.apiKey = typeof obj.data.apiKey === 'string' ? obj.data.apiKey : null;
+  return data;
+}
+
+/** Combine a restored bundle with current data: backup accounts/snapshots replace matching ids/dates; local-only items, local forecast settings (backup-only scenarios are added), preferences and rates are kept; the newer cached quote per ticker wins. */
+function mergeData(local, incoming) {
+  const accounts = local.accounts.slice();
+  for (const a of incoming.accounts) {
+    const i = accounts.findIndex((x) => x.id === a.id);
+    if (i === -1) accounts.push(a); else accounts[i] = a;
+  }
+  const byDate = {};
+  for (const s of local.netWorthHistory) byDate[s.date] = s;
+  for (const s of incoming.netWorthHistory) byDate[s.date] = s;
+  const netWorthHistory = Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+  // A v3 backup is not migrated by parseBackup, so its forecast settings may still lack scenarios
+  const localForecast = normalizeForecastDocument(local.forecastSettings);
+  const incomingForecast = normalizeForecastDocument(incoming.forecastSettings);
+  const forecastSettings = Object.assign({}, incomingForecast, localForecast);
+  forecastSettings.scenarios = localForecast.scenarios.map((loc) => {
+    const inc = incomingForecast.scenarios.find((x) => x.id === loc.id);
+    return inc ? Object.assign({}, inc, loc, { accounts: Object.assign({}, inc.accounts, loc.accounts) }) : loc;
+  });
+  for (const inc of incomingForecast.scenarios) {
+    if (!forecastSettings.scenarios.some((x) => x.id === inc.id)) forecastSettings.scenarios.push(inc);
+  }
+  const preferences = Object.assign({}, incoming.preferences, local.preferences);
+  const fxRates = Object.assign({}, incoming.fxRates, local.fxRates);
+  // Per ticker the newer quote wins
+  const priceCache = Object.assign({}, local.priceCache);
+  for (const [symbol, entry] of Object.entries(incoming.priceCache || {})) {
+    if (!priceCache[symbol] || (entry && entry.at > priceCache[symbol].at)) priceCache[symbol] = entry;
+  }
+  const profile = Object.assign({}, incoming.profile, local.profile);
+  return { accounts, netWorthHistory, forecastSettings, preferences, fxRates, priceCache, profile, apiKey: local.apiKey || incoming.apiKey };
+}
+
+/** Backup parsed by the restore file picker, applied once the user picks a mode. */
+let pendingRestore = null;
+
+function openRestoreModal(backup, data) {
+  pendingRestore = data;
+  const summaryEl = document.getElementById('restore-summary');
+  if (summaryEl) {
+    const when = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'unknown date';
+    summaryEl.textContent = data.accounts.length + ' account(s), ' + data.netWorthHistory.length + ' snapshot(s). Exported ' + when +
+      ' (schema v' + backup.schemaVersion + (backup.schemaVersion < SCHEMA_VERSION ? ', will be upgraded to v' + SCHEMA_VERSION : '') + ').';
+  }
+  const replaceEl = document.querySelector('input[name="restore-mode"][value="replace"]');
+  if (replaceEl) replaceEl.checked = true;
+  openModal('modal-restore-backup');
+}
+
+function applyRestore(mode) {
+  if (!pendingRestore) return;
+  const local = readStoredData();
+  local.accounts = state.accounts;
+  local.apiKey = state.apiKey;
+  const data = mode === 'merge' ? mergeData(local, pendingRestore) : pendingRestore;
+  writeStoredData(data);
+  clearLastImport(); // its snapshots would overwrite the restored accounts
+  if (data.apiKey) {
+    state.apiKey = data.apiKey;
+    localStorage.setItem(API_KEY_KEY, data.apiKey);
+  }
+  pendingRestore = null;
+  state.expandedAccountId = null;
+  closeModal('modal-restore-backup', document.body);
+  render();
+  const activeTab = document.querySelector('.tab-btn.bg-primary')?.dataset.tab;
+  if (activeTab && activeTab !== 'overview') showTab(activeTab);
+}
+
+// ——— Server persistence (Clerk app) ———
+// When the dashboard is served by clerk-nextjs under /wealth and a user is signed in, data is stored
+// per user behind /api/portfolio. localStorage stays the working copy; the server copy wins on load.
+
+const PORTFOLIO_API = '/api/portfolio';
+
+/** API resource name -> localStorage key (must match PORTFOLIO_RESOURCES in clerk-nextjs). */
+const REMOTE_RESOURCES = {
+  accounts: ACCOUNTS_KEY,
+  netWorthHistory: NET_WORTH_HISTORY_KEY,
+  forecastSettings: FORECAST_SETTINGS_KEY,
+  preferences: PREFERENCES_KEY,
+  fxRates: FX_RATES_KEY,
+  priceCache: PRICE_CACHE_KEY,
+  profile: PROFILE_KEY,
+  schemaVersion: SCHEMA_VERSION_KEY,
+};
+
+const remoteState = {
+  enabled: false, // true once the server answered for a signed-in user
+  lastSynced: {}, // resource -> JSON string last sent or received
+  timers: {},
+};
+
+/** Only the Clerk app serves the API; a plain `npx serve .` stays local-only. */
+function isRemoteAvailable() {
+  return window.location.pathname.indexOf('/wealth') !== -1 && typeof fetch === 'function';
+}
+
+/** Load the signed-in user's data from the server into localStorage, then re-render. Falls back silently to local data. */
+async function loadRemoteState() {
+  if (!isRemoteAvailable()) return;
+  let doc;
   try {
-    const raw = localStorage.getItem('horizon60_accounts');
-    if (raw) {
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) state.accounts = parsed;
+    const res = await fetch(PORTFOLIO_API, { credentials: 'same-origin', headers: { Accept: 'application/json' } });
+    if (!res.ok) {
+      // 401 when signed out: keep using localStorage, with any portfolio set aside at a first sign-in back in place
+      if (res.status === 401 && restoreSetAsideLocalData()) {
+        loadState();
+        render();
+      }
+      return;
+    }
+    doc = await res.json();
+  } catch (e) {
+    console.warn('Could not load portfolio from server; using local data', e);
+    return;
+  }
+  const hasServerData = Object.keys(REMOTE_RESOURCES).some((r) => doc && doc[r] != null);
+  remoteState.enabled = true;
+  if (!hasServerData) {
+    // First sign-in: this browser's data may belong to someone else (shared browser), so ask before uploading it.
+    const history = readStoredJSON(NET_WORTH_HISTORY_KEY, []);
+    const hasLocalData = state.accounts.length > 0 || (Array.isArray(history) && history.length > 0);
+    if (hasLocalData && !confirm(`This browser has a portfolio saved locally (${state.accounts.length} account${state.accounts.length === 1 ? '' : 's'}) that is not in your account yet.\n\nOK copies it into your account. Cancel starts your account empty and keeps the local portfolio in this browser for when you are signed out.`)) {
+      setAsideLocalData();
+      loadState();
+      render();
+      return;
+    }
+    Object.keys(REMOTE_RESOURCES).forEach((r) => queueRemoteSave(r));
+    return;
+  }
+  const localAccounts = localStorage.getItem(ACCOUNTS_KEY);
+  for (const [resource, key] of Object.entries(REMOTE_RESOURCES)) {
+    // Data uploaded before versioning has no schemaVersion: treat it as version 0 so loadState migrates it.
+    if (resource === 'schemaVersion' && doc[resource] == null) doc[resource] = 0;
+    if (doc[resource] == null) continue;
+    const json = JSON.stringify(doc[resource]);
+    remoteState.lastSynced[resource] = json;
+    try {
+      localStorage.setItem(key, json);
+    } catch (e) {
+      console.warn('Could not cache ' + resource + ' locally', e);
     }
+  }
+  loadState();
+  // Accounts changed on another device: the last import's snapshots would overwrite them
+  if (doc.accounts != null && JSON.stringify(doc.accounts) !== localAccounts) clearLastImport();
+  render();
+  const activeTab = document.querySelector('.tab-btn.bg-primary')?.dataset.tab;
+  if (activeTab && activeTab !== 'overview') showTab(activeTab);
+  fetchMissingFxRates();
+  if (!refreshStalePrices()) takeScheduledSnapshot(); // otherwise taken once the sync finishes
+}
+
+/** Local copy kept aside when someone signing in for the first time chose not to upload this browser's portfolio. */
+const SET_ASIDE_LOCAL_DATA_KEY = 'horizon60_signedOutData';
+
+/** Move this browser's synced data under SET_ASIDE_LOCAL_DATA_KEY, leaving the working copy empty. */
+function setAsideLocalData() {
+  const saved = {};
+  for (const key of Object.values(REMOTE_RESOURCES)) {
+    const json = localStorage.getItem(key);
+    if (json != null) saved[key] = json;
+  }
+  try {
+    localStorage.setItem(SET_ASIDE_LOCAL_DATA_KEY, JSON.stringify(saved));
+    for (const key of Object.values(REMOTE_RESOURCES)) localStorage.removeItem(key);
+    localStorage.removeItem(LAST_IMPORT_KEY); // its snapshots are of the portfolio set aside
+  } catch (e) {
+    console.warn('Could not set aside local data', e);
+  }
+}
+
+/** Put data set aside by setAsideLocalData back as the working copy. Returns whether there was any. */
+function restoreSetAsideLocalData() {
+  const saved = readStoredJSON(SET_ASIDE_LOCAL_DATA_KEY, null);
+  if (!saved || typeof saved !== 'object') return false;
+  try {
+    for (const key of Object.values(REMOTE_RESOURCES)) localStorage.removeItem(key);
+    for (const [key, json] of Object.entries(saved)) if (Object.values(REMOTE_RESOURCES).includes(key)) localStorage.setItem(key, json);
+    localStorage.removeItem(SET_ASIDE_LOCAL_DATA_KEY);
+    return true;
+  } catch (e) {
+    console.warn('Could not restore local data', e);
+    return false;
+  }
+}
+
+/** Debounced upload of one resource (read from localStorage at send time). No-op unless signed in. */
+function queueRemoteSave(resource) {
+  if (!remoteState.enabled || !REMOTE_RESOURCES[resource]) return;
+  clearTimeout(remoteState.timers[resource]);
+  remoteState.timers[resource] = setTimeout(() => pushRemoteResource(resource), 800);
+}
+
+async function pushRemoteResource(resource) {
+  const json = localStorage.getItem(REMOTE_RESOURCES[resource]);
+  if (json == null || json === remoteState.lastSynced[resource]) return;
+  try {
+    const res = await fetch(PORTFOLIO_API + '/' + encodeURIComponent(resource), {
+      method: 'PUT',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: json,
+    });
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    remoteState.lastSynced[resource] = json;
+  } catch (e) {
+    console.warn('Could not save ' + resource + ' to server', e);
+  }
+}
+
+// Load persisted state from localStorage if present, upgrading older data to the current schema
+function loadState() {
+  const version = getStoredSchemaVersion();
+  if (version > SCHEMA_VERSION) console.warn('Saved data is from a newer Horizon 60 (schema ' + version + ')');
+  try {
+    const data = readStoredData();
+    if (version < SCHEMA_VERSION) writeStoredData(migrateData(data, version));
+    else state.accounts = data.accounts;
   } catch (e) {
     console.warn('Could not load saved accounts', e);
   }
+  loadPriceCache();
+  loadLastImport();
 }
 
 function saveState() {
+  invalidateForecast();
   try {
-    localStorage.setItem('horizon60_accounts', JSON.stringify(state.accounts));
+    localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(state.accounts));
+    queueRemoteSave('accounts');
   } catch (e) {
     console.warn('Could not save accounts', e);
   }
@@ -1714,13 +7191,14 @@ function scheduleSave() {
 // Persist after any render that follows a state change
 const _render = render;
 render = function() {
+  invalidateForecast();
   _render();
   scheduleSave();
 };
 
 // Expose for Clerk/embedding: open Add Account modal from outside
 window.openAddAccountModal = function () {
-  openModal('modal-add-account');
+  openAddAccountModal();
 };
 
 // Run from form onsubmit so Add Account works even if init() listeners attach late
@@ -1733,24 +7211,24 @@ window.submitAddAccount = function () {
   const type = typeEl.value;
   const institution = institutionEl ? institutionEl.value.trim() : '';
   if (!name || !type) return;
-  const holdings = [];
-  for (var i = 0; i < pendingAddAccountHoldings.length; i++) {
-    var h = pendingAddAccountHoldings[i];
-    holdings.push(h.ticker != null ? { id: id(), ticker: h.ticker, quantity: h.quantity, purchasePrice: h.purchasePrice } : { id: id(), balance: h.balance });
-  }
-  state.accounts.push({
+  const holdings = pendingAddAccountHoldings.slice();
+  const account = {
     id: id(),
     name,
     type,
+    currency: document.getElementById('account-currency')?.value || getBaseCurrency(),
     institution: institution || '',
     holdings: holdings,
-  });
+  };
+  state.accounts.push(account);
+  if (holdings.length) recordImportUndo('CSV into new account ' + name, [], [account]);
   pendingAddAccountHoldings = [];
   saveState();
+  fetchMissingFxRates();
   if (document.getElementById('form-add-account')) document.getElementById('form-add-account').reset();
   closeModal('modal-add-account', document.getElementById('add-account-btn'));
   render();
-  if (holdings.some(function (h) { return h.ticker; }) && state.apiKey) refreshAllPrices();
+  if (holdings.some(function (h) { return h.ticker; }) && canAutoSyncPrices()) refreshAllPrices();
 };
 
 window.submitEditAccount = function () {
@@ -1764,6 +7242,11 @@ window.submitEditAccount = function () {
   account.name = name;
   account.type = type;
   account.institution = institution;
+  account.currency = document.getElementById('account-edit-currency')?.value || getAccountCurrency(account);
+  const lotMethod = document.getElementById('account-edit-lot-method')?.value;
+  if (isSecurityType(type) && LOT_METHODS[lotMethod]) account.lotMethod = lotMethod;
+  const taxTreatment = document.getElementById('account-edit-tax-treatment')?.value;
+  if (type !== 'Debt' && TAX_TREATMENTS[taxTreatment]) account.taxTreatment = taxTreatment;
   saveState();
   closeModal('modal-edit-account', document.body);
   render();
@@ -1771,3 +7254,4 @@ window.submitEditAccount = function () {
 
 loadState();
 init();
+loadRemoteState();
@@ -1,6 +1,6 @@
 /**
  * Link the wealth UI from the repo root into public/wealth so there is only ONE place to edit.
- * Edit index.html, app.js, and import-template.csv in the project root only.
+ * Edit index.html, app.js, import-template.csv and mock-prices.json in the project root only.
  * Run once after clone (or "npm run link-wealth"). No copy step needed.
  */
 const fs = require('fs');
@@ -8,7 +8,7 @@ const path = require('path');
 
 const repoRoot = path.join(__dirname, '..', '..');
 const destDir = path.join(__dirname, '..', 'public', 'wealth');
-const files = ['index.html', 'app.js', 'import-template.csv'];
+const files = ['index.html', 'app.js', 'import-template.csv', 'mock-prices.json'];
 
 if (!fs.existsSync(destDir)) {
   fs.mkdirSync(destDir, { recursive: true });
@@ -0,0 +1,48 @@
+import { NextResponse } from "next/server";
+import { auth } from "@clerk/nextjs/server";
+import { getPortfolioStore, isPortfolioResource } from "@/lib/portfolio-store";
+
+/** Largest request body we accept for a single resource. */
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+type Params = { params: Promise<{ resource: string }> };
+
+async function resolve(params: Params["params"]) {
+  const { userId } = await auth();
+  if (!userId) {
+    return { error: NextResponse.json({ error: "Not signed in" }, { status: 401 }) };
+  }
+  const { resource } = await params;
+  if (!isPortfolioResource(resource)) {
+    return { error: NextResponse.json({ error: "Unknown resource" }, { status: 404 }) };
+  }
+  return { userId, resource };
+}
+
+/** GET /api/portfolio/:resource — one stored resource, or null if never saved. */
+export async function GET(_req: Request, { params }: Params) {
+  const r = await resolve(params);
+  if (r.error) return r.error;
+  const doc = await getPortfolioStore().read(r.userId);
+  return NextResponse.json(doc[r.resource] ?? null, {
+    headers: { "Cache-Control": "no-store" },
+  });
+}
+
+/** PUT /api/portfolio/:resource — replace one resource with the JSON request body. */
+export async function PUT(req: Request, { params }: Params) {
+  const r = await resolve(params);
+  if (r.error) return r.error;
+  const text = await req.text();
+  if (text.length > MAX_BODY_BYTES) {
+    return NextResponse.json({ error: "Payload too large" }, { status: 413 });
+  }
+  let value: unknown;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    return NextResponse.json({ error: "Body must be JSON" }, { status: 400 });
+  }
+  await getPortfolioStore().write(r.userId, r.resource, value);
+  return new NextResponse(null, { status: 204 });
+}
@@ -0,0 +1,13 @@
+import { NextResponse } from "next/server";
+import { auth } from "@clerk/nextjs/server";
+import { getPortfolioStore } from "@/lib/portfolio-store";
+
+/** GET /api/portfolio — every stored resource for the signed-in user. */
+export async function GET() {
+  const { userId } = await auth();
+  if (!userId) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+  const doc = await getPortfolioStore().read(userId);
+  return NextResponse.json(doc, { headers: { "Cache-Control": "no-store" } });
+}
@@ -0,0 +1,55 @@
+import { promises as fs } from "fs";
+import path from "path";
+import type { PortfolioDocument, PortfolioResource, PortfolioStore } from "./types";
+
+/**
+ * Stores one JSON file per user under `dir`. Intended for local development
+ * and single-instance deployments with a persistent disk.
+ */
+export function createFileStore(dir: string): PortfolioStore {
+  // Serialize writes per user so concurrent PUTs don't clobber each other's resources.
+  const queues = new Map<string, Promise<unknown>>();
+
+  function fileFor(userId: string) {
+    const safe = userId.replace(/[^a-zA-Z0-9_-]/g, "_");
+    return path.join(dir, safe + ".json");
+  }
+
+  async function readFile(userId: string): Promise<PortfolioDocument> {
+    try {
+      const raw = await fs.readFile(fileFor(userId), "utf8");
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code === "ENOENT") return {};
+      throw err;
+    }
+  }
+
+  function enqueue<T>(userId: string, task: () => Promise<T>): Promise<T> {
+    const prev = queues.get(userId) ?? Promise.resolve();
+    const next = prev.catch(() => {}).then(task);
+    queues.set(userId, next);
+    next.finally(() => {
+      if (queues.get(userId) === next) queues.delete(userId);
+    }).catch(() => {});
+    return next;
+  }
+
+  return {
+    read(userId) {
+      return enqueue(userId, () => readFile(userId));
+    },
+    write(userId, resource: PortfolioResource, value) {
+      return enqueue(userId, async () => {
+        const doc = await readFile(userId);
+        doc[resource] = value;
+        await fs.mkdir(dir, { recursive: true });
+        const file = fileFor(userId);
+        const tmp = file + "." + process.pid + ".tmp";
+        await fs.writeFile(tmp, JSON.stringify(doc), "utf8");
+        await fs.rename(tmp, file);
+      });
+    },
+  };
+}
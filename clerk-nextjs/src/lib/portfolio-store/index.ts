@@ -0,0 +1,34 @@
+import path from "path";
+import { createFileStore } from "./file-store";
+import { createMemoryStore } from "./memory-store";
+import type { PortfolioStore } from "./types";
+
+export * from "./types";
+
+/**
+ * Backend factories keyed by the value of `HORIZON60_STORE`.
+ * Add a backend (Postgres, KV, …) by registering another factory here.
+ */
+const backends: Record<string, () => PortfolioStore> = {
+  file: () =>
+    createFileStore(
+      process.env.HORIZON60_DATA_DIR || path.join(process.cwd(), ".data", "portfolios")
+    ),
+  memory: () => createMemoryStore(),
+};
+
+let store: PortfolioStore | null = null;
+
+/** The configured store (defaults to the file backend). */
+export function getPortfolioStore(): PortfolioStore {
+  if (store) return store;
+  const name = process.env.HORIZON60_STORE || "file";
+  const factory = backends[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown HORIZON60_STORE "${name}". Expected one of: ${Object.keys(backends).join(", ")}`
+    );
+  }
+  store = factory();
+  return store;
+}
@@ -0,0 +1,14 @@
+import type { PortfolioDocument, PortfolioStore } from "./types";
+
+/** Keeps everything in process memory. Data is lost on restart; useful for previews and tests. */
+export function createMemoryStore(): PortfolioStore {
+  const docs = new Map<string, PortfolioDocument>();
+  return {
+    async read(userId) {
+      return { ...(docs.get(userId) ?? {}) };
+    },
+    async write(userId, resource, value) {
+      docs.set(userId, { ...(docs.get(userId) ?? {}), [resource]: value });
+    },
+  };
+}
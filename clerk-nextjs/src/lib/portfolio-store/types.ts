@@ -0,0 +1,31 @@
+/**
+ * Portfolio data the wealth dashboard persists per signed-in user.
+ * Each resource is an opaque JSON document owned by `public/wealth/app.js`;
+ * the server only stores and returns it.
+ */
+export const PORTFOLIO_RESOURCES = [
+  "accounts",
+  "netWorthHistory",
+  "forecastSettings",
+  "preferences",
+  "fxRates",
+  "priceCache",
+  "profile",
+  "schemaVersion",
+] as const;
+
+export type PortfolioResource = (typeof PORTFOLIO_RESOURCES)[number];
+
+export type PortfolioDocument = Partial<Record<PortfolioResource, unknown>>;
+
+export function isPortfolioResource(value: string): value is PortfolioResource {
+  return (PORTFOLIO_RESOURCES as readonly string[]).includes(value);
+}
+
+/** A storage backend. Implementations must be safe to call concurrently for the same user. */
+export interface PortfolioStore {
+  /** All stored resources for a user (missing resources are omitted). */
+  read(userId: string): Promise<PortfolioDocument>;
+  /** Replace one resource for a user. */
+  write(userId: string, resource: PortfolioResource, value: unknown): Promise<void>;
+}